@@ -0,0 +1,229 @@
+/**
+ * lpCallScheduleChart
+ * Chart.js bar chart of projected capital calls per quarter
+ *
+ * Displays:
+ * - Projected calls per quarter (bars, left axis)
+ * - Cumulative projected calls (line, right axis)
+ *
+ * Props:
+ * - scheduleData: Array of projected quarters from lpCapitalCommitments
+ *   ({ quarterEnd, quarterLabel, amount, cumulative })
+ */
+
+import { LightningElement, api, track } from 'lwc';
+import { loadScript } from 'lightning/platformResourceLoader';
+import chartjs from '@salesforce/resourceUrl/chartjs';
+import { formatCurrency } from 'c/lpStaticDataService';
+
+const SERIES = [
+    { key: 'amount', label: 'Projected Calls', color: '#1976D2' },
+    { key: 'cumulative', label: 'Cumulative', color: '#F57C00' }
+];
+
+export default class LpCallScheduleChart extends LightningElement {
+    @track hasError = false;
+
+    chart = null;
+    chartjsInitialized = false;
+    _scheduleData = [];
+
+    @api
+    get scheduleData() {
+        return this._scheduleData;
+    }
+
+    set scheduleData(value) {
+        this._scheduleData = value || [];
+        if (this.chart) {
+            this.chart.data = this.prepareChartData();
+            this.chart.update('active');
+        }
+    }
+
+    /**
+     * Lifecycle: Rendered callback
+     * Initialize Chart.js after DOM is ready
+     */
+    renderedCallback() {
+        if (this.chartjsInitialized) {
+            return;
+        }
+        this.chartjsInitialized = true;
+
+        loadScript(this, chartjs)
+            .then(() => {
+                this.initializeChart();
+            })
+            .catch(error => {
+                console.error('Error loading Chart.js:', error);
+                this.hasError = true;
+            });
+    }
+
+    /**
+     * Initialize the Chart.js bar and line chart
+     */
+    initializeChart() {
+        const canvas = this.refs.scheduleCanvas;
+        if (!canvas) {
+            console.error('Canvas element not found');
+            return;
+        }
+
+        const ticks = {
+            color: '#3F4946',
+            font: {
+                size: 11,
+                family: 'Roboto, sans-serif'
+            },
+            callback: (value) => this.formatYAxisValue(value)
+        };
+
+        this.chart = new window.Chart(canvas.getContext('2d'), {
+            type: 'bar',
+            data: this.prepareChartData(),
+            options: {
+                responsive: true,
+                maintainAspectRatio: false,
+                interaction: {
+                    mode: 'index',
+                    intersect: false
+                },
+                plugins: {
+                    legend: {
+                        display: false // We use custom legend
+                    },
+                    tooltip: {
+                        enabled: true,
+                        backgroundColor: '#1A1C1E',
+                        titleColor: '#FFFFFF',
+                        bodyColor: '#FFFFFF',
+                        padding: 12,
+                        cornerRadius: 8,
+                        displayColors: true,
+                        callbacks: {
+                            label: (context) => `${context.dataset.label}: ${formatCurrency(context.raw)}`
+                        }
+                    }
+                },
+                scales: {
+                    x: {
+                        display: true,
+                        grid: {
+                            display: false
+                        },
+                        ticks: {
+                            color: '#3F4946',
+                            font: {
+                                size: 11,
+                                family: 'Roboto, sans-serif'
+                            }
+                        }
+                    },
+                    y: {
+                        type: 'linear',
+                        position: 'left',
+                        beginAtZero: true,
+                        grid: {
+                            color: 'rgba(0, 0, 0, 0.05)',
+                            drawBorder: false
+                        },
+                        ticks
+                    },
+                    y1: {
+                        type: 'linear',
+                        position: 'right',
+                        beginAtZero: true,
+                        grid: {
+                            drawOnChartArea: false
+                        },
+                        ticks
+                    }
+                },
+                animation: {
+                    duration: 800,
+                    easing: 'easeOutQuart'
+                }
+            }
+        });
+    }
+
+    /**
+     * Prepare data for Chart.js format
+     */
+    prepareChartData() {
+        const [calls, cumulative] = SERIES;
+
+        return {
+            labels: this._scheduleData.map(quarter => quarter.quarterLabel),
+            datasets: [
+                {
+                    type: 'line',
+                    label: cumulative.label,
+                    data: this._scheduleData.map(quarter => quarter.cumulative),
+                    borderColor: cumulative.color,
+                    backgroundColor: cumulative.color,
+                    borderWidth: 2,
+                    pointRadius: 3,
+                    tension: 0,
+                    yAxisID: 'y1'
+                },
+                {
+                    type: 'bar',
+                    label: calls.label,
+                    data: this._scheduleData.map(quarter => quarter.amount),
+                    backgroundColor: `${calls.color}CC`,
+                    borderRadius: 4,
+                    yAxisID: 'y'
+                }
+            ]
+        };
+    }
+
+    /**
+     * Legend items
+     */
+    get legendItems() {
+        return SERIES.map(series => ({
+            series: series.key,
+            label: series.label,
+            colorStyle: `background-color: ${series.color};`
+        }));
+    }
+
+    get showEmptyState() {
+        return !this.hasError && this._scheduleData.length === 0;
+    }
+
+    /**
+     * Format Y-axis value
+     */
+    formatYAxisValue(value) {
+        if (value >= 1000000) {
+            return `$${(value / 1000000).toFixed(0)}M`;
+        } else if (value >= 1000) {
+            return `$${(value / 1000).toFixed(0)}K`;
+        }
+        return formatCurrency(value);
+    }
+
+    /**
+     * Cleanup when component is removed
+     */
+    disconnectedCallback() {
+        if (this.chart) {
+            this.chart.destroy();
+            this.chart = null;
+        }
+    }
+
+    /**
+     * Error boundary - handle chart rendering errors gracefully
+     */
+    errorCallback(error, stack) {
+        console.error('Call Schedule Chart Error:', error);
+        console.error('Stack:', stack);
+        this.hasError = true;
+    }
+}
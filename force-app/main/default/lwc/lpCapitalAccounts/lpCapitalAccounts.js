@@ -0,0 +1,337 @@
+/**
+ * lpCapitalAccounts
+ * @Description: Capital Accounts statement page for FundPanel LP Portal
+ *
+ * Rolls the capital account for the selected vehicle/fund and statement period:
+ * beginning balance, contributions, distributions, management fees, fund expenses,
+ * realized and unrealized gain/loss, ending balance.
+ *
+ * Columns: quarter-to-date, year-to-date and inception-to-date.
+ * The current statement's ending balance ties to Estimated Value on lpPortalDashboard.
+ *
+ * Props:
+ * - providerType: 'apex' (live) or 'static' (demo), see lpDataProvider
+ */
+
+import { LightningElement, api, track } from 'lwc';
+import { getDataProvider } from 'c/lpDataProvider';
+import { getRoute } from 'c/lpRouter';
+import { formatCurrency, formatDate } from 'c/lpStaticDataService';
+
+const CURRENT_PERIOD = 'current';
+
+// Number of past quarter-ends offered in the period picker
+const PERIOD_QUARTERS = 8;
+
+// Statement columns, keyed by the period property on each statement
+const PERIOD_COLUMNS = [
+    { key: 'quarterToDate', label: 'Quarter to Date' },
+    { key: 'yearToDate', label: 'Year to Date' },
+    { key: 'inceptionToDate', label: 'Inception to Date' }
+];
+
+// Roll-forward lines; sign is how the line moves the balance
+const STATEMENT_LINES = [
+    { key: 'beginningBalance', label: 'Beginning Balance', sign: 1, isBalance: true },
+    { key: 'contributions', label: 'Contributions', sign: 1 },
+    { key: 'distributions', label: 'Distributions', sign: -1 },
+    { key: 'managementFees', label: 'Management Fees', sign: -1 },
+    { key: 'fundExpenses', label: 'Fund Expenses', sign: -1 },
+    { key: 'realizedGainLoss', label: 'Realized Gain/(Loss)', sign: 1 },
+    { key: 'unrealizedGainLoss', label: 'Unrealized Gain/(Loss)', sign: 1 },
+    { key: 'endingBalance', label: 'Ending Balance', sign: 1, isBalance: true }
+];
+
+const AMOUNT_FIELDS = STATEMENT_LINES.map(line => line.key);
+
+// Differences below half a cent are rounding, not a tie-out break
+const TIE_OUT_TOLERANCE = 0.005;
+
+/**
+ * Accounting-style amount: deductions in parentheses
+ */
+function formatAmount(value) {
+    // Round first so float noise and -0 do not print as (0.00)
+    const amount = Math.round(value * 100) / 100 || 0;
+    return amount < 0 ? `(${formatCurrency(-amount)})` : formatCurrency(amount);
+}
+
+/**
+ * Sum one period across statements
+ */
+function sumPeriod(statements, periodKey) {
+    const total = { startDate: null, endDate: null };
+    AMOUNT_FIELDS.forEach(field => {
+        total[field] = 0;
+    });
+
+    statements.forEach(statement => {
+        const period = statement[periodKey];
+        AMOUNT_FIELDS.forEach(field => {
+            total[field] += period[field] || 0;
+        });
+        if (!total.startDate || period.startDate < total.startDate) {
+            total.startDate = period.startDate;
+        }
+        total.endDate = period.endDate;
+    });
+
+    return total;
+}
+
+/**
+ * Quarter-end dates before today, newest first
+ */
+function getPastQuarterEnds(count) {
+    const today = new Date();
+    const quarterStartMonth = Math.floor(today.getMonth() / 3) * 3;
+    const dates = [];
+    for (let quartersAgo = 1; quartersAgo <= count; quartersAgo++) {
+        const date = new Date(Date.UTC(today.getFullYear(), quarterStartMonth - 3 * (quartersAgo - 1), 0));
+        dates.push(date.toISOString().slice(0, 10));
+    }
+    return dates;
+}
+
+export default class LpCapitalAccounts extends LightningElement {
+    @api providerType = 'apex';
+
+    // Filter state
+    @track currentVehicleId = 'all';
+    @track currentFundId = 'all';
+    @track selectedPeriod = CURRENT_PERIOD;
+
+    // Filter options
+    @track vehicles = [];
+    @track funds = [];
+
+    // One statement per investment for the current filter and period
+    @track statements = [];
+
+    // Estimated Value metric for the same filter, used for the tie-out
+    estimatedValue = null;
+
+    // UI state
+    @track isLoading = false;
+    @track errorMessage = '';
+
+    // Id of the latest data request; responses from older requests are dropped
+    latestRequestId = 0;
+
+    connectedCallback() {
+        // Start from the filters in the URL (see lpRouter)
+        const route = getRoute();
+        this.currentVehicleId = route.vehicleId;
+        this.currentFundId = route.fundId;
+
+        this.loadFilterOptions();
+        this.loadStatements();
+    }
+
+    get provider() {
+        return getDataProvider(this.providerType);
+    }
+
+    get hasError() {
+        return !!this.errorMessage;
+    }
+
+    get hasStatements() {
+        return this.statements.length > 0;
+    }
+
+    get showEmptyState() {
+        return !this.isLoading && !this.hasError && !this.hasStatements;
+    }
+
+    get isCurrentPeriod() {
+        return this.selectedPeriod === CURRENT_PERIOD;
+    }
+
+    /**
+     * Statement period options: current plus recent quarter-ends
+     */
+    get periodOptions() {
+        return [
+            { label: 'Current', value: CURRENT_PERIOD },
+            ...getPastQuarterEnds(PERIOD_QUARTERS).map(date => {
+                const [year, month] = date.split('-').map(Number);
+                return {
+                    label: `Q${Math.ceil(month / 3)} ${year} (${formatDate(date)})`,
+                    value: date
+                };
+            })
+        ];
+    }
+
+    /**
+     * Load vehicle and fund lists for the filter bar
+     */
+    async loadFilterOptions() {
+        try {
+            const [vehicles, funds] = await Promise.all([
+                this.provider.getInvestmentVehicles(),
+                this.provider.getFunds()
+            ]);
+            this.vehicles = vehicles;
+            this.funds = funds;
+        } catch (error) {
+            this.handleDataError(error);
+        }
+    }
+
+    /**
+     * Load statements and the matching portfolio metrics for the current filter and period
+     */
+    async loadStatements() {
+        const requestId = ++this.latestRequestId;
+        const asOfDate = this.isCurrentPeriod ? null : this.selectedPeriod;
+        this.isLoading = true;
+
+        try {
+            const [statements, metrics] = await Promise.all([
+                this.provider.getCapitalAccountStatements(this.currentVehicleId, this.currentFundId, asOfDate),
+                this.provider.getPortfolioMetrics(this.currentVehicleId, this.currentFundId)
+            ]);
+
+            if (requestId === this.latestRequestId) {
+                this.statements = statements;
+                this.estimatedValue = metrics.estimatedValue;
+                this.errorMessage = '';
+            }
+        } catch (error) {
+            if (requestId === this.latestRequestId) {
+                this.handleDataError(error);
+            }
+        } finally {
+            if (requestId === this.latestRequestId) {
+                this.isLoading = false;
+            }
+        }
+    }
+
+    handleDataError(error) {
+        console.error('Capital accounts data error:', error);
+        this.errorMessage = error && error.body
+            ? error.body.message
+            : 'Unable to load capital account statements. Please refresh the page.';
+    }
+
+    /**
+     * Statement periods summed across investments
+     */
+    get totalPeriods() {
+        const totals = {};
+        PERIOD_COLUMNS.forEach(column => {
+            totals[column.key] = sumPeriod(this.statements, column.key);
+        });
+        return totals;
+    }
+
+    /**
+     * Column headers with their date ranges
+     */
+    get statementColumns() {
+        const totals = this.totalPeriods;
+        return PERIOD_COLUMNS.map(column => ({
+            key: column.key,
+            label: column.label,
+            rangeLabel: `${formatDate(totals[column.key].startDate)} – ${formatDate(totals[column.key].endDate)}`
+        }));
+    }
+
+    /**
+     * Roll-forward lines with one formatted amount per column
+     */
+    get statementRows() {
+        const totals = this.totalPeriods;
+        return STATEMENT_LINES.map(line => ({
+            key: line.key,
+            label: line.label,
+            rowClass: line.isBalance ? 'table-row balance-row' : 'table-row',
+            cells: PERIOD_COLUMNS.map(column => ({
+                key: `${line.key}-${column.key}`,
+                value: formatAmount(line.sign * totals[column.key][line.key])
+            }))
+        }));
+    }
+
+    get statementDateLabel() {
+        return formatDate(this.totalPeriods.inceptionToDate.endDate);
+    }
+
+    /**
+     * Current ending balance compared with the Estimated Value metric card
+     * Past statements end at a snapshot date, so they are not compared
+     */
+    get tieOut() {
+        if (!this.isCurrentPeriod || !this.hasStatements || this.estimatedValue === null) {
+            return null;
+        }
+
+        const difference = this.totalPeriods.inceptionToDate.endingBalance - this.estimatedValue;
+        const isTied = Math.abs(difference) < TIE_OUT_TOLERANCE;
+        const metricLabel = formatCurrency(this.estimatedValue);
+
+        return {
+            message: isTied
+                ? `Ending balance ties to Estimated Value (${metricLabel}).`
+                : `Ending balance differs from Estimated Value (${metricLabel}) by ${formatCurrency(Math.abs(difference))}.`,
+            cssClass: isTied ? 'reconciliation reconciliation-ok' : 'reconciliation reconciliation-break'
+        };
+    }
+
+    /**
+     * Inception-to-date summary per fund and vehicle
+     */
+    get fundRows() {
+        return this.statements.map(statement => {
+            const itd = statement.inceptionToDate;
+            return {
+                key: statement.investmentId,
+                fundName: statement.fundName,
+                vehicleName: statement.vehicleName,
+                contributionsLabel: formatAmount(itd.contributions),
+                distributionsLabel: formatAmount(-itd.distributions),
+                feesAndExpensesLabel: formatAmount(-(itd.managementFees + itd.fundExpenses)),
+                gainLossLabel: formatAmount(itd.realizedGainLoss + itd.unrealizedGainLoss),
+                endingBalanceLabel: formatAmount(itd.endingBalance)
+            };
+        });
+    }
+
+    get fundTotals() {
+        const itd = this.totalPeriods.inceptionToDate;
+        return {
+            contributionsLabel: formatAmount(itd.contributions),
+            distributionsLabel: formatAmount(-itd.distributions),
+            feesAndExpensesLabel: formatAmount(-(itd.managementFees + itd.fundExpenses)),
+            gainLossLabel: formatAmount(itd.realizedGainLoss + itd.unrealizedGainLoss),
+            endingBalanceLabel: formatAmount(itd.endingBalance)
+        };
+    }
+
+    /**
+     * Handle filter change from lpFilterBar
+     */
+    handleFilterChange(event) {
+        const { vehicleId, fundId } = event.detail;
+        this.currentVehicleId = vehicleId;
+        this.currentFundId = fundId;
+        this.loadStatements();
+    }
+
+    /**
+     * Handle statement period change
+     */
+    handlePeriodChange(event) {
+        this.selectedPeriod = event.detail.value;
+        this.loadStatements();
+    }
+
+    errorCallback(error, stack) {
+        console.error('Capital Accounts Error:', error);
+        console.error('Stack:', stack);
+        this.isLoading = false;
+    }
+}
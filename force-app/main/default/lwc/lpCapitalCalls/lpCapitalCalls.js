@@ -0,0 +1,227 @@
+/**
+ * lpCapitalCalls
+ * @Description: Capital Calls page for FundPanel LP Portal
+ *
+ * Lists every capital call notice for the selected vehicle/fund with:
+ * - Call date, due date and amount
+ * - Percentage of commitment the call represents
+ * - Paid/Outstanding status
+ *
+ * Selecting a call opens a detail view with the notice PDF link. The open call is
+ * kept in the URL (see lpRouter), so notice emails can link straight to it:
+ * ?view=capital-calls&id=<Capital_Call__c Id>
+ * Uses lpFilterBar, so vehicle/fund and date range filtering behaves the same as on the
+ * dashboard; a date range keeps the calls dated inside it.
+ *
+ * Props:
+ * - providerType: 'apex' (live) or 'static' (demo), see lpDataProvider
+ */
+
+import { LightningElement, api, track } from 'lwc';
+import { getDataProvider } from 'c/lpDataProvider';
+import { getRoute, navigate, subscribe } from 'c/lpRouter';
+import { isInDateRange } from 'c/lpDateRange';
+import { formatCurrency, formatPercentage, formatDate } from 'c/lpStaticDataService';
+
+export default class LpCapitalCalls extends LightningElement {
+    @api providerType = 'apex';
+
+    // Filter state
+    @track currentVehicleId = 'all';
+    @track currentFundId = 'all';
+    @track currentDateRange = null;
+
+    // Filter options
+    @track vehicles = [];
+    @track funds = [];
+
+    // Call notices for the current filter
+    @track calls = [];
+    @track selectedCallId = null;
+
+    // UI state
+    @track isLoading = false;
+    @track errorMessage = '';
+
+    // Id of the latest data request; responses from older requests are dropped
+    latestRequestId = 0;
+
+    connectedCallback() {
+        // Start from the filters in the URL (see lpRouter)
+        const route = getRoute();
+        this.currentVehicleId = route.vehicleId;
+        this.currentFundId = route.fundId;
+        this.currentDateRange = route.dateRange;
+        this.selectedCallId = route.recordId;
+        this._unsubscribeRoute = subscribe(nextRoute => {
+            this.selectedCallId = nextRoute.recordId;
+        });
+
+        this.loadFilterOptions();
+        this.loadCapitalCalls();
+    }
+
+    disconnectedCallback() {
+        if (this._unsubscribeRoute) {
+            this._unsubscribeRoute();
+        }
+    }
+
+    get provider() {
+        return getDataProvider(this.providerType);
+    }
+
+    get hasError() {
+        return !!this.errorMessage;
+    }
+
+    get hasCalls() {
+        return this.calls.length > 0;
+    }
+
+    get showEmptyState() {
+        return !this.isLoading && !this.hasError && !this.hasCalls;
+    }
+
+    /**
+     * Load vehicle and fund lists for the filter bar
+     */
+    async loadFilterOptions() {
+        try {
+            const [vehicles, funds] = await Promise.all([
+                this.provider.getInvestmentVehicles(),
+                this.provider.getFunds()
+            ]);
+            this.vehicles = vehicles;
+            this.funds = funds;
+        } catch (error) {
+            this.handleDataError(error);
+        }
+    }
+
+    /**
+     * Load call notices for the current filter
+     */
+    async loadCapitalCalls() {
+        const requestId = ++this.latestRequestId;
+        this.isLoading = true;
+
+        try {
+            const calls = (await this.provider.getCapitalCalls(this.currentVehicleId, this.currentFundId))
+                .filter(call => isInDateRange(call.callDate, this.currentDateRange));
+
+            if (requestId === this.latestRequestId) {
+                this.calls = calls;
+                this.errorMessage = '';
+
+                // Close the detail view if the selected call is filtered out
+                if (this.selectedCallId && !calls.some(call => call.id === this.selectedCallId)) {
+                    this.selectedCallId = null;
+                    navigate({ recordId: null }, { replace: true });
+                }
+            }
+        } catch (error) {
+            if (requestId === this.latestRequestId) {
+                this.handleDataError(error);
+            }
+        } finally {
+            if (requestId === this.latestRequestId) {
+                this.isLoading = false;
+            }
+        }
+    }
+
+    handleDataError(error) {
+        console.error('Capital calls data error:', error);
+        this.errorMessage = error && error.body
+            ? error.body.message
+            : 'Unable to load capital calls. Please refresh the page.';
+    }
+
+    /**
+     * Totals across the listed calls
+     */
+    get summary() {
+        const totals = this.calls.reduce((sum, call) => ({
+            called: sum.called + (call.amount || 0),
+            outstanding: sum.outstanding + (call.outstandingAmount || 0),
+            outstandingCount: sum.outstandingCount + (call.status === 'Outstanding' ? 1 : 0)
+        }), { called: 0, outstanding: 0, outstandingCount: 0 });
+
+        return {
+            callCount: this.calls.length,
+            called: formatCurrency(totals.called),
+            outstanding: formatCurrency(totals.outstanding),
+            outstandingCount: totals.outstandingCount
+        };
+    }
+
+    /**
+     * Call notices formatted for the table
+     */
+    get callRows() {
+        return this.calls.map(call => this.formatCall(call));
+    }
+
+    /**
+     * Currently selected call, formatted for the detail view
+     */
+    get selectedCall() {
+        const call = this.calls.find(c => c.id === this.selectedCallId);
+        return call ? this.formatCall(call) : null;
+    }
+
+    get isDetailView() {
+        return !!this.selectedCall;
+    }
+
+    formatCall(call) {
+        const isPaid = call.status === 'Paid';
+
+        return {
+            ...call,
+            callDateLabel: formatDate(call.callDate),
+            dueDateLabel: formatDate(call.dueDate),
+            amountLabel: formatCurrency(call.amount),
+            paidAmountLabel: formatCurrency(call.paidAmount),
+            outstandingAmountLabel: formatCurrency(call.outstandingAmount),
+            commitmentPercentageLabel: formatPercentage(call.commitmentPercentage),
+            statusClass: isPaid ? 'status-badge status-paid' : 'status-badge status-outstanding',
+            hasNotice: !!call.noticeUrl,
+            viewAriaLabel: `View capital call ${call.callNumber} for ${call.fundName}`
+        };
+    }
+
+    /**
+     * Handle filter change from lpFilterBar
+     */
+    handleFilterChange(event) {
+        const { vehicleId, fundId, dateRange } = event.detail;
+        this.currentVehicleId = vehicleId;
+        this.currentFundId = fundId;
+        this.currentDateRange = dateRange;
+        this.loadCapitalCalls();
+    }
+
+    /**
+     * Open the detail view for a call
+     */
+    handleCallClick(event) {
+        this.selectedCallId = event.currentTarget.dataset.callId;
+        navigate({ recordId: this.selectedCallId });
+    }
+
+    /**
+     * Return from the detail view to the list
+     */
+    handleBackClick() {
+        this.selectedCallId = null;
+        navigate({ recordId: null });
+    }
+
+    errorCallback(error, stack) {
+        console.error('Capital Calls Error:', error);
+        console.error('Stack:', stack);
+        this.isLoading = false;
+    }
+}
@@ -0,0 +1,443 @@
+/**
+ * lpCapitalCommitments
+ * @Description: Capital Commitments page for FundPanel LP Portal
+ *
+ * Shows the LP's commitments for the selected vehicle/fund with:
+ * - Original commitment, secondary transfers, called to date, unfunded and % funded
+ * - The same figures per fund or rolled up per vehicle
+ * - A projected quarterly call schedule for the unfunded balance (lpCallScheduleChart)
+ * - Secondary purchase, sale and transfer history
+ *
+ * Unfunded totals match the Pending amounts shown elsewhere in the portal.
+ *
+ * Props:
+ * - providerType: 'apex' (live) or 'static' (demo), see lpDataProvider
+ */
+
+import { LightningElement, api, track } from 'lwc';
+import { getDataProvider } from 'c/lpDataProvider';
+import { getRoute } from 'c/lpRouter';
+import { formatCurrency, formatPercentage, formatDate } from 'c/lpStaticDataService';
+
+// Amount fields summed in totals and the per-vehicle rollup
+const AMOUNT_FIELDS = ['originalCommitment', 'transferAmount', 'commitmentAmount', 'calledAmount', 'unfundedAmount'];
+
+// Quarters projected; whatever is still unfunded afterwards is shown as a remainder
+const PROJECTION_QUARTERS = 12;
+
+// Call pacing: share of the remaining unfunded balance called each quarter
+const CALL_PACES = [
+    { value: 'slow', label: 'Slow', rate: 0.06 },
+    { value: 'base', label: 'Base', rate: 0.10 },
+    { value: 'fast', label: 'Fast', rate: 0.15 }
+];
+const DEFAULT_CALL_PACE = 'base';
+
+// Closed funds make no further calls
+const CLOSED_STATUS = 'Closed';
+
+const GROUPINGS = [
+    { value: 'fund', label: 'By Fund' },
+    { value: 'vehicle', label: 'By Vehicle' }
+];
+
+/**
+ * Round to cents
+ */
+function toCents(value) {
+    return Math.round(value * 100) / 100;
+}
+
+/**
+ * Accounting-style amount: reductions in parentheses
+ */
+function formatAmount(value) {
+    const amount = value || 0;
+    return amount < 0 ? `(${formatCurrency(-amount)})` : formatCurrency(amount);
+}
+
+/**
+ * Sum the amount fields of a list of commitments
+ */
+function sumAmounts(commitments) {
+    const totals = {};
+    AMOUNT_FIELDS.forEach(field => {
+        totals[field] = commitments.reduce((sum, commitment) => sum + (commitment[field] || 0), 0);
+    });
+    return totals;
+}
+
+/**
+ * Called as a share of current commitment, in percent
+ */
+function getPercentFunded(calledAmount, commitmentAmount) {
+    return commitmentAmount > 0 ? toCents((calledAmount / commitmentAmount) * 100) : 0;
+}
+
+/**
+ * Amount fields and % funded formatted for display
+ */
+function formatCommitment(amounts) {
+    const labels = {};
+    AMOUNT_FIELDS.forEach(field => {
+        labels[`${field}Label`] = formatAmount(amounts[field]);
+    });
+
+    const percentFunded = getPercentFunded(amounts.calledAmount, amounts.commitmentAmount);
+    return {
+        ...labels,
+        percentFundedLabel: formatPercentage(percentFunded),
+        fundedBarStyle: `width: ${Math.min(100, Math.max(0, percentFunded))}%;`
+    };
+}
+
+/**
+ * End of the quarter a number of quarters from now (1 = end of the current quarter)
+ */
+function getFutureQuarterEnd(quartersAhead) {
+    const today = new Date();
+    const quarterStartMonth = Math.floor(today.getMonth() / 3) * 3;
+    return new Date(Date.UTC(today.getFullYear(), quarterStartMonth + 3 * quartersAhead, 0))
+        .toISOString()
+        .slice(0, 10);
+}
+
+/**
+ * "Q3 2027" for a YYYY-MM-DD quarter-end date
+ */
+function formatQuarter(dateString) {
+    const [year, month] = dateString.split('-').map(Number);
+    return `Q${Math.floor((month - 1) / 3) + 1} ${year}`;
+}
+
+/**
+ * Project quarterly calls on the unfunded balance of open funds
+ * Each quarter calls a constant share of what is still unfunded, so calls taper
+ * as the commitment is drawn down.
+ * @returns {{quarters: Array<Object>, remainingUnfunded: number}}
+ */
+function projectCallSchedule(commitments, rate) {
+    let balances = commitments
+        .filter(commitment => commitment.fundStatus !== CLOSED_STATUS)
+        .map(commitment => commitment.unfundedAmount || 0)
+        .filter(balance => balance > 0);
+
+    if (balances.length === 0) {
+        return { quarters: [], remainingUnfunded: 0 };
+    }
+
+    const quarters = [];
+    let cumulative = 0;
+
+    for (let index = 1; index <= PROJECTION_QUARTERS; index++) {
+        const calls = balances.map(balance => toCents(balance * rate));
+        const amount = toCents(calls.reduce((sum, call) => sum + call, 0));
+        balances = balances.map((balance, fundIndex) => balance - calls[fundIndex]);
+        cumulative = toCents(cumulative + amount);
+
+        const quarterEnd = getFutureQuarterEnd(index);
+        quarters.push({
+            quarterEnd,
+            quarterLabel: formatQuarter(quarterEnd),
+            amount,
+            cumulative,
+            remainingUnfunded: toCents(balances.reduce((sum, balance) => sum + balance, 0))
+        });
+    }
+
+    return {
+        quarters,
+        remainingUnfunded: quarters[quarters.length - 1].remainingUnfunded
+    };
+}
+
+export default class LpCapitalCommitments extends LightningElement {
+    @api providerType = 'apex';
+
+    // Filter state
+    @track currentVehicleId = 'all';
+    @track currentFundId = 'all';
+
+    // Filter options
+    @track vehicles = [];
+    @track funds = [];
+
+    // Commitments for the current filter, one per investment
+    @track commitments = [];
+
+    // View state
+    @track grouping = 'fund';
+    @track callPace = DEFAULT_CALL_PACE;
+
+    // UI state
+    @track isLoading = false;
+    @track errorMessage = '';
+
+    // Id of the latest data request; responses from older requests are dropped
+    latestRequestId = 0;
+
+    connectedCallback() {
+        // Start from the filters in the URL (see lpRouter)
+        const route = getRoute();
+        this.currentVehicleId = route.vehicleId;
+        this.currentFundId = route.fundId;
+
+        this.loadFilterOptions();
+        this.loadCommitments();
+    }
+
+    get provider() {
+        return getDataProvider(this.providerType);
+    }
+
+    get hasError() {
+        return !!this.errorMessage;
+    }
+
+    get hasCommitments() {
+        return this.commitments.length > 0;
+    }
+
+    get showEmptyState() {
+        return !this.isLoading && !this.hasError && !this.hasCommitments;
+    }
+
+    /**
+     * Load vehicle and fund lists for the filter bar
+     */
+    async loadFilterOptions() {
+        try {
+            const [vehicles, funds] = await Promise.all([
+                this.provider.getInvestmentVehicles(),
+                this.provider.getFunds()
+            ]);
+            this.vehicles = vehicles;
+            this.funds = funds;
+        } catch (error) {
+            this.handleDataError(error);
+        }
+    }
+
+    /**
+     * Load commitments for the current filter
+     */
+    async loadCommitments() {
+        const requestId = ++this.latestRequestId;
+        this.isLoading = true;
+
+        try {
+            const commitments = await this.provider.getCommitments(this.currentVehicleId, this.currentFundId);
+
+            if (requestId === this.latestRequestId) {
+                this.commitments = commitments;
+                this.errorMessage = '';
+            }
+        } catch (error) {
+            if (requestId === this.latestRequestId) {
+                this.handleDataError(error);
+            }
+        } finally {
+            if (requestId === this.latestRequestId) {
+                this.isLoading = false;
+            }
+        }
+    }
+
+    handleDataError(error) {
+        console.error('Commitments data error:', error);
+        this.errorMessage = error && error.body
+            ? error.body.message
+            : 'Unable to load commitments. Please refresh the page.';
+    }
+
+    // ========================================
+    // Commitment summary and table
+    // ========================================
+
+    /**
+     * Totals across the listed commitments
+     */
+    get totals() {
+        const totals = sumAmounts(this.commitments);
+        return {
+            ...totals,
+            ...formatCommitment(totals)
+        };
+    }
+
+    /**
+     * Summary tiles
+     */
+    get commitmentSummary() {
+        const totals = this.totals;
+        return [
+            { key: 'originalCommitment', label: 'Original Commitment', value: totals.originalCommitmentLabel },
+            { key: 'transferAmount', label: 'Transfers / Secondaries', value: totals.transferAmountLabel },
+            { key: 'commitmentAmount', label: 'Current Commitment', value: totals.commitmentAmountLabel },
+            { key: 'calledAmount', label: 'Called to Date', value: totals.calledAmountLabel },
+            { key: 'unfundedAmount', label: 'Unfunded Commitment', value: totals.unfundedAmountLabel },
+            { key: 'percentFunded', label: '% Funded', value: totals.percentFundedLabel }
+        ];
+    }
+
+    get groupingOptions() {
+        return GROUPINGS.map(option => ({
+            ...option,
+            ariaPressed: String(option.value === this.grouping),
+            cssClass: `toggle-chip${option.value === this.grouping ? ' toggle-chip-selected' : ''}`
+        }));
+    }
+
+    get isGroupedByFund() {
+        return this.grouping === 'fund';
+    }
+
+    /**
+     * One row per investment, largest commitment first
+     */
+    get fundRows() {
+        return [...this.commitments]
+            .sort((a, b) => b.commitmentAmount - a.commitmentAmount)
+            .map(commitment => ({
+                key: commitment.investmentId,
+                fundName: commitment.fundName,
+                vehicleName: commitment.vehicleName,
+                fundStatus: commitment.fundStatus,
+                statusClass: `status-badge status-${(commitment.fundStatus || '').toLowerCase()}`,
+                ...formatCommitment(commitment)
+            }));
+    }
+
+    /**
+     * Commitments rolled up per vehicle, largest commitment first
+     */
+    get vehicleRows() {
+        const groups = new Map();
+
+        this.commitments.forEach(commitment => {
+            const key = commitment.vehicleId || 'direct';
+            if (!groups.has(key)) {
+                groups.set(key, {
+                    key,
+                    vehicleName: commitment.vehicleName || 'Direct',
+                    commitments: []
+                });
+            }
+            groups.get(key).commitments.push(commitment);
+        });
+
+        return Array.from(groups.values())
+            .map(group => {
+                const amounts = sumAmounts(group.commitments);
+                return {
+                    key: group.key,
+                    vehicleName: group.vehicleName,
+                    fundCount: group.commitments.length,
+                    commitmentAmount: amounts.commitmentAmount,
+                    ...formatCommitment(amounts)
+                };
+            })
+            .sort((a, b) => b.commitmentAmount - a.commitmentAmount);
+    }
+
+    // ========================================
+    // Projected call schedule
+    // ========================================
+
+    get callPaceOptions() {
+        return CALL_PACES.map(pace => ({
+            value: pace.value,
+            label: `${pace.label} (${Math.round(pace.rate * 100)}% / quarter)`,
+            ariaPressed: String(pace.value === this.callPace),
+            cssClass: `toggle-chip${pace.value === this.callPace ? ' toggle-chip-selected' : ''}`
+        }));
+    }
+
+    get callSchedule() {
+        const pace = CALL_PACES.find(option => option.value === this.callPace);
+        return projectCallSchedule(this.commitments, pace.rate);
+    }
+
+    get scheduleData() {
+        return this.callSchedule.quarters;
+    }
+
+    get hasSchedule() {
+        return this.scheduleData.length > 0;
+    }
+
+    get scheduleRows() {
+        return this.scheduleData.map(quarter => ({
+            ...quarter,
+            amountLabel: formatCurrency(quarter.amount),
+            cumulativeLabel: formatCurrency(quarter.cumulative),
+            remainingUnfundedLabel: formatCurrency(quarter.remainingUnfunded)
+        }));
+    }
+
+    get scheduleNote() {
+        const schedule = this.callSchedule;
+        const note = 'Illustrative only: assumes each open fund calls a fixed share of its remaining unfunded '
+            + 'commitment each quarter. Closed funds are excluded. Actual calls are set by each fund\'s general partner.';
+        if (schedule.remainingUnfunded > 0) {
+            return `${note} ${formatCurrency(schedule.remainingUnfunded)} remains unfunded after ${PROJECTION_QUARTERS} quarters.`;
+        }
+        return note;
+    }
+
+    // ========================================
+    // Transfers
+    // ========================================
+
+    /**
+     * Secondary purchases, sales and transfers across the listed commitments, newest first
+     */
+    get transferRows() {
+        const rows = [];
+        this.commitments.forEach(commitment => {
+            (commitment.transfers || []).forEach(transfer => {
+                rows.push({
+                    ...transfer,
+                    fundName: commitment.fundName,
+                    vehicleName: commitment.vehicleName,
+                    transferDateLabel: formatDate(transfer.transferDate),
+                    amountLabel: formatAmount(transfer.amount),
+                    amountClass: `table-cell table-number${transfer.amount < 0 ? ' value-negative' : ''}`
+                });
+            });
+        });
+        return rows.sort((a, b) => b.transferDate.localeCompare(a.transferDate));
+    }
+
+    get hasTransfers() {
+        return this.transferRows.length > 0;
+    }
+
+    // ========================================
+    // Event handlers
+    // ========================================
+
+    /**
+     * Handle filter change from lpFilterBar
+     */
+    handleFilterChange(event) {
+        const { vehicleId, fundId } = event.detail;
+        this.currentVehicleId = vehicleId;
+        this.currentFundId = fundId;
+        this.loadCommitments();
+    }
+
+    handleGroupingClick(event) {
+        this.grouping = event.currentTarget.dataset.value;
+    }
+
+    handleCallPaceClick(event) {
+        this.callPace = event.currentTarget.dataset.value;
+    }
+
+    errorCallback(error, stack) {
+        console.error('Capital Commitments Error:', error);
+        console.error('Stack:', stack);
+        this.isLoading = false;
+    }
+}
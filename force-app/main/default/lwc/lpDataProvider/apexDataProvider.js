@@ -0,0 +1,620 @@
+/**
+ * Apex data provider
+ * Builds the dashboard data interfaces from the logged-in LP's Investment__c
+ * records exposed by FundDataController.
+ *
+ * getFundsForPartner() returns one row per investment. A fund can be held
+ * through more than one vehicle, so rows are filtered by vehicle/fund first
+ * and rolled up per fund afterwards.
+ *
+ * Filter values with several Ids are sent to Apex as comma-separated lists.
+ */
+
+import getFundsForPartner from '@salesforce/apex/FundDataController.getFundsForPartner';
+import getInvestmentVehicles from '@salesforce/apex/FundDataController.getInvestmentVehicles';
+import getVehicleDetails from '@salesforce/apex/VehicleController.getVehicleDetails';
+import getFundStatistics from '@salesforce/apex/FundDataController.getFundStatistics';
+import getPerformanceHistory from '@salesforce/apex/FundDataController.getPerformanceHistory';
+import getCashFlows from '@salesforce/apex/FundDataController.getCashFlows';
+import getInvestmentValues from '@salesforce/apex/FundDataController.getInvestmentValues';
+import getCommitments from '@salesforce/apex/CommitmentController.getCommitments';
+import getCapitalCalls from '@salesforce/apex/CapitalCallController.getCapitalCalls';
+import getDistributions from '@salesforce/apex/DistributionController.getDistributions';
+import getCapitalAccountStatements from '@salesforce/apex/CapitalAccountController.getCapitalAccountStatements';
+import getDocuments from '@salesforce/apex/DocumentController.getDocuments';
+import recordDocumentDownload from '@salesforce/apex/DocumentController.recordDocumentDownload';
+import getDataRoom from '@salesforce/apex/DataRoomController.getDataRoom';
+import acceptDataRoomNda from '@salesforce/apex/DataRoomController.acceptNda';
+import recordDataRoomFolderAccess from '@salesforce/apex/DataRoomController.recordFolderAccess';
+import openDataRoomDocument from '@salesforce/apex/DataRoomController.openDocument';
+import getPreferences from '@salesforce/apex/PreferenceController.getPreferences';
+import savePreferences from '@salesforce/apex/PreferenceController.savePreferences';
+import getFilterViews from '@salesforce/apex/FilterViewController.getFilterViews';
+import saveFilterView from '@salesforce/apex/FilterViewController.saveFilterView';
+import deleteFilterView from '@salesforce/apex/FilterViewController.deleteFilterView';
+import getBenchmarks from '@salesforce/apex/BenchmarkController.getBenchmarks';
+import getBenchmarkLevels from '@salesforce/apex/BenchmarkController.getBenchmarkLevels';
+import getPortfolioCompanies from '@salesforce/apex/PortfolioCompanyController.getPortfolioCompanies';
+import { hasDateWindow, isInDateRange } from 'c/lpDateRange';
+
+// Same palette as the --md-fund-color-* tokens, assigned in fund order
+const FUND_COLORS = ['#1976D2', '#388E3C', '#F57C00', '#7B1FA2', '#C2185B', '#0097A7'];
+
+/**
+ * Map a FilterViewController row to a FilterView, parsing its filter state JSON
+ */
+function toFilterView(view) {
+    let filterState = {};
+    try {
+        filterState = JSON.parse(view.filterState) || {};
+    } catch (error) {
+        console.warn(`Ignoring unreadable filters of view ${view.viewId}:`, error);
+    }
+    return {
+        viewId: view.viewId,
+        name: view.name,
+        filterState,
+        isOrgPreset: !!view.isOrgPreset
+    };
+}
+
+/**
+ * Load investment rows for the logged-in LP
+ */
+async function loadInvestments() {
+    return (await getFundsForPartner()) || [];
+}
+
+/**
+ * Filter value ('all', an Id or an array of Ids) as the parameter FundDataController accepts
+ */
+function toApexFilter(filter) {
+    if (Array.isArray(filter)) {
+        return filter.length > 0 ? filter.join(',') : 'all';
+    }
+    return filter || 'all';
+}
+
+/**
+ * Whether an Id passes a filter value ('all', an Id or an array of Ids)
+ */
+function matchesFilter(filter, id) {
+    if (Array.isArray(filter)) {
+        return filter.length === 0 || filter.includes(id);
+    }
+    return !filter || filter === 'all' || filter === id;
+}
+
+/**
+ * Keep only investment rows matching the vehicle/fund filter
+ */
+function filterInvestments(rows, vehicleId, fundId) {
+    return rows.filter(row => matchesFilter(vehicleId, row.vehicleId) && matchesFilter(fundId, row.fundId));
+}
+
+/**
+ * Sum of the cash flows of one type that pass a test
+ */
+function sumCashFlows(cashFlows, type, test) {
+    return cashFlows
+        .filter(cashFlow => cashFlow.type === type && test(cashFlow))
+        .reduce((sum, cashFlow) => sum + (cashFlow.amount || 0), 0);
+}
+
+/**
+ * TVPI rounded to two decimals, 0 before any capital is called
+ */
+function toTvpi(distributed, value, called) {
+    return called > 0 ? Math.round(((distributed + value) / called) * 100) / 100 : 0;
+}
+
+/**
+ * Last day of a date's month, as YYYY-MM-DD
+ */
+function toMonthEnd(date) {
+    return new Date(Date.UTC(Number(date.slice(0, 4)), Number(date.slice(5, 7)), 0)).toISOString().slice(0, 10);
+}
+
+/**
+ * Investment rows, cash flows and NAVs for a date window, fetched once for the whole filter
+ * NAVs are only needed when the window has an end; each investment's is from its latest
+ * snapshot up to the end of that month, as on the monthly performance history.
+ */
+async function loadWindowData(vehicleId, fundId, dateRange) {
+    const filter = { vehicleId: toApexFilter(vehicleId), fundId: toApexFilter(fundId) };
+    const [rows, cashFlows, values] = await Promise.all([
+        loadInvestments(),
+        getCashFlows(filter),
+        dateRange.endDate ? getInvestmentValues({ ...filter, asOfDate: toMonthEnd(dateRange.endDate) }) : null
+    ]);
+
+    return {
+        rows: filterInvestments(rows, vehicleId, fundId),
+        cashFlows: cashFlows || [],
+        valueByInvestment: values ? new Map(values.map(item => [item.investmentId, item.value || 0])) : null,
+        dateRange
+    };
+}
+
+/**
+ * Amounts of some investment rows limited to a date window
+ * Commitments count investments made by the window's end, called and distributions are the
+ * snapshot cash flows dated inside the window and value is the NAV at the end.
+ * calledToDate and distributedToDate run from inception to the end, for TVPI.
+ */
+function getWindowedTotals(windowData, rows) {
+    const { dateRange, valueByInvestment } = windowData;
+    const investmentIds = new Set(rows.map(row => row.investmentId));
+    const flows = windowData.cashFlows.filter(cashFlow => investmentIds.has(cashFlow.investmentId));
+    const endDate = dateRange.endDate || new Date().toISOString().slice(0, 10);
+    const isBeforeEnd = cashFlow => cashFlow.date <= endDate;
+
+    const estimatedValue = valueByInvestment
+        ? rows.reduce((sum, row) => sum + (valueByInvestment.get(row.investmentId) || 0), 0)
+        : sumCashFlows(flows, 'nav', () => true);
+
+    return {
+        totalCommitments: rows
+            .filter(row => !row.investmentDate || row.investmentDate <= endDate)
+            .reduce((sum, row) => sum + (row.commitmentAmount || 0), 0),
+        totalCalled: sumCashFlows(flows, 'call', cashFlow => isInDateRange(cashFlow.date, dateRange)),
+        totalDistributions: sumCashFlows(flows, 'distribution', cashFlow => isInDateRange(cashFlow.date, dateRange)),
+        estimatedValue,
+        calledToDate: sumCashFlows(flows, 'call', isBeforeEnd),
+        distributedToDate: sumCashFlows(flows, 'distribution', isBeforeEnd)
+    };
+}
+
+/**
+ * Metrics limited to a date window; TVPI is as of the window's end
+ */
+async function getWindowedMetrics(vehicleId, fundId, dateRange) {
+    const windowData = await loadWindowData(vehicleId, fundId, dateRange);
+    const totals = getWindowedTotals(windowData, windowData.rows);
+
+    return {
+        totalCommitments: totals.totalCommitments,
+        totalCalled: totals.totalCalled,
+        totalDistributions: totals.totalDistributions,
+        estimatedValue: totals.estimatedValue,
+        estimatedTVPI: toTvpi(totals.distributedToDate, totals.estimatedValue, totals.calledToDate)
+    };
+}
+
+/**
+ * Stable fund color, based on the fund's position in the whole portfolio
+ */
+function buildColorMap(rows) {
+    const colors = new Map();
+    rows.forEach(row => {
+        if (!colors.has(row.fundId)) {
+            colors.set(row.fundId, FUND_COLORS[colors.size % FUND_COLORS.length]);
+        }
+    });
+    return colors;
+}
+
+/**
+ * Roll investment rows up into one entry per fund
+ * @returns {Array} Funds with summed amounts and the vehicles they are held through
+ */
+function rollUpByFund(rows, colors) {
+    const fundsById = new Map();
+
+    rows.forEach(row => {
+        let fund = fundsById.get(row.fundId);
+        if (!fund) {
+            fund = {
+                id: row.fundId,
+                name: row.fundName,
+                vehicleIds: [],
+                color: colors.get(row.fundId),
+                totalCommitments: 0,
+                totalCalled: 0,
+                totalDistributions: 0,
+                estimatedValue: 0
+            };
+            fundsById.set(row.fundId, fund);
+        }
+
+        if (row.vehicleId && !fund.vehicleIds.includes(row.vehicleId)) {
+            fund.vehicleIds.push(row.vehicleId);
+        }
+        fund.totalCommitments += row.commitmentAmount || 0;
+        fund.totalCalled += row.totalInvested || 0;
+        fund.totalDistributions += row.distributedAmount || 0;
+        fund.estimatedValue += row.currentValuation || 0;
+    });
+
+    return Array.from(fundsById.values());
+}
+
+/**
+ * Investment rows summed per vehicle and fund, in row order
+ * Strategy is the fund type; sector, geography and vintage come from the fund (see FundDataController)
+ */
+function rollUpByVehicleAndFund(rows) {
+    const groups = new Map();
+
+    rows.forEach(row => {
+        const key = `${row.vehicleId || ''}|${row.fundId}`;
+        let group = groups.get(key);
+        if (!group) {
+            group = {
+                vehicleId: row.vehicleId || null,
+                vehicleName: row.vehicleName || '',
+                fundId: row.fundId,
+                fundName: row.fundName,
+                strategy: row.fundType || '',
+                sector: row.sector || '',
+                geography: row.geography || '',
+                vintageYear: row.vintageYear || null,
+                totalCommitments: 0,
+                totalCalled: 0,
+                totalDistributions: 0,
+                estimatedValue: 0
+            };
+            groups.set(key, group);
+        }
+
+        group.totalCommitments += row.commitmentAmount || 0;
+        group.totalCalled += row.totalInvested || 0;
+        group.totalDistributions += row.distributedAmount || 0;
+        group.estimatedValue += row.currentValuation || 0;
+    });
+
+    return Array.from(groups.values());
+}
+
+/**
+ * Commitment share of each fund, as a percentage of the given total
+ */
+function toAllocation(fund, total) {
+    return total > 0 ? Math.round((fund.totalCommitments / total) * 10000) / 100 : 0;
+}
+
+const apexDataProvider = {
+    async getInvestmentVehicles() {
+        const vehicles = (await getInvestmentVehicles()) || [];
+
+        return [
+            { id: 'all', name: 'All Investment Vehicles' },
+            ...vehicles.map(vehicle => ({
+                id: vehicle.vehicleId,
+                name: vehicle.vehicleName
+            }))
+        ];
+    },
+
+    async getVehicleDetails() {
+        const details = (await getVehicleDetails()) || [];
+
+        return details.map(detail => ({
+            ...detail,
+            maskedTaxId: detail.maskedTaxId || null,
+            maskedForeignTaxId: detail.maskedForeignTaxId || null,
+            signers: detail.signers || []
+        }));
+    },
+
+    /**
+     * vehicleId is only set when the fund is held through a single vehicle,
+     * so selecting the fund can auto-select its vehicle unambiguously
+     */
+    async getFunds() {
+        const rows = await loadInvestments();
+        const funds = rollUpByFund(rows, buildColorMap(rows));
+        const total = funds.reduce((sum, fund) => sum + fund.totalCommitments, 0);
+
+        return funds.map(fund => ({
+            id: fund.id,
+            name: fund.name,
+            vehicleId: fund.vehicleIds.length === 1 ? fund.vehicleIds[0] : null,
+            vehicleIds: fund.vehicleIds,
+            allocation: toAllocation(fund, total),
+            color: fund.color
+        }));
+    },
+
+    async getPortfolioMetrics(vehicleId = 'all', fundId = 'all', dateRange = null) {
+        if (hasDateWindow(dateRange)) {
+            return getWindowedMetrics(vehicleId, fundId, dateRange);
+        }
+
+        const stats = await getFundStatistics({ vehicleId: toApexFilter(vehicleId), fundId: toApexFilter(fundId) });
+
+        return {
+            totalCommitments: stats.totalCommitments || 0,
+            totalCalled: stats.totalInvested || 0,
+            totalDistributions: stats.totalDistributions || 0,
+            estimatedValue: stats.totalValuation || 0,
+            estimatedTVPI: stats.tvpi || 0
+        };
+    },
+
+    /**
+     * Commitments of investments made by the end of the date window
+     */
+    async getFundAllocation(vehicleId = 'all', fundId = 'all', dateRange = null) {
+        const rows = await loadInvestments();
+        const endDate = dateRange && dateRange.endDate;
+        const selectedRows = filterInvestments(rows, vehicleId, fundId)
+            .filter(row => !endDate || !row.investmentDate || row.investmentDate <= endDate);
+        const funds = rollUpByFund(selectedRows, buildColorMap(rows));
+        const total = funds.reduce((sum, fund) => sum + fund.totalCommitments, 0);
+
+        return funds.map(fund => ({
+            fundId: fund.id,
+            fundName: fund.name,
+            allocation: toAllocation(fund, total),
+            value: fund.totalCommitments,
+            color: fund.color
+        }));
+    },
+
+    /**
+     * Monthly history from Investment_Snapshot__c, aggregated server-side
+     */
+    async getPerformanceData(vehicleId = 'all', fundId = 'all', dateRange = null) {
+        const history = (await getPerformanceHistory({
+            vehicleId: toApexFilter(vehicleId),
+            fundId: toApexFilter(fundId),
+            frequency: 'Monthly'
+        })) || [];
+
+        return history.filter(point => isInDateRange(point.date, dateRange)).map(point => ({
+            date: point.date,
+            totalValue: point.totalValue,
+            capitalCalled: point.capitalCalled,
+            distributions: point.distributions,
+            tvpi: point.tvpi,
+            commitments: point.commitments
+        }));
+    },
+
+    async getCashFlows(vehicleId = 'all', fundId = 'all') {
+        return (await getCashFlows({ vehicleId: toApexFilter(vehicleId), fundId: toApexFilter(fundId) })) || [];
+    },
+
+    /**
+     * Rows add up to getPortfolioMetrics: investment totals without a date window,
+     * the same windowed cash flows split by investment with one
+     */
+    async getFundBreakdown(vehicleId = 'all', fundId = 'all', dateRange = null) {
+        if (hasDateWindow(dateRange)) {
+            const windowData = await loadWindowData(vehicleId, fundId, dateRange);
+            return rollUpByVehicleAndFund(windowData.rows).map(group => {
+                // Investments held without a vehicle form their own group
+                const groupRows = windowData.rows.filter(row =>
+                    (row.vehicleId || null) === group.vehicleId && row.fundId === group.fundId);
+                const totals = getWindowedTotals(windowData, groupRows);
+                return {
+                    vehicleId: group.vehicleId,
+                    vehicleName: group.vehicleName,
+                    fundId: group.fundId,
+                    fundName: group.fundName,
+                    strategy: group.strategy,
+                    sector: group.sector,
+                    geography: group.geography,
+                    vintageYear: group.vintageYear,
+                    ...totals,
+                    estimatedTVPI: toTvpi(totals.distributedToDate, totals.estimatedValue, totals.calledToDate)
+                };
+            });
+        }
+
+        const groups = rollUpByVehicleAndFund(filterInvestments(await loadInvestments(), vehicleId, fundId));
+        return groups.map(group => ({
+            ...group,
+            estimatedTVPI: toTvpi(group.totalDistributions, group.estimatedValue, group.totalCalled),
+            calledToDate: group.totalCalled,
+            distributedToDate: group.totalDistributions
+        }));
+    },
+
+    /**
+     * One row per investment, as returned by getFundsForPartner()
+     */
+    async getFundHoldings() {
+        const rows = await loadInvestments();
+
+        return rows.map(row => ({
+            investmentId: row.investmentId,
+            fundId: row.fundId,
+            fundName: row.fundName,
+            fundType: row.fundType || '',
+            vehicleId: row.vehicleId || null,
+            vehicleName: row.vehicleName || '',
+            totalInvested: row.totalInvested || 0,
+            currentValuation: row.currentValuation || 0,
+            pendingAmount: row.pendingAmount || 0,
+            commitmentAmount: row.commitmentAmount || 0,
+            distributedAmount: row.distributedAmount || 0,
+            returnPercentage: row.returnPercentage || 0,
+            investmentDate: row.investmentDate || '',
+            fundStatus: row.fundStatus
+        }));
+    },
+
+    async getCommitments(vehicleId = 'all', fundId = 'all') {
+        const commitments = (await getCommitments({ vehicleId: toApexFilter(vehicleId), fundId: toApexFilter(fundId) })) || [];
+
+        return commitments.map(commitment => ({
+            ...commitment,
+            vehicleId: commitment.vehicleId || null,
+            vehicleName: commitment.vehicleName || '',
+            transfers: (commitment.transfers || []).map(transfer => ({
+                ...transfer,
+                counterparty: transfer.counterparty || '',
+                description: transfer.description || ''
+            }))
+        }));
+    },
+
+    async getCapitalCalls(vehicleId = 'all', fundId = 'all') {
+        const calls = (await getCapitalCalls({ vehicleId: toApexFilter(vehicleId), fundId: toApexFilter(fundId) })) || [];
+
+        return calls.map(call => ({
+            id: call.callId,
+            callNumber: call.callNumber,
+            fundId: call.fundId,
+            fundName: call.fundName,
+            vehicleId: call.vehicleId,
+            vehicleName: call.vehicleName || '',
+            callDate: call.callDate,
+            dueDate: call.dueDate,
+            description: call.description,
+            amount: call.amount,
+            paidAmount: call.paidAmount,
+            outstandingAmount: call.outstandingAmount,
+            commitmentPercentage: call.commitmentPercentage,
+            status: call.status,
+            noticeUrl: call.noticeUrl || null
+        }));
+    },
+
+    async getDistributions(vehicleId = 'all', fundId = 'all') {
+        const distributions = (await getDistributions({ vehicleId: toApexFilter(vehicleId), fundId: toApexFilter(fundId) })) || [];
+
+        return distributions.map(distribution => ({
+            id: distribution.distributionId,
+            distributionNumber: distribution.distributionNumber,
+            fundId: distribution.fundId,
+            fundName: distribution.fundName,
+            vehicleId: distribution.vehicleId,
+            vehicleName: distribution.vehicleName || '',
+            distributionDate: distribution.distributionDate,
+            description: distribution.description,
+            returnOfCapital: distribution.returnOfCapital,
+            capitalGain: distribution.capitalGain,
+            income: distribution.income,
+            recallable: distribution.recallable,
+            grossAmount: distribution.grossAmount,
+            withholdingTax: distribution.withholdingTax,
+            netAmount: distribution.netAmount,
+            noticeUrl: distribution.noticeUrl || null
+        }));
+    },
+
+    async getCapitalAccountStatements(vehicleId = 'all', fundId = 'all', asOfDate = null) {
+        const statements = (await getCapitalAccountStatements({
+            vehicleId: toApexFilter(vehicleId),
+            fundId: toApexFilter(fundId),
+            asOfDate
+        })) || [];
+
+        return statements.map(statement => ({
+            ...statement,
+            vehicleName: statement.vehicleName || ''
+        }));
+    },
+
+    async getDocuments() {
+        const documents = (await getDocuments()) || [];
+
+        return documents.map(doc => ({
+            documentId: doc.documentId,
+            title: doc.title,
+            description: doc.description || '',
+            category: doc.category,
+            fundId: doc.fundId,
+            fundName: doc.fundName || '',
+            vehicleId: doc.vehicleId,
+            vehicleName: doc.vehicleName || '',
+            documentDate: doc.documentDate,
+            fileExtension: doc.fileExtension,
+            contentSize: doc.contentSize,
+            isUnread: doc.isUnread
+        }));
+    },
+
+    async recordDocumentDownload(documentId) {
+        return (await recordDocumentDownload({ documentId })) || null;
+    },
+
+    async getDataRoom() {
+        const dataRoom = await getDataRoom();
+
+        return {
+            hasAccess: !!dataRoom.hasAccess,
+            ndaRequired: !!dataRoom.ndaRequired,
+            ndaVersion: dataRoom.ndaVersion,
+            ndaAcceptedAt: dataRoom.ndaAcceptedAt || null,
+            folders: (dataRoom.folders || []).map(folder => ({
+                folderId: folder.folderId,
+                name: folder.name,
+                description: folder.description || '',
+                parentId: folder.parentId || null,
+                sortOrder: folder.sortOrder,
+                watermarkEnabled: !!folder.watermarkEnabled,
+                documents: folder.documents || []
+            }))
+        };
+    },
+
+    async acceptDataRoomNda(ndaVersion) {
+        await acceptDataRoomNda({ ndaVersion });
+        return null;
+    },
+
+    async recordDataRoomFolderAccess(folderId) {
+        await recordDataRoomFolderAccess({ folderId });
+        return null;
+    },
+
+    async openDataRoomDocument(folderId, documentId, download = false) {
+        return openDataRoomDocument({ folderId, documentId, download });
+    },
+
+    async getUserPreferences() {
+        const preferencesJson = await getPreferences();
+        return preferencesJson ? JSON.parse(preferencesJson) : null;
+    },
+
+    async saveUserPreferences(preferences) {
+        await savePreferences({ preferencesJson: preferences ? JSON.stringify(preferences) : null });
+        return null;
+    },
+
+    async getFilterViews() {
+        const views = (await getFilterViews()) || [];
+        return views.map(toFilterView);
+    },
+
+    async saveFilterView(view) {
+        const saved = await saveFilterView({
+            viewId: view.viewId || null,
+            name: view.name,
+            filterStateJson: JSON.stringify(view.filterState)
+        });
+        return toFilterView(saved);
+    },
+
+    async deleteFilterView(viewId) {
+        await deleteFilterView({ viewId });
+        return null;
+    },
+
+    async getBenchmarks() {
+        return (await getBenchmarks()) || [];
+    },
+
+    async getBenchmarkLevels(benchmarkId) {
+        const levels = (await getBenchmarkLevels({ benchmarkId })) || [];
+        return levels.map(level => ({ date: level.levelDate, level: Number(level.level) }));
+    },
+
+    async getPortfolioCompanies(fundId) {
+        const companies = (await getPortfolioCompanies({ fundId })) || [];
+        return companies.map(company => ({
+            ...company,
+            moic: company.moic === null || company.moic === undefined ? null : Number(company.moic),
+            exitDate: company.exitDate || '',
+            holdingYears: company.holdingYears === null || company.holdingYears === undefined
+                ? null
+                : Number(company.holdingYears)
+        }));
+    }
+};
+
+export default apexDataProvider;
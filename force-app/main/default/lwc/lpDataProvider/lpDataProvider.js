@@ -0,0 +1,94 @@
+/**
+ * lpDataProvider
+ * @Description: Pluggable data-provider layer for FundPanel LP Portal
+ *
+ * Components never talk to a data source directly. They ask for a provider by
+ * type and call its async interface, so the dashboard renders the same way on
+ * demo data and on the logged-in LP's Investment__c records.
+ *
+ * Provider interface (every method returns a Promise):
+ * - getInvestmentVehicles(): Array<{id, name}> (includes the 'all' option)
+ * - getVehicleDetails(): Array<{vehicleId, vehicleName, legalName, entityType, jurisdiction, formationDate,
+ *   registeredAddress, taxIdType, maskedTaxId, maskedForeignTaxId, taxResidence, signers}>, where each signer is
+ *   {signerId, name, role, email, signingAuthority}. Tax IDs arrive masked except for the last four characters.
+ * - getFunds(): Array<{id, name, vehicleId, vehicleIds?, allocation, color}>
+ * - getPortfolioMetrics(vehicleId, fundId, dateRange): InvestmentMetrics. With a date window, commitments
+ *   and value are as of its end, called and distributions are the amounts paid inside it and TVPI is as of its end.
+ * - getFundAllocation(vehicleId, fundId, dateRange): Array<{fundId, fundName, allocation, value, color}>,
+ *   commitments as of the end of the date window
+ * - getPerformanceData(vehicleId, fundId, dateRange): Array<{date, totalValue, capitalCalled, distributions, tvpi,
+ *   commitments}>, months inside the date window; commitments count the investments made by the month's end
+ * - getFundBreakdown(vehicleId, fundId, dateRange): Array<{vehicleId, vehicleName, fundId, fundName, strategy, sector,
+ *   geography, vintageYear, totalCommitments, totalCalled, totalDistributions, estimatedValue, estimatedTVPI,
+ *   calledToDate, distributedToDate}>, one row per vehicle and fund; classifications are '' (vintageYear null) when
+ *   unknown. Amounts follow getPortfolioMetrics, so the rows add up to its totals; calledToDate and
+ *   distributedToDate run from inception to the end of the date window, for rolling up TVPI.
+ * - getCashFlows(vehicleId, fundId): Array<{date, amount, type}> (see lpMetricsEngine)
+ * - getFundHoldings(): Array<{investmentId, fundId, fundName, fundType, vehicleId, vehicleName, totalInvested,
+ *   currentValuation, pendingAmount, commitmentAmount, distributedAmount, returnPercentage, investmentDate,
+ *   fundStatus}>, one row per investment; fundStatus is 'Active', 'Pending' or 'Closed'
+ * - getCommitments(vehicleId, fundId): Array<{investmentId, fundId, fundName, vehicleId, vehicleName, fundStatus,
+ *   investmentDate, originalCommitment, transferAmount, commitmentAmount, calledAmount, unfundedAmount,
+ *   percentFunded, transfers}>, where each transfer is {transferId, transferNumber, transferDate, transferType,
+ *   amount, counterparty, description}; amount is negative when commitment was sold or transferred out
+ * - getCapitalCalls(vehicleId, fundId): Array<{id, callNumber, fundId, fundName, vehicleId, vehicleName,
+ *   callDate, dueDate, description, amount, paidAmount, outstandingAmount, commitmentPercentage,
+ *   status, noticeUrl}>
+ * - getDistributions(vehicleId, fundId): Array<{id, distributionNumber, fundId, fundName, vehicleId, vehicleName,
+ *   distributionDate, description, returnOfCapital, capitalGain, income, recallable, grossAmount,
+ *   withholdingTax, netAmount, noticeUrl}>
+ * - getCapitalAccountStatements(vehicleId, fundId, asOfDate): Array<{investmentId, fundId, fundName,
+ *   vehicleId, vehicleName, quarterToDate, yearToDate, inceptionToDate}>, where each period is
+ *   {startDate, endDate, beginningBalance, contributions, distributions, managementFees, fundExpenses,
+ *   realizedGainLoss, unrealizedGainLoss, endingBalance}. An empty asOfDate means current values.
+ * - getDocuments(): Array<{documentId, title, description, category, fundId, fundName, vehicleId,
+ *   vehicleName, documentDate, fileExtension, contentSize, isUnread}>
+ * - recordDocumentDownload(documentId): download URL, or null when the document has no file
+ * - getDataRoom(): {hasAccess, ndaRequired, ndaVersion, ndaAcceptedAt, folders}, where each folder is
+ *   {folderId, name, description, parentId, sortOrder, watermarkEnabled, documents} and each document is
+ *   {documentId, title, fileExtension, contentSize, lastModifiedDate}. Folders are empty until the NDA is accepted.
+ * - acceptDataRoomNda(ndaVersion): null
+ * - recordDataRoomFolderAccess(folderId): null
+ * - openDataRoomDocument(folderId, documentId, download): {documentId, title, previewUrl, downloadUrl,
+ *   watermarkText}. Rejects downloads from watermarked (view-only) folders.
+ * - getUserPreferences(): Object of the user's saved portal preferences, or null (see lpPreferenceStore)
+ * - saveUserPreferences(preferences): null. Passing null resets the user to defaults.
+ * - getFilterViews(): Array<{viewId, name, filterState, isOrgPreset}>, IR presets first, then the user's own
+ *   views. filterState is {vehicleId, fundId, dateRange} as lpFilterBar.getFilterState() returns it.
+ * - saveFilterView({viewId, name, filterState}): the saved view. Without a viewId a new view is created;
+ *   IR presets cannot be changed.
+ * - deleteFilterView(viewId): null. Only the user's own views can be deleted.
+ * - getBenchmarks(): Array<{benchmarkId, name}>, the active public market benchmarks
+ * - getBenchmarkLevels(benchmarkId): Array<{date, level}>, index levels in date order from the file an
+ *   admin attached to the benchmark (see BenchmarkController); empty when there is no file yet
+ * - getPortfolioCompanies(fundId): Array<{companyId, companyName, fundId, cost, fairValue, moic, investmentDate,
+ *   exitDate, holdingYears}>, the companies one of the LP's funds holds, largest fair value first. moic and
+ *   holdingYears are null without a cost or investment date; exitDate is '' while the company is held.
+ *
+ * vehicleId and fundId take 'all', a single Id or an array of Ids (lpFilterBar multi-select).
+ * dateRange is a DateRange from lpDateRange ({preset, startDate, endDate}); null means inception to date.
+ *
+ * Providers:
+ * - 'static': hard-coded data from lpStaticDataService (demos and Jest)
+ * - 'apex': live data from FundDataController
+ */
+
+import staticDataProvider from './staticDataProvider';
+import apexDataProvider from './apexDataProvider';
+
+export const PROVIDER_STATIC = 'static';
+export const PROVIDER_APEX = 'apex';
+
+const providers = {
+    [PROVIDER_STATIC]: staticDataProvider,
+    [PROVIDER_APEX]: apexDataProvider
+};
+
+/**
+ * Resolve a data provider by type
+ * @param {string} providerType - 'static' or 'apex'
+ * @returns {Object} Provider implementing the async data interface
+ */
+export function getDataProvider(providerType) {
+    return providers[providerType] || providers[PROVIDER_STATIC];
+}
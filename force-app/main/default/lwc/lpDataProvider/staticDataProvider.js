@@ -0,0 +1,170 @@
+/**
+ * Static data provider
+ * Wraps the hard-coded MVP data in lpStaticDataService behind the async provider interface
+ */
+
+import {
+    getInvestmentVehicles,
+    getVehicleDetails,
+    getFunds,
+    getPortfolioMetrics,
+    getFundAllocation,
+    getPerformanceData,
+    getFundBreakdown,
+    getCashFlows,
+    getFundHoldings,
+    getCommitments,
+    getCapitalCalls,
+    getDistributions,
+    getCapitalAccountStatements,
+    getDocuments,
+    recordDocumentDownload,
+    getDataRoom,
+    acceptDataRoomNda,
+    recordDataRoomFolderAccess,
+    openDataRoomDocument,
+    getUserPreferences,
+    saveUserPreferences,
+    getFilterViews,
+    saveFilterView,
+    deleteFilterView,
+    getBenchmarks,
+    getBenchmarkLevels,
+    getPortfolioCompanies
+} from 'c/lpStaticDataService';
+
+const staticDataProvider = {
+    getInvestmentVehicles() {
+        return Promise.resolve(getInvestmentVehicles());
+    },
+
+    getVehicleDetails() {
+        return Promise.resolve(getVehicleDetails());
+    },
+
+    getFunds() {
+        return Promise.resolve(getFunds());
+    },
+
+    getPortfolioMetrics(vehicleId = 'all', fundId = 'all', dateRange = null) {
+        return Promise.resolve(getPortfolioMetrics(vehicleId, fundId, dateRange));
+    },
+
+    getFundAllocation(vehicleId = 'all', fundId = 'all', dateRange = null) {
+        return Promise.resolve(getFundAllocation(vehicleId, fundId, dateRange));
+    },
+
+    getPerformanceData(vehicleId = 'all', fundId = 'all', dateRange = null) {
+        return Promise.resolve(getPerformanceData(vehicleId, fundId, dateRange));
+    },
+
+    getFundBreakdown(vehicleId = 'all', fundId = 'all', dateRange = null) {
+        return Promise.resolve(getFundBreakdown(vehicleId, fundId, dateRange));
+    },
+
+    getCashFlows(vehicleId = 'all', fundId = 'all') {
+        return Promise.resolve(getCashFlows(vehicleId, fundId));
+    },
+
+    getFundHoldings() {
+        return Promise.resolve(getFundHoldings());
+    },
+
+    getCommitments(vehicleId = 'all', fundId = 'all') {
+        return Promise.resolve(getCommitments(vehicleId, fundId));
+    },
+
+    getCapitalCalls(vehicleId = 'all', fundId = 'all') {
+        return Promise.resolve(getCapitalCalls(vehicleId, fundId));
+    },
+
+    getDistributions(vehicleId = 'all', fundId = 'all') {
+        return Promise.resolve(getDistributions(vehicleId, fundId));
+    },
+
+    getCapitalAccountStatements(vehicleId = 'all', fundId = 'all', asOfDate = null) {
+        return Promise.resolve(getCapitalAccountStatements(vehicleId, fundId, asOfDate));
+    },
+
+    getDocuments() {
+        return Promise.resolve(getDocuments());
+    },
+
+    recordDocumentDownload(documentId) {
+        return Promise.resolve(recordDocumentDownload(documentId));
+    },
+
+    getDataRoom() {
+        return Promise.resolve(getDataRoom());
+    },
+
+    acceptDataRoomNda(ndaVersion) {
+        try {
+            return Promise.resolve(acceptDataRoomNda(ndaVersion));
+        } catch (error) {
+            return Promise.reject(error);
+        }
+    },
+
+    recordDataRoomFolderAccess(folderId) {
+        return Promise.resolve(recordDataRoomFolderAccess(folderId));
+    },
+
+    openDataRoomDocument(folderId, documentId, download = false) {
+        try {
+            return Promise.resolve(openDataRoomDocument(folderId, documentId, download));
+        } catch (error) {
+            return Promise.reject(error);
+        }
+    },
+
+    getUserPreferences() {
+        return Promise.resolve(getUserPreferences());
+    },
+
+    saveUserPreferences(preferences) {
+        return Promise.resolve(saveUserPreferences(preferences));
+    },
+
+    getFilterViews() {
+        return Promise.resolve(getFilterViews());
+    },
+
+    saveFilterView(view) {
+        try {
+            return Promise.resolve(saveFilterView(view));
+        } catch (error) {
+            return Promise.reject(error);
+        }
+    },
+
+    deleteFilterView(viewId) {
+        try {
+            return Promise.resolve(deleteFilterView(viewId));
+        } catch (error) {
+            return Promise.reject(error);
+        }
+    },
+
+    getBenchmarks() {
+        return Promise.resolve(getBenchmarks());
+    },
+
+    getBenchmarkLevels(benchmarkId) {
+        try {
+            return Promise.resolve(getBenchmarkLevels(benchmarkId));
+        } catch (error) {
+            return Promise.reject(error);
+        }
+    },
+
+    getPortfolioCompanies(fundId) {
+        try {
+            return Promise.resolve(getPortfolioCompanies(fundId));
+        } catch (error) {
+            return Promise.reject(error);
+        }
+    }
+};
+
+export default staticDataProvider;
@@ -0,0 +1,353 @@
+/**
+ * lpDataRoom
+ * @Description: Aduro Capital Data Room for FundPanel LP Portal
+ *
+ * Folder-tree data room for prospective and existing LPs:
+ * - NDA acceptance gate before first access (and again when the NDA version changes)
+ * - Folder tree filtered server-side by the user's LP_Data_Room_* permission sets
+ * - Document viewer with a watermark naming the viewer for view-only folders
+ * - Every folder open, view and download is recorded in the access log
+ *
+ * Props:
+ * - providerType: 'apex' (live) or 'static' (demo), see lpDataProvider
+ */
+
+import { LightningElement, api, track } from 'lwc';
+import { getDataProvider } from 'c/lpDataProvider';
+import { formatDate } from 'c/lpStaticDataService';
+
+// Watermark tiles drawn over the document preview
+const WATERMARK_TILE_COUNT = 12;
+
+/**
+ * Human-readable file size (e.g. "245 KB")
+ */
+function formatFileSize(bytes) {
+    if (!bytes) return '';
+    if (bytes >= 1048576) {
+        return `${(bytes / 1048576).toFixed(1)} MB`;
+    }
+    return `${Math.max(1, Math.round(bytes / 1024))} KB`;
+}
+
+/**
+ * Sibling order: sortOrder first (blank last), then name
+ */
+function compareFolders(a, b) {
+    const orderA = a.sortOrder ?? Number.MAX_SAFE_INTEGER;
+    const orderB = b.sortOrder ?? Number.MAX_SAFE_INTEGER;
+    return orderA - orderB || a.name.localeCompare(b.name);
+}
+
+export default class LpDataRoom extends LightningElement {
+    @api providerType = 'apex';
+
+    // Data room state from the provider
+    @track hasAccess = false;
+    @track ndaRequired = false;
+    @track ndaVersion = '';
+    @track folders = [];
+
+    // Tree and viewer state
+    @track expandedFolderIds = [];
+    @track selectedFolderId = null;
+    @track openDocument = null;
+
+    // UI state
+    @track isLoading = false;
+    @track isLoaded = false;
+    @track ndaAgreed = false;
+    @track isAcceptingNda = false;
+    @track busyDocumentId = null;
+    @track errorMessage = '';
+
+    connectedCallback() {
+        this.loadDataRoom();
+    }
+
+    get provider() {
+        return getDataProvider(this.providerType);
+    }
+
+    get hasError() {
+        return !!this.errorMessage;
+    }
+
+    /**
+     * Load the data room; opens the first top-level folder once the NDA is accepted
+     */
+    async loadDataRoom() {
+        this.isLoading = true;
+        try {
+            const dataRoom = await this.provider.getDataRoom();
+            this.hasAccess = dataRoom.hasAccess;
+            this.ndaRequired = dataRoom.ndaRequired;
+            this.ndaVersion = dataRoom.ndaVersion;
+            this.folders = dataRoom.folders || [];
+            this.errorMessage = '';
+            this.isLoaded = true;
+
+            if (this.showDataRoom && !this.selectedFolder) {
+                const [firstFolder] = this.getChildFolders(null);
+                if (firstFolder) {
+                    this.selectFolder(firstFolder.folderId);
+                }
+            }
+        } catch (error) {
+            this.handleDataError(error, 'Unable to load the data room. Please refresh the page.');
+        } finally {
+            this.isLoading = false;
+        }
+    }
+
+    handleDataError(error, fallbackMessage) {
+        console.error('Data room error:', error);
+        this.errorMessage = error && error.body ? error.body.message : fallbackMessage;
+    }
+
+    // ========================================
+    // Page state
+    // ========================================
+
+    get showNoAccess() {
+        return this.isLoaded && !this.hasAccess;
+    }
+
+    get showNdaGate() {
+        return this.isLoaded && this.hasAccess && this.ndaRequired;
+    }
+
+    get showDataRoom() {
+        return this.isLoaded && this.hasAccess && !this.ndaRequired;
+    }
+
+    get hasFolders() {
+        return this.folders.length > 0;
+    }
+
+    get isAcceptDisabled() {
+        return !this.ndaAgreed || this.isAcceptingNda;
+    }
+
+    // ========================================
+    // Folder tree
+    // ========================================
+
+    getChildFolders(parentId) {
+        return this.folders
+            .filter(folder => (folder.parentId || null) === parentId)
+            .sort(compareFolders);
+    }
+
+    /**
+     * Visible tree rows: top-level folders plus the children of expanded folders
+     */
+    get treeRows() {
+        const rows = [];
+        const addRows = (parentId, depth) => {
+            this.getChildFolders(parentId).forEach(folder => {
+                const hasChildren = this.folders.some(child => child.parentId === folder.folderId);
+                const isExpanded = this.expandedFolderIds.includes(folder.folderId);
+                const isSelected = folder.folderId === this.selectedFolderId;
+
+                rows.push({
+                    folderId: folder.folderId,
+                    name: folder.name,
+                    hasChildren,
+                    isExpanded: hasChildren && isExpanded,
+                    ariaExpanded: hasChildren ? String(isExpanded) : null,
+                    toggleIcon: isExpanded ? '▾' : '▸',
+                    toggleLabel: `${isExpanded ? 'Collapse' : 'Expand'} ${folder.name}`,
+                    ariaCurrent: isSelected ? 'true' : null,
+                    rowClass: `tree-row${isSelected ? ' tree-row-selected' : ''}`,
+                    indentStyle: `padding-left: ${depth * 20}px`
+                });
+
+                if (hasChildren && isExpanded) {
+                    addRows(folder.folderId, depth + 1);
+                }
+            });
+        };
+        addRows(null, 0);
+        return rows;
+    }
+
+    get selectedFolder() {
+        return this.folders.find(folder => folder.folderId === this.selectedFolderId) || null;
+    }
+
+    /**
+     * Path from the top-level folder down to the selected folder
+     */
+    get breadcrumbs() {
+        const path = [];
+        let folder = this.selectedFolder;
+        while (folder && path.length < this.folders.length) {
+            path.unshift({
+                folderId: folder.folderId,
+                name: folder.name,
+                isCurrent: folder.folderId === this.selectedFolderId
+            });
+            const parentId = folder.parentId;
+            folder = this.folders.find(f => f.folderId === parentId);
+        }
+        return path;
+    }
+
+    get subfolders() {
+        return this.selectedFolder ? this.getChildFolders(this.selectedFolder.folderId) : [];
+    }
+
+    get hasSubfolders() {
+        return this.subfolders.length > 0;
+    }
+
+    get documentRows() {
+        const folder = this.selectedFolder;
+        if (!folder) {
+            return [];
+        }
+        return [...(folder.documents || [])]
+            .sort((a, b) => a.title.localeCompare(b.title))
+            .map(doc => ({
+                ...doc,
+                fileLabel: [doc.fileExtension ? doc.fileExtension.toUpperCase() : '', formatFileSize(doc.contentSize)]
+                    .filter(part => part)
+                    .join(' · '),
+                updatedLabel: doc.lastModifiedDate ? formatDate(doc.lastModifiedDate.slice(0, 10)) : '',
+                canDownload: !folder.watermarkEnabled,
+                isBusy: this.busyDocumentId === doc.documentId,
+                viewAriaLabel: `View ${doc.title}`,
+                downloadAriaLabel: `Download ${doc.title}`
+            }));
+    }
+
+    get hasDocuments() {
+        return this.documentRows.length > 0;
+    }
+
+    get isFolderEmpty() {
+        return !this.hasDocuments && !this.hasSubfolders;
+    }
+
+    // ========================================
+    // Viewer
+    // ========================================
+
+    get isViewerOpen() {
+        return !!this.openDocument;
+    }
+
+    get hasWatermark() {
+        return !!(this.openDocument && this.openDocument.watermarkText);
+    }
+
+    get watermarkTiles() {
+        return Array.from({ length: WATERMARK_TILE_COUNT }, (value, index) => ({
+            key: `watermark-${index}`,
+            text: this.openDocument.watermarkText
+        }));
+    }
+
+    // ========================================
+    // Event handlers
+    // ========================================
+
+    handleNdaAgreeChange(event) {
+        this.ndaAgreed = event.target.checked;
+    }
+
+    async handleAcceptNda() {
+        this.isAcceptingNda = true;
+        try {
+            await this.provider.acceptDataRoomNda(this.ndaVersion);
+            await this.loadDataRoom();
+        } catch (error) {
+            this.handleDataError(error, 'Unable to record your NDA acceptance. Please try again.');
+        } finally {
+            this.isAcceptingNda = false;
+        }
+    }
+
+    handleToggleFolder(event) {
+        const folderId = event.currentTarget.dataset.folderId;
+        this.expandedFolderIds = this.expandedFolderIds.includes(folderId)
+            ? this.expandedFolderIds.filter(id => id !== folderId)
+            : [...this.expandedFolderIds, folderId];
+    }
+
+    handleFolderClick(event) {
+        this.selectFolder(event.currentTarget.dataset.folderId);
+    }
+
+    /**
+     * Open a folder, expanding its ancestors so it stays visible in the tree
+     */
+    async selectFolder(folderId) {
+        if (!folderId || folderId === this.selectedFolderId) {
+            return;
+        }
+        this.selectedFolderId = folderId;
+        this.openDocument = null;
+
+        const expanded = new Set(this.expandedFolderIds);
+        this.breadcrumbs.forEach(crumb => {
+            if (!crumb.isCurrent) {
+                expanded.add(crumb.folderId);
+            }
+        });
+        this.expandedFolderIds = Array.from(expanded);
+
+        try {
+            await this.provider.recordDataRoomFolderAccess(folderId);
+        } catch (error) {
+            this.handleDataError(error, 'Unable to open the folder. Please try again.');
+        }
+    }
+
+    async handleViewClick(event) {
+        const documentId = event.currentTarget.dataset.documentId;
+        const file = await this.requestDocument(documentId, false);
+        if (file) {
+            this.openDocument = file;
+        }
+    }
+
+    async handleDownloadClick(event) {
+        const documentId = event.currentTarget.dataset.documentId;
+        const file = await this.requestDocument(documentId, true);
+        if (file && file.downloadUrl) {
+            window.open(file.downloadUrl, '_blank', 'noopener');
+        }
+    }
+
+    /**
+     * Ask the provider for a document; the provider logs the view or download
+     */
+    async requestDocument(documentId, download) {
+        if (this.busyDocumentId) {
+            return null;
+        }
+        this.busyDocumentId = documentId;
+        try {
+            const file = await this.provider.openDataRoomDocument(this.selectedFolderId, documentId, download);
+            this.errorMessage = '';
+            return file;
+        } catch (error) {
+            this.handleDataError(error, 'Unable to open the document. Please try again.');
+            return null;
+        } finally {
+            this.busyDocumentId = null;
+        }
+    }
+
+    handleCloseViewer() {
+        this.openDocument = null;
+    }
+
+    errorCallback(error, stack) {
+        console.error('Data Room Error:', error);
+        console.error('Stack:', stack);
+        this.isLoading = false;
+    }
+}
@@ -0,0 +1,120 @@
+import {
+    getDatePresetOptions,
+    resolveDateRange,
+    describeDateRange,
+    isInDateRange,
+    hasDateWindow
+} from 'c/lpDateRange';
+
+function quarterEndPresets() {
+    return getDatePresetOptions()
+        .map(option => option.value)
+        .filter(value => value.startsWith('qe-'));
+}
+
+describe('c-lp-date-range', () => {
+    afterEach(() => {
+        jest.useRealTimers();
+    });
+
+    describe('on the last day of a quarter', () => {
+        beforeEach(() => {
+            jest.useFakeTimers({ now: new Date('2024-03-31T23:30:00Z') });
+        });
+
+        it('treats the quarter as not yet completed', () => {
+            expect(quarterEndPresets()).toEqual([
+                'qe-2023-12-31',
+                'qe-2023-09-30',
+                'qe-2023-06-30',
+                'qe-2023-03-31'
+            ]);
+            expect(resolveDateRange('last-4q')).toEqual({
+                preset: 'last-4q',
+                startDate: '2023-01-01',
+                endDate: '2023-12-31'
+            });
+        });
+
+        it('starts year to date on January 1', () => {
+            expect(resolveDateRange('ytd')).toEqual({ preset: 'ytd', startDate: '2024-01-01', endDate: null });
+        });
+    });
+
+    describe('on the first day of a quarter', () => {
+        beforeEach(() => {
+            jest.useFakeTimers({ now: new Date('2024-04-01T00:30:00Z') });
+        });
+
+        it('offers the quarter that just ended', () => {
+            expect(quarterEndPresets()[0]).toBe('qe-2024-03-31');
+            expect(resolveDateRange('last-4q')).toEqual({
+                preset: 'last-4q',
+                startDate: '2023-04-01',
+                endDate: '2024-03-31'
+            });
+            expect(resolveDateRange('last-8q').startDate).toBe('2022-04-01');
+        });
+
+        it('runs the last years from the day after the same date', () => {
+            expect(resolveDateRange('last-1y')).toEqual({ preset: 'last-1y', startDate: '2023-04-02', endDate: null });
+            expect(resolveDateRange('last-3y').startDate).toBe('2021-04-02');
+        });
+    });
+
+    it('starts year to date on the new year at the turn of the year', () => {
+        jest.useFakeTimers({ now: new Date('2025-01-01T00:30:00Z') });
+
+        expect(resolveDateRange('ytd').startDate).toBe('2025-01-01');
+        expect(quarterEndPresets()[0]).toBe('qe-2024-12-31');
+        expect(resolveDateRange('last-4q')).toEqual({
+            preset: 'last-4q',
+            startDate: '2024-01-01',
+            endDate: '2024-12-31'
+        });
+    });
+
+    describe('resolveDateRange', () => {
+        it('ends a quarter end preset on that date', () => {
+            expect(resolveDateRange('qe-2023-09-30')).toEqual({
+                preset: 'qe-2023-09-30',
+                startDate: null,
+                endDate: '2023-09-30'
+            });
+            expect(describeDateRange(resolveDateRange('qe-2023-09-30'))).toBe('As of Q3 2023');
+        });
+
+        it('swaps reversed custom dates', () => {
+            expect(resolveDateRange('custom', '2024-06-30', '2024-01-01')).toEqual({
+                preset: 'custom',
+                startDate: '2024-01-01',
+                endDate: '2024-06-30'
+            });
+        });
+
+        it('falls back to inception to date', () => {
+            const itd = { preset: 'itd', startDate: null, endDate: null };
+
+            expect(resolveDateRange('unknown')).toEqual(itd);
+            expect(resolveDateRange('custom')).toEqual(itd);
+            expect(resolveDateRange('qe-latest')).toEqual(itd);
+            expect(hasDateWindow(itd)).toBe(false);
+        });
+    });
+
+    describe('isInDateRange', () => {
+        const range = { preset: 'custom', startDate: '2024-01-15', endDate: '2024-03-31' };
+
+        it('includes both ends of the window', () => {
+            expect(isInDateRange('2024-01-15', range)).toBe(true);
+            expect(isInDateRange('2024-03-31', range)).toBe(true);
+            expect(isInDateRange('2024-01-14', range)).toBe(false);
+            expect(isInDateRange('2024-04-01', range)).toBe(false);
+        });
+
+        it('compares monthly points by month', () => {
+            expect(isInDateRange('2024-01', range)).toBe(true);
+            expect(isInDateRange('2023-12', range)).toBe(false);
+        });
+    });
+});
@@ -0,0 +1,214 @@
+/**
+ * lpDateRange
+ * @Description: Date window presets for FundPanel LP Portal filters
+ *
+ * DateRange interface:
+ * - preset: string ('itd', 'ytd', 'last-4q' / 'last-8q' for the last completed quarters,
+ *   'last-1y' / 'last-3y' / 'last-5y' for the years up to today, 'qe-YYYY-MM-DD' for a quarter end, or 'custom')
+ * - startDate: string | null (YYYY-MM-DD, inclusive; null = since inception)
+ * - endDate: string | null (YYYY-MM-DD, inclusive; null = today)
+ *
+ * Presets are stored by key (URL, preferences) and resolved against today's date,
+ * so "Year to Date" and "Last 8 Quarters" keep following today's date on later visits
+ * (saved views and preferences rely on this).
+ */
+
+export const PRESET_ITD = 'itd';
+export const PRESET_YTD = 'ytd';
+export const PRESET_CUSTOM = 'custom';
+export const PRESET_LAST_1Y = 'last-1y';
+export const PRESET_LAST_3Y = 'last-3y';
+export const PRESET_LAST_5Y = 'last-5y';
+
+const QUARTER_END_PREFIX = 'qe-';
+
+// Rolling windows of completed quarters, keyed by preset
+const LAST_QUARTERS_PRESETS = {
+    'last-4q': 4,
+    'last-8q': 8
+};
+
+function getLastQuartersCount(preset) {
+    return Object.prototype.hasOwnProperty.call(LAST_QUARTERS_PRESETS, preset) ? LAST_QUARTERS_PRESETS[preset] : 0;
+}
+
+// Rolling windows of whole years up to today, keyed by preset
+const LAST_YEARS_PRESETS = {
+    [PRESET_LAST_1Y]: 1,
+    [PRESET_LAST_3Y]: 3,
+    [PRESET_LAST_5Y]: 5
+};
+
+function getLastYearsCount(preset) {
+    return Object.prototype.hasOwnProperty.call(LAST_YEARS_PRESETS, preset) ? LAST_YEARS_PRESETS[preset] : 0;
+}
+
+function describeLastYears(count) {
+    return count === 1 ? 'Last 12 Months' : `Last ${count} Years`;
+}
+
+// Completed quarters offered as "As of" presets
+const QUARTER_END_PRESET_COUNT = 4;
+
+function toIsoDate(date) {
+    return date.toISOString().slice(0, 10);
+}
+
+// Today's date in UTC; every preset boundary is worked out from it, in UTC
+function today() {
+    return toIsoDate(new Date());
+}
+
+/**
+ * End dates of the most recent completed quarters, newest first
+ */
+function getRecentQuarterEnds(count) {
+    const [year, month] = today().split('-').map(Number);
+    const quarterStartMonth = Math.floor((month - 1) / 3) * 3;
+    const quarterEnds = [];
+    for (let i = 0; i < count; i++) {
+        quarterEnds.push(toIsoDate(new Date(Date.UTC(year, quarterStartMonth - 3 * i, 0))));
+    }
+    return quarterEnds;
+}
+
+/**
+ * Window covering the given number of completed quarters
+ */
+function getLastQuartersWindow(count) {
+    const quarterEnds = getRecentQuarterEnds(count + 1);
+    const [year, month, day] = quarterEnds[count].split('-').map(Number);
+    return {
+        startDate: toIsoDate(new Date(Date.UTC(year, month - 1, day + 1))),
+        endDate: quarterEnds[0]
+    };
+}
+
+/**
+ * Window from the day after the same date the given number of years ago, through today
+ */
+function getLastYearsWindow(count) {
+    const [year, month, day] = today().split('-').map(Number);
+    return {
+        startDate: toIsoDate(new Date(Date.UTC(year - count, month - 1, day + 1))),
+        endDate: null
+    };
+}
+
+function formatQuarter(isoDate) {
+    const [year, month] = isoDate.split('-').map(Number);
+    return `Q${Math.ceil(month / 3)} ${year}`;
+}
+
+function formatShortDate(isoDate) {
+    const [year, month, day] = isoDate.split('-').map(Number);
+    return new Date(year, month - 1, day).toLocaleDateString('en-US', {
+        month: 'short',
+        day: 'numeric',
+        year: 'numeric'
+    });
+}
+
+/**
+ * Preset options for a date range picker
+ * @returns {Array<{label: string, value: string}>}
+ */
+export function getDatePresetOptions() {
+    return [
+        { label: 'Inception to Date', value: PRESET_ITD },
+        { label: 'Year to Date', value: PRESET_YTD },
+        ...Object.keys(LAST_QUARTERS_PRESETS).map(preset => ({
+            label: `Last ${LAST_QUARTERS_PRESETS[preset]} Quarters`,
+            value: preset
+        })),
+        ...Object.keys(LAST_YEARS_PRESETS).map(preset => ({
+            label: describeLastYears(LAST_YEARS_PRESETS[preset]),
+            value: preset
+        })),
+        ...getRecentQuarterEnds(QUARTER_END_PRESET_COUNT).map(quarterEnd => ({
+            label: `As of ${formatQuarter(quarterEnd)}`,
+            value: `${QUARTER_END_PREFIX}${quarterEnd}`
+        })),
+        { label: 'Custom Range', value: PRESET_CUSTOM }
+    ];
+}
+
+/**
+ * Resolve a preset (and custom dates) to a DateRange
+ * Unknown presets and custom ranges without dates fall back to inception to date.
+ *
+ * @param {string} preset - Preset key
+ * @param {string} startDate - Custom start date (YYYY-MM-DD)
+ * @param {string} endDate - Custom end date (YYYY-MM-DD)
+ * @returns {Object} DateRange
+ */
+export function resolveDateRange(preset, startDate, endDate) {
+    if (preset === PRESET_YTD) {
+        return { preset, startDate: `${today().slice(0, 4)}-01-01`, endDate: null };
+    }
+    if (getLastQuartersCount(preset)) {
+        return { preset, ...getLastQuartersWindow(getLastQuartersCount(preset)) };
+    }
+    if (getLastYearsCount(preset)) {
+        return { preset, ...getLastYearsWindow(getLastYearsCount(preset)) };
+    }
+    if (preset && preset.startsWith(QUARTER_END_PREFIX)) {
+        const quarterEnd = preset.slice(QUARTER_END_PREFIX.length);
+        if (/^\d{4}-\d{2}-\d{2}$/.test(quarterEnd)) {
+            return { preset, startDate: null, endDate: quarterEnd };
+        }
+    }
+    if (preset === PRESET_CUSTOM && (startDate || endDate)) {
+        // Swap reversed custom dates rather than returning an empty window
+        const [start, end] = startDate && endDate && startDate > endDate ? [endDate, startDate] : [startDate, endDate];
+        return { preset, startDate: start || null, endDate: end || null };
+    }
+    return { preset: PRESET_ITD, startDate: null, endDate: null };
+}
+
+/**
+ * Whether a DateRange narrows the data (anything but inception to date)
+ */
+export function hasDateWindow(dateRange) {
+    return !!dateRange && (!!dateRange.startDate || !!dateRange.endDate);
+}
+
+/**
+ * Whether a date (YYYY-MM-DD, or YYYY-MM for monthly points) falls in a DateRange
+ */
+export function isInDateRange(date, dateRange) {
+    if (!hasDateWindow(dateRange)) {
+        return true;
+    }
+    const length = date.length;
+    return (!dateRange.startDate || date >= dateRange.startDate.slice(0, length)) &&
+        (!dateRange.endDate || date <= dateRange.endDate.slice(0, length));
+}
+
+/**
+ * Short description of a DateRange, e.g. for filter chips
+ */
+export function describeDateRange(dateRange) {
+    if (!hasDateWindow(dateRange)) {
+        return 'Inception to Date';
+    }
+    if (dateRange.preset === PRESET_YTD) {
+        return 'Year to Date';
+    }
+    if (getLastQuartersCount(dateRange.preset)) {
+        return `Last ${getLastQuartersCount(dateRange.preset)} Quarters`;
+    }
+    if (getLastYearsCount(dateRange.preset)) {
+        return describeLastYears(getLastYearsCount(dateRange.preset));
+    }
+    if (dateRange.preset && dateRange.preset.startsWith(QUARTER_END_PREFIX)) {
+        return `As of ${formatQuarter(dateRange.endDate)}`;
+    }
+    if (!dateRange.startDate) {
+        return `Through ${formatShortDate(dateRange.endDate)}`;
+    }
+    if (!dateRange.endDate) {
+        return `Since ${formatShortDate(dateRange.startDate)}`;
+    }
+    return `${formatShortDate(dateRange.startDate)} – ${formatShortDate(dateRange.endDate)}`;
+}
@@ -0,0 +1,270 @@
+/**
+ * lpDistributions
+ * @Description: Distributions page for FundPanel LP Portal
+ *
+ * Shows distributions for the selected vehicle/fund with:
+ * - Totals by type (return of capital, capital gain, income, recallable)
+ * - Cumulative distributions chart (lpDistributionsChart)
+ * - Per-fund breakdown by type
+ * - Every distribution event with gross and net amounts
+ *
+ * A date range from lpFilterBar keeps the distributions dated inside it. Gross totals
+ * are reconciled against the Total Distributions metric shown on lpPortalDashboard
+ * for the same vehicle/fund filter; inside a date window the metric comes from
+ * snapshots rather than distribution records, so there is nothing to reconcile.
+ *
+ * Props:
+ * - providerType: 'apex' (live) or 'static' (demo), see lpDataProvider
+ */
+
+import { LightningElement, api, track } from 'lwc';
+import { getDataProvider } from 'c/lpDataProvider';
+import { getRoute } from 'c/lpRouter';
+import { hasDateWindow, isInDateRange } from 'c/lpDateRange';
+import { formatCurrency, formatDate } from 'c/lpStaticDataService';
+
+// Amount fields summed in totals and the per-fund breakdown
+const AMOUNT_FIELDS = ['returnOfCapital', 'capitalGain', 'income', 'recallable', 'grossAmount', 'withholdingTax', 'netAmount'];
+
+// Differences below half a cent are rounding, not a reconciliation break
+const RECONCILIATION_TOLERANCE = 0.005;
+
+/**
+ * Sum the amount fields of a list of distributions
+ */
+function sumAmounts(distributions) {
+    const totals = {};
+    AMOUNT_FIELDS.forEach(field => {
+        totals[field] = distributions.reduce((sum, distribution) => sum + (distribution[field] || 0), 0);
+    });
+    return totals;
+}
+
+/**
+ * Amount fields formatted for display, as <field>Label
+ */
+function formatAmounts(amounts) {
+    const labels = {};
+    AMOUNT_FIELDS.forEach(field => {
+        labels[`${field}Label`] = formatCurrency(amounts[field]);
+    });
+    return labels;
+}
+
+export default class LpDistributions extends LightningElement {
+    @api providerType = 'apex';
+
+    // Filter state
+    @track currentVehicleId = 'all';
+    @track currentFundId = 'all';
+    @track currentDateRange = null;
+
+    // Filter options
+    @track vehicles = [];
+    @track funds = [];
+
+    // Distribution events for the current filter
+    @track distributions = [];
+
+    // Total Distributions metric for the same filter, used for reconciliation
+    metricTotal = null;
+
+    // UI state
+    @track isLoading = false;
+    @track errorMessage = '';
+
+    // Id of the latest data request; responses from older requests are dropped
+    latestRequestId = 0;
+
+    connectedCallback() {
+        // Start from the filters in the URL (see lpRouter)
+        const route = getRoute();
+        this.currentVehicleId = route.vehicleId;
+        this.currentFundId = route.fundId;
+        this.currentDateRange = route.dateRange;
+
+        this.loadFilterOptions();
+        this.loadDistributions();
+    }
+
+    get provider() {
+        return getDataProvider(this.providerType);
+    }
+
+    get hasError() {
+        return !!this.errorMessage;
+    }
+
+    get hasDistributions() {
+        return this.distributions.length > 0;
+    }
+
+    get showEmptyState() {
+        return !this.isLoading && !this.hasError && !this.hasDistributions;
+    }
+
+    /**
+     * Load vehicle and fund lists for the filter bar
+     */
+    async loadFilterOptions() {
+        try {
+            const [vehicles, funds] = await Promise.all([
+                this.provider.getInvestmentVehicles(),
+                this.provider.getFunds()
+            ]);
+            this.vehicles = vehicles;
+            this.funds = funds;
+        } catch (error) {
+            this.handleDataError(error);
+        }
+    }
+
+    /**
+     * Load distributions and the matching portfolio metrics for the current filter
+     */
+    async loadDistributions() {
+        const requestId = ++this.latestRequestId;
+        this.isLoading = true;
+
+        try {
+            const isWindowed = hasDateWindow(this.currentDateRange);
+            const [distributions, metrics] = await Promise.all([
+                this.provider.getDistributions(this.currentVehicleId, this.currentFundId),
+                isWindowed ? null : this.provider.getPortfolioMetrics(this.currentVehicleId, this.currentFundId)
+            ]);
+
+            if (requestId === this.latestRequestId) {
+                this.distributions = distributions
+                    .filter(distribution => isInDateRange(distribution.distributionDate, this.currentDateRange));
+                this.metricTotal = metrics ? metrics.totalDistributions : null;
+                this.errorMessage = '';
+            }
+        } catch (error) {
+            if (requestId === this.latestRequestId) {
+                this.handleDataError(error);
+            }
+        } finally {
+            if (requestId === this.latestRequestId) {
+                this.isLoading = false;
+            }
+        }
+    }
+
+    handleDataError(error) {
+        console.error('Distributions data error:', error);
+        this.errorMessage = error && error.body
+            ? error.body.message
+            : 'Unable to load distributions. Please refresh the page.';
+    }
+
+    /**
+     * Totals across the listed distributions, by type
+     */
+    get totals() {
+        const totals = sumAmounts(this.distributions);
+        return {
+            ...totals,
+            ...formatAmounts(totals),
+            count: this.distributions.length
+        };
+    }
+
+    /**
+     * Summary tiles, one per distribution type plus gross and net totals
+     */
+    get typeSummary() {
+        const totals = this.totals;
+        return [
+            { key: 'returnOfCapital', label: 'Return of Capital', value: totals.returnOfCapitalLabel },
+            { key: 'capitalGain', label: 'Capital Gain', value: totals.capitalGainLabel },
+            { key: 'income', label: 'Income', value: totals.incomeLabel },
+            { key: 'recallable', label: 'Recallable', value: totals.recallableLabel },
+            { key: 'grossAmount', label: 'Gross Distributions', value: totals.grossAmountLabel },
+            { key: 'netAmount', label: 'Net Distributions', value: totals.netAmountLabel }
+        ];
+    }
+
+    /**
+     * Gross total compared with the Total Distributions metric card
+     */
+    get reconciliation() {
+        if (this.metricTotal === null || this.metricTotal === undefined) {
+            return null;
+        }
+
+        const difference = this.totals.grossAmount - this.metricTotal;
+        const isReconciled = Math.abs(difference) < RECONCILIATION_TOLERANCE;
+        const metricLabel = formatCurrency(this.metricTotal);
+
+        return {
+            isReconciled,
+            message: isReconciled
+                ? `Gross distributions reconcile with Total Distributions (${metricLabel}).`
+                : `Gross distributions differ from Total Distributions (${metricLabel}) by ${formatCurrency(Math.abs(difference))}.`,
+            cssClass: isReconciled ? 'reconciliation reconciliation-ok' : 'reconciliation reconciliation-break'
+        };
+    }
+
+    /**
+     * One row per fund and vehicle, with amounts by type
+     */
+    get fundRows() {
+        const groups = new Map();
+
+        this.distributions.forEach(distribution => {
+            const key = `${distribution.fundId}|${distribution.vehicleId}`;
+            if (!groups.has(key)) {
+                groups.set(key, {
+                    key,
+                    fundName: distribution.fundName,
+                    vehicleName: distribution.vehicleName,
+                    distributions: []
+                });
+            }
+            groups.get(key).distributions.push(distribution);
+        });
+
+        return Array.from(groups.values())
+            .map(group => {
+                const amounts = sumAmounts(group.distributions);
+                return {
+                    key: group.key,
+                    fundName: group.fundName,
+                    vehicleName: group.vehicleName,
+                    grossAmount: amounts.grossAmount,
+                    ...formatAmounts(amounts)
+                };
+            })
+            .sort((a, b) => b.grossAmount - a.grossAmount);
+    }
+
+    /**
+     * Distribution events formatted for the table, newest first
+     */
+    get distributionRows() {
+        return this.distributions.map(distribution => ({
+            ...distribution,
+            ...formatAmounts(distribution),
+            distributionDateLabel: formatDate(distribution.distributionDate),
+            hasNotice: !!distribution.noticeUrl,
+            noticeAriaLabel: `Download distribution notice ${distribution.distributionNumber}`
+        }));
+    }
+
+    /**
+     * Handle filter change from lpFilterBar
+     */
+    handleFilterChange(event) {
+        const { vehicleId, fundId, dateRange } = event.detail;
+        this.currentVehicleId = vehicleId;
+        this.currentFundId = fundId;
+        this.currentDateRange = dateRange;
+        this.loadDistributions();
+    }
+
+    errorCallback(error, stack) {
+        console.error('Distributions Error:', error);
+        console.error('Stack:', stack);
+        this.isLoading = false;
+    }
+}
@@ -0,0 +1,267 @@
+/**
+ * lpDistributionsChart
+ * Chart.js stacked area chart of cumulative distributions over time
+ *
+ * Displays cumulative gross distributions split by type:
+ * - Return of Capital (blue)
+ * - Capital Gain (green)
+ * - Income (orange)
+ * - Recallable (purple)
+ *
+ * The top of the stack equals cumulative gross distributions.
+ *
+ * Props:
+ * - distributionData: Array of distribution events from the data provider
+ *   ({ distributionDate, returnOfCapital, capitalGain, income, recallable, grossAmount })
+ */
+
+import { LightningElement, api, track } from 'lwc';
+import { loadScript } from 'lightning/platformResourceLoader';
+import chartjs from '@salesforce/resourceUrl/chartjs';
+import { formatCurrency } from 'c/lpStaticDataService';
+
+// Distribution types, in stacking order
+const SERIES = [
+    { key: 'returnOfCapital', label: 'Return of Capital', color: '#1976D2' },
+    { key: 'capitalGain', label: 'Capital Gain', color: '#388E3C' },
+    { key: 'income', label: 'Income', color: '#F57C00' },
+    { key: 'recallable', label: 'Recallable', color: '#7B1FA2' }
+];
+
+export default class LpDistributionsChart extends LightningElement {
+    @track hasError = false;
+
+    chart = null;
+    chartjsInitialized = false;
+    _distributionData = [];
+
+    @api
+    get distributionData() {
+        return this._distributionData;
+    }
+
+    set distributionData(value) {
+        this._distributionData = value || [];
+        if (this.chart) {
+            this.chart.data = this.prepareChartData();
+            this.chart.update('active');
+        }
+    }
+
+    /**
+     * Lifecycle: Rendered callback
+     * Initialize Chart.js after DOM is ready
+     */
+    renderedCallback() {
+        if (this.chartjsInitialized) {
+            return;
+        }
+        this.chartjsInitialized = true;
+
+        loadScript(this, chartjs)
+            .then(() => {
+                this.initializeChart();
+            })
+            .catch(error => {
+                console.error('Error loading Chart.js:', error);
+                this.hasError = true;
+            });
+    }
+
+    /**
+     * Initialize the Chart.js stacked area chart
+     */
+    initializeChart() {
+        const canvas = this.refs.distributionsCanvas;
+        if (!canvas) {
+            console.error('Canvas element not found');
+            return;
+        }
+
+        this.chart = new window.Chart(canvas.getContext('2d'), {
+            type: 'line',
+            data: this.prepareChartData(),
+            options: {
+                responsive: true,
+                maintainAspectRatio: false,
+                interaction: {
+                    mode: 'index',
+                    intersect: false
+                },
+                plugins: {
+                    legend: {
+                        display: false // We use custom legend
+                    },
+                    tooltip: {
+                        enabled: true,
+                        backgroundColor: '#1A1C1E',
+                        titleColor: '#FFFFFF',
+                        bodyColor: '#FFFFFF',
+                        padding: 12,
+                        cornerRadius: 8,
+                        displayColors: true,
+                        callbacks: {
+                            title: (context) => this.formatDate(context[0].label),
+                            label: (context) => `${context.dataset.label}: ${formatCurrency(context.raw)}`,
+                            footer: (context) => {
+                                const total = context.reduce((sum, item) => sum + item.raw, 0);
+                                return `Cumulative: ${formatCurrency(total)}`;
+                            }
+                        }
+                    }
+                },
+                scales: {
+                    x: {
+                        display: true,
+                        grid: {
+                            color: 'rgba(0, 0, 0, 0.05)',
+                            drawBorder: false
+                        },
+                        ticks: {
+                            color: '#3F4946',
+                            font: {
+                                size: 11,
+                                family: 'Roboto, sans-serif'
+                            },
+                            callback: (value, index) => this.formatDate(this.chart.data.labels[index])
+                        }
+                    },
+                    y: {
+                        type: 'linear',
+                        display: true,
+                        stacked: true,
+                        beginAtZero: true,
+                        grid: {
+                            color: 'rgba(0, 0, 0, 0.05)',
+                            drawBorder: false
+                        },
+                        ticks: {
+                            color: '#3F4946',
+                            font: {
+                                size: 11,
+                                family: 'Roboto, sans-serif'
+                            },
+                            callback: (value) => this.formatYAxisValue(value)
+                        }
+                    }
+                },
+                animation: {
+                    duration: 800,
+                    easing: 'easeOutQuart'
+                },
+                elements: {
+                    point: {
+                        radius: 3,
+                        hoverRadius: 5,
+                        hitRadius: 10
+                    },
+                    line: {
+                        tension: 0,
+                        borderWidth: 2
+                    }
+                }
+            }
+        });
+    }
+
+    /**
+     * Running totals per type, one point per distribution date
+     */
+    get cumulativeSeries() {
+        const totalsByDate = new Map();
+
+        this._distributionData.forEach(distribution => {
+            const totals = totalsByDate.get(distribution.distributionDate) || {};
+            SERIES.forEach(({ key }) => {
+                totals[key] = (totals[key] || 0) + (distribution[key] || 0);
+            });
+            totalsByDate.set(distribution.distributionDate, totals);
+        });
+
+        const running = {};
+        return Array.from(totalsByDate.keys())
+            .sort()
+            .map(date => {
+                const point = { date };
+                SERIES.forEach(({ key }) => {
+                    running[key] = (running[key] || 0) + totalsByDate.get(date)[key];
+                    point[key] = Math.round(running[key] * 100) / 100;
+                });
+                return point;
+            });
+    }
+
+    /**
+     * Prepare data for Chart.js format
+     */
+    prepareChartData() {
+        const points = this.cumulativeSeries;
+
+        return {
+            labels: points.map(point => point.date),
+            datasets: SERIES.map(series => ({
+                label: series.label,
+                data: points.map(point => point[series.key]),
+                borderColor: series.color,
+                backgroundColor: `${series.color}40`,
+                fill: true,
+                stack: 'distributions'
+            }))
+        };
+    }
+
+    /**
+     * Legend items
+     */
+    get legendItems() {
+        return SERIES.map(series => ({
+            series: series.key,
+            label: series.label,
+            colorStyle: `background-color: ${series.color};`
+        }));
+    }
+
+    get showEmptyState() {
+        return !this.hasError && this._distributionData.length === 0;
+    }
+
+    /**
+     * Format Y-axis value
+     */
+    formatYAxisValue(value) {
+        if (value >= 1000000) {
+            return `$${(value / 1000000).toFixed(0)}M`;
+        } else if (value >= 1000) {
+            return `$${(value / 1000).toFixed(0)}K`;
+        }
+        return formatCurrency(value);
+    }
+
+    /**
+     * Format YYYY-MM-DD date for the axis and tooltip
+     */
+    formatDate(dateString) {
+        if (!dateString) return '';
+        const [year, month] = dateString.split('-').map(Number);
+        return new Date(year, month - 1, 1).toLocaleDateString('en-US', { month: 'short', year: '2-digit' });
+    }
+
+    /**
+     * Cleanup when component is removed
+     */
+    disconnectedCallback() {
+        if (this.chart) {
+            this.chart.destroy();
+            this.chart = null;
+        }
+    }
+
+    /**
+     * Error boundary - handle chart rendering errors gracefully
+     */
+    errorCallback(error, stack) {
+        console.error('Distributions Chart Error:', error);
+        console.error('Stack:', stack);
+        this.hasError = true;
+    }
+}
@@ -0,0 +1,239 @@
+/**
+ * lpDocuments
+ * @Description: Documents library for FundPanel LP Portal
+ *
+ * Lists the quarterly reports, K-1s, capital call notices and distribution notices
+ * available to the logged-in LP with:
+ * - Category, year and fund filters
+ * - Title search
+ * - Unread badges (documents the LP has not downloaded yet)
+ * - Download tracking through the data provider, so IR can see who opened what
+ *
+ * Props:
+ * - providerType: 'apex' (live) or 'static' (demo), see lpDataProvider
+ */
+
+import { LightningElement, api, track } from 'lwc';
+import { getDataProvider } from 'c/lpDataProvider';
+import { formatDate } from 'c/lpStaticDataService';
+
+const ALL = 'all';
+
+// Categories in display order; must match ContentVersion.Document_Category__c values
+const CATEGORIES = ['Quarterly Report', 'K-1', 'Capital Call Notice', 'Distribution Notice'];
+
+/**
+ * Human-readable file size (e.g. "245 KB")
+ */
+function formatFileSize(bytes) {
+    if (!bytes) return '';
+    if (bytes >= 1048576) {
+        return `${(bytes / 1048576).toFixed(1)} MB`;
+    }
+    return `${Math.max(1, Math.round(bytes / 1024))} KB`;
+}
+
+export default class LpDocuments extends LightningElement {
+    @api providerType = 'apex';
+
+    // All documents available to the LP
+    @track documents = [];
+
+    // Filter state
+    @track selectedCategory = ALL;
+    @track selectedYear = ALL;
+    @track selectedFundId = ALL;
+    @track searchTerm = '';
+
+    // UI state
+    @track isLoading = false;
+    @track errorMessage = '';
+    @track downloadingId = null;
+
+    connectedCallback() {
+        this.loadDocuments();
+    }
+
+    get provider() {
+        return getDataProvider(this.providerType);
+    }
+
+    get hasError() {
+        return !!this.errorMessage;
+    }
+
+    /**
+     * Load the document list
+     */
+    async loadDocuments() {
+        this.isLoading = true;
+        try {
+            this.documents = await this.provider.getDocuments();
+            this.errorMessage = '';
+        } catch (error) {
+            this.handleDataError(error, 'Unable to load documents. Please refresh the page.');
+        } finally {
+            this.isLoading = false;
+        }
+    }
+
+    handleDataError(error, fallbackMessage) {
+        console.error('Documents data error:', error);
+        this.errorMessage = error && error.body ? error.body.message : fallbackMessage;
+    }
+
+    // ========================================
+    // Filter options
+    // ========================================
+
+    get categoryOptions() {
+        return [
+            { label: 'All Categories', value: ALL },
+            ...CATEGORIES.map(category => ({
+                label: `${category} (${this.documents.filter(doc => doc.category === category).length})`,
+                value: category
+            }))
+        ];
+    }
+
+    get yearOptions() {
+        const years = new Set(this.documents.map(doc => this.getYear(doc)).filter(year => year));
+        return [
+            { label: 'All Years', value: ALL },
+            ...Array.from(years)
+                .sort((a, b) => b.localeCompare(a))
+                .map(year => ({ label: year, value: year }))
+        ];
+    }
+
+    get fundOptions() {
+        const funds = new Map();
+        this.documents.forEach(doc => {
+            if (doc.fundId && !funds.has(doc.fundId)) {
+                funds.set(doc.fundId, doc.fundName);
+            }
+        });
+        return [
+            { label: 'All Funds', value: ALL },
+            ...Array.from(funds, ([value, label]) => ({ label, value }))
+                .sort((a, b) => a.label.localeCompare(b.label))
+        ];
+    }
+
+    getYear(doc) {
+        return doc.documentDate ? doc.documentDate.slice(0, 4) : '';
+    }
+
+    // ========================================
+    // Filtered list
+    // ========================================
+
+    get filteredDocuments() {
+        const search = this.searchTerm.trim().toLowerCase();
+
+        return this.documents.filter(doc =>
+            (this.selectedCategory === ALL || doc.category === this.selectedCategory) &&
+            (this.selectedYear === ALL || this.getYear(doc) === this.selectedYear) &&
+            (this.selectedFundId === ALL || doc.fundId === this.selectedFundId) &&
+            (!search ||
+                doc.title.toLowerCase().includes(search) ||
+                (doc.fundName || '').toLowerCase().includes(search))
+        );
+    }
+
+    get documentRows() {
+        return this.filteredDocuments.map(doc => ({
+            ...doc,
+            documentDateLabel: formatDate(doc.documentDate),
+            fileLabel: [doc.fileExtension ? doc.fileExtension.toUpperCase() : '', formatFileSize(doc.contentSize)]
+                .filter(part => part)
+                .join(' · '),
+            isDownloading: this.downloadingId === doc.documentId,
+            downloadAriaLabel: `Download ${doc.title}`
+        }));
+    }
+
+    get hasDocuments() {
+        return this.filteredDocuments.length > 0;
+    }
+
+    get showEmptyState() {
+        return !this.isLoading && !this.hasError && !this.hasDocuments;
+    }
+
+    get hasActiveFilters() {
+        return this.selectedCategory !== ALL ||
+            this.selectedYear !== ALL ||
+            this.selectedFundId !== ALL ||
+            !!this.searchTerm;
+    }
+
+    get summary() {
+        const unreadCount = this.documents.filter(doc => doc.isUnread).length;
+        return {
+            shown: this.filteredDocuments.length,
+            total: this.documents.length,
+            unreadCount,
+            hasUnread: unreadCount > 0
+        };
+    }
+
+    // ========================================
+    // Event handlers
+    // ========================================
+
+    handleSearchChange(event) {
+        this.searchTerm = event.detail.value || '';
+    }
+
+    handleCategoryChange(event) {
+        this.selectedCategory = event.detail.value;
+    }
+
+    handleYearChange(event) {
+        this.selectedYear = event.detail.value;
+    }
+
+    handleFundChange(event) {
+        this.selectedFundId = event.detail.value;
+    }
+
+    handleClearFilters() {
+        this.selectedCategory = ALL;
+        this.selectedYear = ALL;
+        this.selectedFundId = ALL;
+        this.searchTerm = '';
+    }
+
+    /**
+     * Record the download, then open the file
+     * The document is marked as read locally so the badge clears without a reload
+     */
+    async handleDownloadClick(event) {
+        const documentId = event.currentTarget.dataset.documentId;
+        if (this.downloadingId) {
+            return;
+        }
+        this.downloadingId = documentId;
+
+        try {
+            const url = await this.provider.recordDocumentDownload(documentId);
+            this.documents = this.documents.map(doc =>
+                (doc.documentId === documentId ? { ...doc, isUnread: false } : doc)
+            );
+            if (url) {
+                window.open(url, '_blank', 'noopener');
+            }
+        } catch (error) {
+            this.handleDataError(error, 'Unable to download the document. Please try again.');
+        } finally {
+            this.downloadingId = null;
+        }
+    }
+
+    errorCallback(error, stack) {
+        console.error('Documents Error:', error);
+        console.error('Stack:', stack);
+        this.isLoading = false;
+    }
+}
@@ -1,31 +1,209 @@
 /**
  * lpDonutChart
- * Chart.js-based donut chart for fund allocation visualization
+ * Chart.js-based donut chart for portfolio allocation visualization
  *
- * Displays fund allocation as a donut chart with:
- * - Color-coded segments for each fund
- * - Center showing total commitments
- * - Legend with fund names, percentages, and amounts
+ * Displays allocation as a donut chart with:
+ * - Color-coded segments for each fund, or for each vehicle, strategy, sector, geography or vintage
+ * - Center showing total commitments or NAV
+ * - Legend with segment names, percentages, and amounts
  * - Touch-friendly interactions
  *
+ * Given breakdownData, the chart shows a dimension switcher and a commitment/NAV toggle and
+ * re-slices the rows itself. The choices are saved in the user's preferences (see lpPreferenceStore).
+ * Given only allocationData, it shows those funds by commitment.
+ *
+ * Drill-down (breakdownData only): a vehicle segment opens that vehicle's funds, and a fund segment
+ * opens the fund's portfolio companies (cost or fair value, with MOIC and holding period). A
+ * breadcrumb leads back up to the portfolio, which shows the selected dimension again.
+ *
  * Props:
+ * - breakdownData: Array of FundBreakdown rows (see lpDataProvider.getFundBreakdown)
  * - allocationData: Array of { fundId, fundName, allocation, value, color }
- * - totalValue: Total portfolio value for center display
+ * - totalValue: Total commitments for center display with allocationData
+ * - exportContext: Array of { label, value } printed above the exported table (see lpExporter)
+ * - providerType: 'apex' (live) or 'static' (demo), for the portfolio companies (see lpDataProvider)
+ *
+ * Events:
+ * - segmentclick: { dimension, key, label, fundIds, vehicleIds } when a segment or legend item is
+ *   clicked; key is the fund or vehicle Id, the strategy, sector, geography or vintage year
+ *   ('' for rows without one) or, at the company level, the company Id. fundIds/vehicleIds are
+ *   the funds and vehicles in the segment. Vehicle and fund segments also drill down.
+ * - dimensionchange: { dimension, basis } when the user picks another dimension or basis
+ * - drilldown: { level, path } after drilling down or back up; level is 'portfolio', 'vehicle' or
+ *   'fund' and path the breadcrumb below the portfolio, as Array of { level, key, label }
+ *
+ * The allocation table can be exported as CSV, Excel or PDF.
  */
 
 import { LightningElement, api, track } from 'lwc';
 import { loadScript } from 'lightning/platformResourceLoader';
 import chartjs from '@salesforce/resourceUrl/chartjs';
-import { formatCurrency, formatPercentage } from 'c/lpStaticDataService';
+import { getDataProvider } from 'c/lpDataProvider';
+import { formatCurrency, formatPercentage, formatTVPI } from 'c/lpStaticDataService';
+import { exportReport } from 'c/lpExporter';
+import { getPreferences, savePreferences, subscribe } from 'c/lpPreferenceStore';
+
+const DIMENSION_FUND = 'fund';
+const DIMENSION_VEHICLE = 'vehicle';
+const BASIS_NAV = 'nav';
+
+const LEVEL_PORTFOLIO = 'portfolio';
+const LEVEL_VEHICLE = 'vehicle';
+const LEVEL_FUND = 'fund';
+
+// getKey returns the segment key of a FundBreakdown row, getLabel its name; rows with an
+// empty key are grouped under emptyLabel
+const DIMENSIONS = [
+    { value: DIMENSION_FUND, label: 'Fund', getKey: row => row.fundId, getLabel: row => row.fundName },
+    {
+        value: DIMENSION_VEHICLE,
+        label: 'Vehicle',
+        emptyLabel: 'No vehicle',
+        getKey: row => row.vehicleId || '',
+        getLabel: row => row.vehicleName
+    },
+    { value: 'strategy', label: 'Strategy', getKey: row => row.strategy || '', getLabel: row => row.strategy },
+    { value: 'sector', label: 'Sector', getKey: row => row.sector || '', getLabel: row => row.sector },
+    { value: 'geography', label: 'Geography', getKey: row => row.geography || '', getLabel: row => row.geography },
+    {
+        value: 'vintage',
+        label: 'Vintage',
+        getKey: row => (row.vintageYear ? String(row.vintageYear) : ''),
+        getLabel: row => (row.vintageYear ? String(row.vintageYear) : '')
+    }
+];
+
+// Segments of a fund's portfolio companies (drill-down)
+const COMPANY_DIMENSION = { value: 'company', label: 'Company' };
+
+// At the company level commitments become cost and NAV becomes fair value
+const BASES = [
+    {
+        value: 'commitment',
+        label: 'Commitment',
+        title: 'Commitments',
+        total: 'Total Commitments',
+        getValue: row => row.totalCommitments,
+        companyLabel: 'Cost',
+        companyTotal: 'Total Cost',
+        getCompanyValue: company => company.cost
+    },
+    {
+        value: BASIS_NAV,
+        label: 'NAV',
+        title: 'NAV',
+        total: 'Total NAV',
+        getValue: row => row.estimatedValue,
+        companyLabel: 'Fair Value',
+        companyTotal: 'Total Fair Value',
+        getCompanyValue: company => company.fairValue
+    }
+];
+
+// The --md-fund-color-* palette, then further colors for dimensions with more segments
+const SEGMENT_COLORS = [
+    '#1976D2', '#388E3C', '#F57C00', '#7B1FA2', '#C2185B', '#0097A7',
+    '#5D4037', '#455A64', '#AFB42B', '#E64A19'
+];
+
+const UNCLASSIFIED_LABEL = 'Not classified';
+
+/**
+ * Share of a total as a percentage with two decimals
+ */
+function toAllocation(value, total) {
+    return total > 0 ? Math.round((value / total) * 10000) / 100 : 0;
+}
+
+/**
+ * Segments with their share of the total and a color in segment order
+ */
+function withShares(segments) {
+    const total = segments.reduce((sum, segment) => sum + segment.value, 0);
+    return segments.map((segment, index) => ({
+        ...segment,
+        allocation: toAllocation(segment.value, total),
+        color: SEGMENT_COLORS[index % SEGMENT_COLORS.length]
+    }));
+}
+
+/**
+ * "4.2 yrs", or an em dash without a holding period
+ */
+function formatHoldingPeriod(years) {
+    return years === null || years === undefined ? '—' : `${years.toFixed(1)} yrs`;
+}
 
 export default class LpDonutChart extends LightningElement {
-    @api allocationData = []; // Array of fund allocation data
     @api totalValue = 0; // Total commitments value
+    @api exportContext = []; // Filter context for exports
+    @api providerType = 'apex'; // Data provider for the portfolio companies
 
     @track hasError = false;
+    @track segments = [];
+    @track dimension = DIMENSION_FUND;
+    @track basis = BASES[0].value;
+
+    // Drill-down below the portfolio: Array of { level, key, label }
+    @track drillPath = [];
+    @track companies = [];
+    @track isLoadingCompanies = false;
+    @track companiesError = '';
 
     chart = null;
     chartjsInitialized = false;
+    _allocationData = [];
+    _breakdownData = null;
+
+    // Id of the latest portfolio company request; responses from older requests are dropped
+    latestCompaniesRequestId = 0;
+
+    /**
+     * Fund allocation shown when there is no breakdownData
+     */
+    @api
+    get allocationData() {
+        return this._allocationData;
+    }
+    set allocationData(value) {
+        this._allocationData = value || [];
+        this.refreshSegments();
+    }
+
+    /**
+     * Rows to slice by any dimension, one per vehicle and fund
+     */
+    @api
+    get breakdownData() {
+        return this._breakdownData;
+    }
+    set breakdownData(value) {
+        this._breakdownData = value || null;
+        this.keepReachableDrillPath();
+        this.refreshSegments();
+    }
+
+    get provider() {
+        return getDataProvider(this.providerType);
+    }
+
+    connectedCallback() {
+        this.applyPreferences(getPreferences());
+        this._unsubscribePreferences = subscribe(preferences => this.applyPreferences(preferences));
+    }
+
+    /**
+     * Take the saved dimension and basis, ignoring values this chart does not know
+     */
+    applyPreferences(preferences) {
+        this.dimension = DIMENSIONS.some(dimension => dimension.value === preferences.allocationDimension)
+            ? preferences.allocationDimension
+            : DIMENSION_FUND;
+        this.basis = BASES.some(basis => basis.value === preferences.allocationBasis)
+            ? preferences.allocationBasis
+            : BASES[0].value;
+        this.refreshSegments();
+    }
 
     /**
      * Lifecycle: Rendered callback
@@ -75,13 +253,13 @@ export default class LpDonutChart extends LightningElement {
                 context.fillStyle = '#1A1C1E';
                 context.textBaseline = 'middle';
                 context.textAlign = 'center';
-                context.fillText(formatCurrency(this.totalValue), width / 2, height / 2 - valueFontSize / 3);
+                context.fillText(formatCurrency(this.centerValue), width / 2, height / 2 - valueFontSize / 3);
 
-                // Draw "Total Commitments" label below
+                // Draw the total's label (e.g. "Total Commitments") below
                 const labelFontSize = Math.min(width, height) / 14;
                 context.font = `500 ${labelFontSize}px Roboto, sans-serif`;
                 context.fillStyle = '#3F4946';
-                context.fillText('Total Commitments', width / 2, height / 2 + valueFontSize / 2);
+                context.fillText(this.centerLabel, width / 2, height / 2 + valueFontSize / 2);
 
                 context.save();
             }
@@ -112,10 +290,10 @@ export default class LpDonutChart extends LightningElement {
                         displayColors: true,
                         callbacks: {
                             label: (context) => {
-                                const fund = this.allocationData[context.dataIndex];
+                                const segment = this.segments[context.dataIndex];
                                 return [
-                                    `${formatPercentage(fund.allocation)}`,
-                                    `${formatCurrency(fund.value)}`
+                                    `${formatPercentage(segment.allocation)}`,
+                                    `${formatCurrency(segment.value)}`
                                 ];
                             }
                         }
@@ -129,10 +307,9 @@ export default class LpDonutChart extends LightningElement {
                 },
                 onClick: (event, elements) => {
                     if (elements && elements.length > 0) {
-                        const index = elements[0].index;
-                        const fund = this.allocationData[index];
-                        if (fund) {
-                            this.fireSegmentClickEvent(fund.fundId);
+                        const segment = this.segments[elements[0].index];
+                        if (segment) {
+                            this.handleSegmentSelect(segment);
                         }
                     }
                 },
@@ -145,11 +322,230 @@ export default class LpDonutChart extends LightningElement {
         });
     }
 
+    /**
+     * Whether segments are built from breakdownData, so the dimension and basis can change
+     */
+    get isSliceable() {
+        return Array.isArray(this._breakdownData);
+    }
+
+    /**
+     * Drill-down level: 'portfolio', 'vehicle' (its funds) or 'fund' (its portfolio companies)
+     */
+    get level() {
+        return this.drillPath.length > 0 ? this.drillPath[this.drillPath.length - 1].level : LEVEL_PORTFOLIO;
+    }
+
+    get isPortfolioLevel() {
+        return this.level === LEVEL_PORTFOLIO;
+    }
+
+    get isCompanyLevel() {
+        return this.level === LEVEL_FUND;
+    }
+
+    get showDimensionPicker() {
+        return this.isSliceable && this.isPortfolioLevel;
+    }
+
+    get showBreadcrumb() {
+        return this.isSliceable && !this.isPortfolioLevel;
+    }
+
+    /**
+     * What the segments are: the selected dimension, a vehicle's funds or a fund's companies
+     */
+    get selectedDimension() {
+        if (!this.isSliceable) {
+            return DIMENSIONS[0];
+        }
+        if (this.level === LEVEL_VEHICLE) {
+            return DIMENSIONS.find(dimension => dimension.value === DIMENSION_FUND);
+        }
+        if (this.isCompanyLevel) {
+            return COMPANY_DIMENSION;
+        }
+        return DIMENSIONS.find(dimension => dimension.value === this.dimension);
+    }
+
+    get selectedBasis() {
+        return this.isSliceable
+            ? BASES.find(basis => basis.value === this.basis)
+            : BASES[0];
+    }
+
+    get chartTitle() {
+        if (!this.isSliceable) {
+            return 'Commitments';
+        }
+        return this.isCompanyLevel
+            ? `${this.selectedBasis.companyLabel} by Company`
+            : `${this.selectedBasis.title} by ${this.selectedDimension.label}`;
+    }
+
+    /**
+     * Label under the total in the center
+     */
+    get centerLabel() {
+        return this.isCompanyLevel ? this.selectedBasis.companyTotal : this.selectedBasis.total;
+    }
+
+    /**
+     * Portfolio, then each drill-down step; every step but the current one leads back to it
+     */
+    get breadcrumbs() {
+        const crumbs = [{ level: LEVEL_PORTFOLIO, label: 'Portfolio' }, ...this.drillPath];
+        return crumbs.map((crumb, index) => ({
+            id: `${crumb.level}-${index}`,
+            index,
+            label: crumb.label,
+            isCurrent: index === crumbs.length - 1
+        }));
+    }
+
+    get dimensionOptions() {
+        return DIMENSIONS.map(dimension => ({ label: dimension.label, value: dimension.value }));
+    }
+
+    get basisButtons() {
+        return BASES.map(basis => {
+            const isSelected = basis.value === this.basis;
+            return {
+                value: basis.value,
+                label: this.isCompanyLevel ? basis.companyLabel : basis.label,
+                ariaPressed: String(isSelected),
+                cssClass: `basis-button${isSelected ? ' basis-button-selected' : ''}`
+            };
+        });
+    }
+
+    /**
+     * Total in the center: the sum of the segments, or totalValue for allocationData
+     */
+    get centerValue() {
+        return this.isSliceable
+            ? this.segments.reduce((sum, segment) => sum + segment.value, 0)
+            : this.totalValue;
+    }
+
+    /**
+     * Rebuild the segments and redraw the chart after the data, dimension or basis changed
+     */
+    refreshSegments() {
+        if (!this.isSliceable) {
+            this.segments = this.toFundSegments();
+        } else if (this.isCompanyLevel) {
+            this.segments = this.toCompanySegments();
+        } else {
+            this.segments = this.sliceBreakdown(this.getLevelRows());
+        }
+
+        if (this.chart) {
+            this.chart.data = this.prepareChartData();
+            this.chart.update('active');
+        }
+    }
+
+    /**
+     * allocationData as segments, keeping the colors of the funds
+     */
+    toFundSegments() {
+        return this._allocationData.map((fund, index) => ({
+            id: `${DIMENSION_FUND}-${fund.fundId}`,
+            key: fund.fundId,
+            label: fund.fundName,
+            fundIds: [fund.fundId],
+            vehicleIds: [],
+            value: fund.value,
+            allocation: fund.allocation,
+            color: fund.color || SEGMENT_COLORS[index % SEGMENT_COLORS.length]
+        }));
+    }
+
+    /**
+     * breakdownData rows inside the vehicle and fund of the drill-down path
+     */
+    getLevelRows() {
+        return this._breakdownData.filter(row => this.drillPath.every(crumb =>
+            (crumb.level === LEVEL_VEHICLE ? row.vehicleId : row.fundId) === crumb.key));
+    }
+
+    /**
+     * Sum breakdown rows by the selected dimension and basis
+     * Segments are ordered by size, vintages by year; rows without a value for the dimension
+     * are grouped last. Segments with nothing to show are left out.
+     */
+    sliceBreakdown(rows) {
+        const dimension = this.selectedDimension;
+        const basis = this.selectedBasis;
+        const segmentsByKey = new Map();
+
+        rows.forEach(row => {
+            const key = dimension.getKey(row);
+            let segment = segmentsByKey.get(key);
+            if (!segment) {
+                segment = {
+                    id: `${dimension.value}-${key}`,
+                    key,
+                    label: key ? dimension.getLabel(row) : dimension.emptyLabel || UNCLASSIFIED_LABEL,
+                    fundIds: [],
+                    vehicleIds: [],
+                    value: 0
+                };
+                segmentsByKey.set(key, segment);
+            }
+            if (row.fundId && !segment.fundIds.includes(row.fundId)) {
+                segment.fundIds.push(row.fundId);
+            }
+            if (row.vehicleId && !segment.vehicleIds.includes(row.vehicleId)) {
+                segment.vehicleIds.push(row.vehicleId);
+            }
+            segment.value += basis.getValue(row) || 0;
+        });
+
+        const segments = Array.from(segmentsByKey.values())
+            .filter(segment => segment.value > 0)
+            .sort((a, b) => {
+                if (!a.key !== !b.key) {
+                    return a.key ? -1 : 1;
+                }
+                return dimension.value === 'vintage' ? a.key.localeCompare(b.key) : b.value - a.value;
+            });
+
+        return withShares(segments);
+    }
+
+    /**
+     * Portfolio companies of the drilled fund by cost or fair value, largest first
+     */
+    toCompanySegments() {
+        const basis = this.selectedBasis;
+        const fundIds = [this.drillPath[this.drillPath.length - 1].key];
+        const vehicleIds = this.drillPath
+            .filter(crumb => crumb.level === LEVEL_VEHICLE)
+            .map(crumb => crumb.key);
+
+        const segments = this.companies
+            .map(company => ({
+                id: `${COMPANY_DIMENSION.value}-${company.companyId}`,
+                key: company.companyId,
+                label: company.companyName,
+                fundIds,
+                vehicleIds,
+                value: basis.getCompanyValue(company) || 0,
+                company
+            }))
+            .filter(segment => segment.value > 0)
+            .sort((a, b) => b.value - a.value);
+
+        return withShares(segments);
+    }
+
     /**
      * Prepare data for Chart.js format
      */
     prepareChartData() {
-        if (!this.allocationData || this.allocationData.length === 0) {
+        if (this.segments.length === 0) {
             return {
                 labels: [],
                 datasets: [{
@@ -161,10 +557,10 @@ export default class LpDonutChart extends LightningElement {
         }
 
         return {
-            labels: this.allocationData.map(fund => fund.fundName),
+            labels: this.segments.map(segment => segment.label),
             datasets: [{
-                data: this.allocationData.map(fund => fund.allocation),
-                backgroundColor: this.allocationData.map(fund => fund.color),
+                data: this.segments.map(segment => segment.allocation),
+                backgroundColor: this.segments.map(segment => segment.color),
                 borderWidth: 0,
                 hoverOffset: 8,
                 hoverBorderWidth: 0
@@ -173,19 +569,70 @@ export default class LpDonutChart extends LightningElement {
     }
 
     /**
-     * Legend items for fund list
+     * Legend items for the segment list
      */
     get legendItems() {
-        if (!this.allocationData || this.allocationData.length === 0) {
-            return [];
-        }
+        return this.segments.map(segment => ({
+            id: segment.id,
+            key: segment.key,
+            label: segment.label,
+            percentage: formatPercentage(segment.allocation),
+            amount: formatCurrency(segment.value),
+            colorStyle: `background-color: ${segment.color};`
+        }));
+    }
 
-        return this.allocationData.map(fund => ({
-            fundId: fund.fundId,
-            fundName: fund.fundName,
-            percentage: formatPercentage(fund.allocation),
-            amount: formatCurrency(fund.value),
-            colorStyle: `background-color: ${fund.color};`
+    /**
+     * Company rows for the company level table
+     */
+    get companyRows() {
+        return this.segments.map(segment => ({
+            id: segment.id,
+            key: segment.key,
+            name: segment.label,
+            cost: formatCurrency(segment.company.cost),
+            fairValue: formatCurrency(segment.company.fairValue),
+            moic: segment.company.moic === null ? 'N/A' : `${formatTVPI(segment.company.moic)}x`,
+            holdingPeriod: formatHoldingPeriod(segment.company.holdingYears),
+            holdingTitle: segment.company.exitDate
+                ? `Held ${segment.company.investmentDate} to ${segment.company.exitDate} (exited)`
+                : `Held since ${segment.company.investmentDate}`,
+            colorStyle: `background-color: ${segment.color};`
+        }));
+    }
+
+    get hasCompanies() {
+        return this.isCompanyLevel && this.segments.length > 0;
+    }
+
+    get showCompaniesEmptyState() {
+        return this.isCompanyLevel && !this.isLoadingCompanies && !this.companiesError && this.segments.length === 0;
+    }
+
+    /**
+     * Slice by another dimension
+     */
+    handleDimensionChange(event) {
+        this.dimension = event.detail.value;
+        this.saveSlicing();
+    }
+
+    /**
+     * Switch between commitment and NAV
+     */
+    handleBasisClick(event) {
+        this.basis = event.currentTarget.dataset.basis;
+        this.saveSlicing();
+    }
+
+    /**
+     * Redraw, keep the choice in the user's preferences and tell the host
+     */
+    saveSlicing() {
+        this.refreshSegments();
+        savePreferences({ allocationDimension: this.dimension, allocationBasis: this.basis });
+        this.dispatchEvent(new CustomEvent('dimensionchange', {
+            detail: { dimension: this.dimension, basis: this.basis }
         }));
     }
 
@@ -193,8 +640,8 @@ export default class LpDonutChart extends LightningElement {
      * Handle legend item hover - highlight chart segment
      */
     handleLegendHover(event) {
-        const fundId = event.currentTarget.dataset.fundId;
-        const index = this.allocationData.findIndex(f => f.fundId === fundId);
+        const key = event.currentTarget.dataset.key;
+        const index = this.segments.findIndex(segment => segment.key === key);
 
         if (this.chart && index >= 0) {
             this.chart.setActiveElements([{ datasetIndex: 0, index: index }]);
@@ -216,39 +663,238 @@ export default class LpDonutChart extends LightningElement {
      * Handle legend item click
      */
     handleLegendClick(event) {
-        const fundId = event.currentTarget.dataset.fundId;
-        this.fireSegmentClickEvent(fundId);
+        const key = event.currentTarget.dataset.key;
+        const segment = this.segments.find(item => item.key === key);
+        if (segment) {
+            this.handleSegmentSelect(segment);
+        }
+    }
+
+    /**
+     * A segment was clicked: tell the host, and drill into vehicles and funds
+     */
+    handleSegmentSelect(segment) {
+        this.fireSegmentClickEvent(segment);
+
+        const crumbs = this.getDrillCrumbs(segment);
+        if (crumbs.length > 0) {
+            this.drillTo([...this.drillPath, ...crumbs]);
+        }
+    }
+
+    /**
+     * Breadcrumb steps a segment click adds; none for companies and the other dimensions
+     */
+    getDrillCrumbs(segment) {
+        const dimension = this.selectedDimension.value;
+        if (!this.isSliceable || !segment.key) {
+            return [];
+        }
+        if (dimension === DIMENSION_VEHICLE) {
+            return [{ level: LEVEL_VEHICLE, key: segment.key, label: segment.label }];
+        }
+        if (dimension !== DIMENSION_FUND) {
+            return [];
+        }
+
+        const fundCrumb = { level: LEVEL_FUND, key: segment.key, label: segment.label };
+        // From the portfolio, a fund held through one vehicle opens under that vehicle
+        if (this.isPortfolioLevel && segment.vehicleIds.length === 1) {
+            const vehicleRow = this._breakdownData.find(row => row.vehicleId === segment.vehicleIds[0]);
+            return [{ level: LEVEL_VEHICLE, key: vehicleRow.vehicleId, label: vehicleRow.vehicleName }, fundCrumb];
+        }
+        return [fundCrumb];
+    }
+
+    /**
+     * Go back up to a breadcrumb step
+     */
+    handleBreadcrumbClick(event) {
+        this.drillTo(this.drillPath.slice(0, Number(event.currentTarget.dataset.index)));
+    }
+
+    /**
+     * Show a drill-down level, loading the companies for a fund
+     */
+    drillTo(path) {
+        this.drillPath = path;
+        this.companies = [];
+        this.companiesError = '';
+        if (this.isCompanyLevel) {
+            this.loadCompanies(path[path.length - 1].key);
+        } else {
+            this.latestCompaniesRequestId++;
+            this.isLoadingCompanies = false;
+        }
+        this.refreshSegments();
+
+        this.dispatchEvent(new CustomEvent('drilldown', {
+            detail: {
+                level: this.level,
+                path: path.map(({ level, key, label }) => ({ level, key, label }))
+            }
+        }));
+    }
+
+    /**
+     * Load the portfolio companies of a fund
+     */
+    async loadCompanies(fundId) {
+        const requestId = ++this.latestCompaniesRequestId;
+        this.isLoadingCompanies = true;
+
+        try {
+            const companies = await this.provider.getPortfolioCompanies(fundId);
+            if (requestId === this.latestCompaniesRequestId) {
+                this.companies = companies;
+                this.refreshSegments();
+            }
+        } catch (error) {
+            if (requestId === this.latestCompaniesRequestId) {
+                console.error('Portfolio company error:', error);
+                this.companiesError = error && error.body
+                    ? error.body.message
+                    : 'Unable to load the portfolio companies. Please try again.';
+            }
+        } finally {
+            if (requestId === this.latestCompaniesRequestId) {
+                this.isLoadingCompanies = false;
+            }
+        }
+    }
+
+    /**
+     * After new breakdownData, keep the drill-down steps whose vehicle or fund is still in it
+     */
+    keepReachableDrillPath() {
+        const rows = this._breakdownData || [];
+        const reachable = [];
+        for (const crumb of this.drillPath) {
+            const path = [...reachable, crumb];
+            const isReachable = rows.some(row => path.every(step =>
+                (step.level === LEVEL_VEHICLE ? row.vehicleId : row.fundId) === step.key));
+            if (!isReachable) {
+                break;
+            }
+            reachable.push(crumb);
+        }
+        if (reachable.length < this.drillPath.length) {
+            this.drillPath = reachable;
+            this.companies = [];
+            this.companiesError = '';
+            this.latestCompaniesRequestId++;
+            this.isLoadingCompanies = false;
+        }
     }
 
     /**
      * Fire custom event when segment/legend is clicked
      */
-    fireSegmentClickEvent(fundId) {
+    fireSegmentClickEvent(segment) {
         const clickEvent = new CustomEvent('segmentclick', {
-            detail: { fundId }
+            detail: {
+                dimension: this.selectedDimension.value,
+                key: segment.key,
+                label: segment.label,
+                fundIds: [...segment.fundIds],
+                vehicleIds: [...segment.vehicleIds]
+            }
         });
         this.dispatchEvent(clickEvent);
     }
 
+    /**
+     * Export the allocation table, with a total row, in the chosen format
+     * The company level exports the company table; a drill-down adds its path to the context.
+     */
+    handleExport(event) {
+        const report = this.isCompanyLevel ? this.getCompanyReport() : this.getAllocationReport();
+        const context = [...(this.exportContext || [])];
+        if (!this.isPortfolioLevel) {
+            context.push({ label: 'Drill-down', value: this.breadcrumbs.map(crumb => crumb.label).join(' › ') });
+        }
+
+        try {
+            exportReport({ ...report, context }, event.detail.format);
+        } catch (error) {
+            console.error('Unable to export the allocation table:', error);
+        }
+    }
+
+    getAllocationReport() {
+        const dimension = this.selectedDimension;
+        const basis = this.selectedBasis;
+        const rows = this.segments.map(segment => ({
+            name: segment.label,
+            value: segment.value,
+            allocation: segment.allocation
+        }));
+        rows.push({
+            name: 'Total',
+            value: rows.reduce((sum, row) => sum + (row.value || 0), 0),
+            allocation: rows.length > 0 ? 100 : null
+        });
+
+        return {
+            title: `${basis.title} by ${dimension.label}`,
+            fileName: `${basis.title}-by-${dimension.label}`.toLowerCase(),
+            columns: [
+                { key: 'name', label: dimension.label },
+                { key: 'value', label: basis.label, type: 'currency' },
+                { key: 'allocation', label: 'Allocation', type: 'percent' }
+            ],
+            rows
+        };
+    }
+
+    getCompanyReport() {
+        const fund = this.drillPath[this.drillPath.length - 1];
+        const rows = this.segments.map(segment => ({
+            name: segment.label,
+            cost: segment.company.cost,
+            fairValue: segment.company.fairValue,
+            moic: segment.company.moic,
+            investmentDate: segment.company.investmentDate,
+            exitDate: segment.company.exitDate,
+            holdingYears: segment.company.holdingYears
+        }));
+        const cost = rows.reduce((sum, row) => sum + (row.cost || 0), 0);
+        const fairValue = rows.reduce((sum, row) => sum + (row.fairValue || 0), 0);
+        rows.push({ name: 'Total', cost, fairValue, moic: cost > 0 ? Math.round((fairValue / cost) * 100) / 100 : null });
+
+        return {
+            title: `${fund.label} Portfolio Companies`,
+            fileName: `${fund.label} portfolio companies`,
+            columns: [
+                { key: 'name', label: 'Company' },
+                { key: 'cost', label: 'Cost', type: 'currency' },
+                { key: 'fairValue', label: 'Fair Value', type: 'currency' },
+                { key: 'moic', label: 'MOIC', type: 'ratio' },
+                { key: 'investmentDate', label: 'Invested', type: 'date' },
+                { key: 'exitDate', label: 'Exited', type: 'date' },
+                { key: 'holdingYears', label: 'Holding Period (Years)', type: 'ratio' }
+            ],
+            rows
+        };
+    }
+
     /**
      * Public API to update chart data
      */
     @api
     updateData(newAllocationData, newTotalValue) {
-        this.allocationData = newAllocationData;
         this.totalValue = newTotalValue;
-
-        if (this.chart) {
-            const chartData = this.prepareChartData();
-            this.chart.data = chartData;
-            this.chart.update('active');
-        }
+        this.allocationData = newAllocationData;
     }
 
     /**
      * Cleanup when component is removed
      */
     disconnectedCallback() {
+        if (this._unsubscribePreferences) {
+            this._unsubscribePreferences();
+            this._unsubscribePreferences = null;
+        }
         if (this.chart) {
             this.chart.destroy();
             this.chart = null;
@@ -0,0 +1,96 @@
+/**
+ * lpExportMenu
+ * Export button with a menu of file formats (see lpExporter)
+ *
+ * The host builds its report and calls exportReport() when a format is picked,
+ * so every export in the portal offers the same formats.
+ *
+ * Props:
+ * - label: Button text ('Export' by default)
+ * - reportName: What is exported, for the button's accessible name (e.g. 'commitments table')
+ * - openUpward: Open the menu above the button (e.g. in a modal footer)
+ *
+ * Events:
+ * - export: Fired when the user picks a format
+ *   detail: { format } ('csv', 'xlsx' or 'pdf')
+ */
+
+import { LightningElement, api, track } from 'lwc';
+import { getExportFormatOptions } from 'c/lpExporter';
+
+export default class LpExportMenu extends LightningElement {
+    @api label = 'Export';
+    @api reportName = '';
+    @api openUpward = false;
+
+    @track isMenuOpen = false;
+
+    connectedCallback() {
+        this._handleOutsideClick = this.handleOutsideClick.bind(this);
+        document.addEventListener('click', this._handleOutsideClick);
+    }
+
+    disconnectedCallback() {
+        if (this._handleOutsideClick) {
+            document.removeEventListener('click', this._handleOutsideClick);
+        }
+    }
+
+    get formatOptions() {
+        return getExportFormatOptions().map(option => ({
+            ...option,
+            key: option.value
+        }));
+    }
+
+    get buttonLabel() {
+        return this.reportName ? `${this.label} ${this.reportName}` : this.label;
+    }
+
+    get optionsClass() {
+        return this.openUpward ? 'export-options export-options-up' : 'export-options';
+    }
+
+    get menuExpanded() {
+        return this.isMenuOpen ? 'true' : 'false';
+    }
+
+    handleToggle() {
+        this.isMenuOpen = !this.isMenuOpen;
+    }
+
+    handleKeydown(event) {
+        if (event.key === 'Escape' && this.isMenuOpen) {
+            event.stopPropagation();
+            this.closeMenu();
+        }
+    }
+
+    /**
+     * Close the menu when the user clicks anywhere outside it
+     */
+    handleOutsideClick(event) {
+        if (!this.isMenuOpen) {
+            return;
+        }
+        const menu = this.template.querySelector('.export-menu');
+        const path = event.composedPath ? event.composedPath() : [];
+        if (menu && !path.includes(menu)) {
+            this.isMenuOpen = false;
+        }
+    }
+
+    closeMenu() {
+        this.isMenuOpen = false;
+        const button = this.template.querySelector('.export-button');
+        if (button) {
+            button.focus();
+        }
+    }
+
+    handleFormatSelect(event) {
+        const format = event.currentTarget.dataset.format;
+        this.closeMenu();
+        this.dispatchEvent(new CustomEvent('export', { detail: { format } }));
+    }
+}
@@ -0,0 +1,149 @@
+import { buildCsv, buildXlsx, buildPdf } from 'c/lpExporter';
+
+const COLUMNS = [
+    { key: 'name', label: 'Fund' },
+    { key: 'amount', label: 'Amount', type: 'currency' }
+];
+
+function report(rows, extra = {}) {
+    return { title: 'Test Report', columns: COLUMNS, rows, context: [], ...extra };
+}
+
+/**
+ * Table lines of a CSV export (after the title, context, generated line and blank line)
+ */
+function tableLines(csv) {
+    const lines = csv.split('\r\n');
+    return lines.slice(lines.indexOf('') + 1, -1);
+}
+
+function readUint16(bytes, offset) {
+    return bytes[offset] | (bytes[offset + 1] << 8);
+}
+
+function readUint32(bytes, offset) {
+    return (readUint16(bytes, offset) | (readUint16(bytes, offset + 2) << 16)) >>> 0;
+}
+
+/**
+ * Files of a stored (uncompressed) ZIP, read through its central directory
+ */
+function readZip(bytes) {
+    const end = bytes.length - 22;
+    expect(readUint32(bytes, end)).toBe(0x06054B50);
+    const count = readUint16(bytes, end + 10);
+    let offset = readUint32(bytes, end + 16);
+    const files = {};
+
+    for (let i = 0; i < count; i++) {
+        expect(readUint32(bytes, offset)).toBe(0x02014B50);
+        const size = readUint32(bytes, offset + 20);
+        const nameLength = readUint16(bytes, offset + 28);
+        const localOffset = readUint32(bytes, offset + 42);
+        const name = Buffer.from(bytes.slice(offset + 46, offset + 46 + nameLength)).toString('utf8');
+
+        expect(readUint32(bytes, localOffset)).toBe(0x04034B50);
+        const dataStart = localOffset + 30 + readUint16(bytes, localOffset + 26);
+        files[name] = Buffer.from(bytes.slice(dataStart, dataStart + size)).toString('utf8');
+        offset += 46 + nameLength;
+    }
+    return files;
+}
+
+describe('c-lp-exporter', () => {
+    describe('buildCsv', () => {
+        it('writes the title, context and a header row before the table', () => {
+            const csv = buildCsv(report([{ name: 'Fund A', amount: 1234.567 }], {
+                context: [{ label: 'Vehicle', value: 'All vehicles' }]
+            }));
+            const lines = csv.split('\r\n');
+
+            expect(lines[0]).toBe('Test Report');
+            expect(lines[1]).toBe('Vehicle,All vehicles');
+            expect(lines[2]).toMatch(/^"Generated .+"$/);
+            expect(tableLines(csv)).toEqual(['Fund,Amount', 'Fund A,1234.57']);
+        });
+
+        it('quotes fields with commas, quotes and line breaks', () => {
+            const csv = buildCsv(report([
+                { name: 'Smith, Jones & Co', amount: 1 },
+                { name: 'The "Alpha" Fund', amount: 2 },
+                { name: 'Line\nbreak', amount: 3 }
+            ]));
+
+            expect(tableLines(csv).slice(1)).toEqual([
+                '"Smith, Jones & Co",1',
+                '"The ""Alpha"" Fund",2',
+                '"Line\nbreak",3'
+            ]);
+        });
+
+        it('prefixes text that a spreadsheet would run as a formula', () => {
+            const names = ['=SUM(A1)', '+1', '@cmd', '\tTab', '-1+2', "-2+3+cmd|' /C calc'!A0", '-Fund'];
+            const csv = buildCsv(report(names.map(name => ({ name, amount: 0 }))));
+
+            expect(tableLines(csv).slice(1).map(line => line.slice(0, line.lastIndexOf(',')))).toEqual([
+                "'=SUM(A1)",
+                "'+1",
+                "'@cmd",
+                "'\tTab",
+                "'-1+2",
+                "'-2+3+cmd|' /C calc'!A0",
+                "'-Fund"
+            ]);
+        });
+
+        it('leaves negative numbers as numbers', () => {
+            const csv = buildCsv(report([
+                { name: '-12.5', amount: -1500.25 },
+                { name: 'Loss', amount: -3 }
+            ]));
+
+            expect(tableLines(csv).slice(1)).toEqual(['-12.5,-1500.25', 'Loss,-3']);
+        });
+
+        it('leaves blank and missing values empty', () => {
+            const csv = buildCsv(report([{ name: null, amount: NaN }]));
+
+            expect(tableLines(csv)[1]).toBe(',');
+        });
+    });
+
+    describe('buildXlsx', () => {
+        it('packs a workbook whose sheet holds the table', () => {
+            const files = readZip(buildXlsx(report([{ name: 'Fund <A> & B', amount: 10 }])));
+
+            expect(Object.keys(files)).toEqual(expect.arrayContaining([
+                '[Content_Types].xml',
+                'xl/workbook.xml',
+                'xl/worksheets/sheet1.xml',
+                'xl/styles.xml'
+            ]));
+            expect(files['xl/worksheets/sheet1.xml']).toContain('Fund &lt;A&gt; &amp; B');
+            expect(files['xl/worksheets/sheet1.xml']).toContain('<v>10</v>');
+        });
+
+        it('drops control characters that XML does not allow', () => {
+            const files = readZip(buildXlsx(report([{ name: 'Bell\u0007 and\ttab', amount: 1 }])));
+
+            expect(files['xl/worksheets/sheet1.xml']).toContain('Bell and\ttab');
+        });
+
+        it('builds large sheets', () => {
+            const rows = Array.from({ length: 3000 }, (value, index) => ({ name: `Fund ${index}`, amount: index }));
+            const files = readZip(buildXlsx(report(rows)));
+
+            expect(files['xl/worksheets/sheet1.xml']).toContain('Fund 2999');
+        });
+    });
+
+    describe('buildPdf', () => {
+        it('writes a complete PDF document', () => {
+            const text = Buffer.from(buildPdf(report([{ name: 'Fund A', amount: 10 }]))).toString('latin1');
+
+            expect(text.startsWith('%PDF-')).toBe(true);
+            expect(text.trimEnd().endsWith('%%EOF')).toBe(true);
+            expect(text).toContain('(Fund A)');
+        });
+    });
+});
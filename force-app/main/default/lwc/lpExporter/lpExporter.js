@@ -0,0 +1,687 @@
+/**
+ * lpExporter
+ * @Description: Client-side CSV, XLSX and PDF export for FundPanel LP Portal reports
+ *
+ * Report interface:
+ * - title: string (heading of the file)
+ * - fileName: string (download name without extension)
+ * - context: Array<{label, value}> (filter context printed above the table: vehicle and fund names, as-of date)
+ * - columns: Array<{key, label, type}>, where type is 'text', 'currency', 'percent' (value in percent,
+ *   e.g. 31.45), 'ratio', 'date' (YYYY-MM-DD) or 'month' (YYYY-MM); 'text' by default
+ * - rows: Array<Object> of raw values keyed by column key. A cell can also be {value, type} to override
+ *   its column's type, e.g. in a table of metrics that mixes amounts and ratios.
+ *
+ * Files are generated in the browser and handed to the user as a download; nothing goes to the server.
+ * CSV and XLSX keep raw numbers so figures can be reworked in a spreadsheet; the PDF prints them
+ * formatted as the portal shows them.
+ */
+
+import { formatCurrency, formatPercentage, formatTVPI, formatDate } from 'c/lpStaticDataService';
+
+export const FORMAT_CSV = 'csv';
+export const FORMAT_XLSX = 'xlsx';
+export const FORMAT_PDF = 'pdf';
+
+const MIME_TYPES = {
+    [FORMAT_CSV]: 'text/csv;charset=utf-8',
+    [FORMAT_XLSX]: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+    [FORMAT_PDF]: 'application/pdf'
+};
+
+const BRAND_NAME = 'FundPanel';
+const BRAND_SUBTITLE = 'LP Portal';
+
+// --md-sys-color-primary and --md-sys-color-surface-variant as PDF RGB fractions
+const PDF_BRAND_COLOR = '0 0.42 0.373';
+const PDF_HEADER_FILL = '0.855 0.898 0.882';
+const PDF_MUTED_COLOR = '0.247 0.286 0.275';
+
+/**
+ * Export format options for an export menu
+ * @returns {Array<{label: string, value: string}>}
+ */
+export function getExportFormatOptions() {
+    return [
+        { label: 'CSV (.csv)', value: FORMAT_CSV },
+        { label: 'Excel (.xlsx)', value: FORMAT_XLSX },
+        { label: 'PDF (.pdf)', value: FORMAT_PDF }
+    ];
+}
+
+// ========================================
+// Cells
+// ========================================
+
+function getCell(row, column) {
+    const raw = row[column.key];
+    if (raw !== null && typeof raw === 'object') {
+        return { value: raw.value, type: raw.type || column.type || 'text' };
+    }
+    return { value: raw, type: column.type || 'text' };
+}
+
+function isNumericType(type) {
+    return type === 'currency' || type === 'percent' || type === 'ratio';
+}
+
+function isBlank(value) {
+    return value === null || value === undefined || value === '' ||
+        (typeof value === 'number' && !Number.isFinite(value));
+}
+
+/**
+ * Number for CSV and XLSX: amounts to the cent, other figures without floating-point noise
+ */
+function toRawNumber(value, type) {
+    return type === 'currency' ? Math.round(value * 100) / 100 : Number(value.toFixed(6));
+}
+
+/**
+ * Raw cell value for CSV and XLSX
+ */
+function getRawValue(cell) {
+    if (isBlank(cell.value)) {
+        return null;
+    }
+    return isNumericType(cell.type) && typeof cell.value === 'number' ? toRawNumber(cell.value, cell.type) : cell.value;
+}
+
+/**
+ * Cell text as the portal shows it (PDF)
+ */
+function formatCell(cell) {
+    if (isBlank(cell.value)) {
+        return isNumericType(cell.type) ? 'N/A' : '';
+    }
+    switch (cell.type) {
+        case 'currency':
+            return formatCurrency(cell.value);
+        case 'percent':
+            return formatPercentage(cell.value);
+        case 'ratio':
+            return formatTVPI(cell.value);
+        case 'date':
+            return formatDate(cell.value);
+        case 'month':
+            return formatDate(`${cell.value}-01`).replace(/ 1,/, '');
+        default:
+            return String(cell.value);
+    }
+}
+
+/**
+ * Plain file name, e.g. "Portfolio Metrics" -> "portfolio-metrics-2026-10-19"
+ */
+function toFileName(report, extension) {
+    const base = (report.fileName || report.title || 'report')
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, '-')
+        .replace(/^-+|-+$/g, '');
+    return `${base || 'report'}-${new Date().toISOString().slice(0, 10)}.${extension}`;
+}
+
+function getGeneratedLabel() {
+    return `Generated ${formatDate(new Date().toISOString().slice(0, 10))}`;
+}
+
+// ========================================
+// CSV
+// ========================================
+
+function toCsvField(value) {
+    let text = isBlank(value) ? '' : String(value);
+    // Keep spreadsheet apps from running text cells as formulas; only plain numbers may start with '-'
+    if (typeof value !== 'number' && /^[=+\-@\t\r]/.test(text) && !/^-?\d+(\.\d+)?$/.test(text)) {
+        text = `'${text}`;
+    }
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * CSV text of a report: title and filter context lines, a blank line, then the table
+ * @param {Object} report - Report
+ * @returns {string}
+ */
+export function buildCsv(report) {
+    const columns = report.columns || [];
+    const lines = [toCsvField(report.title)];
+    (report.context || []).forEach(item => {
+        lines.push([toCsvField(item.label), toCsvField(item.value)].join(','));
+    });
+    lines.push(toCsvField(getGeneratedLabel()), '');
+    lines.push(columns.map(column => toCsvField(column.label)).join(','));
+    (report.rows || []).forEach(row => {
+        lines.push(columns.map(column => toCsvField(getRawValue(getCell(row, column)))).join(','));
+    });
+    return lines.join('\r\n') + '\r\n';
+}
+
+// ========================================
+// XLSX (SpreadsheetML in a stored ZIP)
+// ========================================
+
+// Cell style indexes in XLSX_STYLES
+const XLSX_STYLE = { text: 0, bold: 1, currency: 2, percent: 3, ratio: 4, date: 5, month: 6 };
+
+const XLSX_STYLES = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+    '<styleSheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">' +
+    '<numFmts count="3"><numFmt numFmtId="164" formatCode="&quot;$&quot;#,##0.00"/>' +
+    '<numFmt numFmtId="165" formatCode="0.00&quot;%&quot;"/><numFmt numFmtId="166" formatCode="mmm yyyy"/></numFmts>' +
+    '<fonts count="2"><font><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="11"/><name val="Calibri"/></font></fonts>' +
+    '<fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills>' +
+    '<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>' +
+    '<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>' +
+    '<cellXfs count="7">' +
+    '<xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/>' +
+    '<xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/>' +
+    '<xf numFmtId="164" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/>' +
+    '<xf numFmtId="165" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/>' +
+    '<xf numFmtId="2" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/>' +
+    '<xf numFmtId="14" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/>' +
+    '<xf numFmtId="166" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/>' +
+    '</cellXfs><cellStyles count="1"><cellStyle name="Normal" xfId="0" builtinId="0"/></cellStyles></styleSheet>';
+
+/**
+ * Text without the control characters XML 1.0 does not allow (tab, line feed and carriage return stay)
+ */
+function stripControlCharacters(text) {
+    let result = '';
+    for (const char of text) {
+        const code = char.charCodeAt(0);
+        if (code >= 0x20 || code === 0x09 || code === 0x0A || code === 0x0D) {
+            result += char;
+        }
+    }
+    return result;
+}
+
+function escapeXml(text) {
+    return stripControlCharacters(String(text))
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+function toColumnLetter(index) {
+    let letter = '';
+    let n = index + 1;
+    while (n > 0) {
+        const remainder = (n - 1) % 26;
+        letter = String.fromCharCode(65 + remainder) + letter;
+        n = Math.floor((n - 1) / 26);
+    }
+    return letter;
+}
+
+/**
+ * Excel serial day number of a YYYY-MM-DD or YYYY-MM date
+ */
+function toExcelDate(value) {
+    const [year, month, day] = value.split('-').map(Number);
+    return (Date.UTC(year, month - 1, day || 1) - Date.UTC(1899, 11, 30)) / 86400000;
+}
+
+function toXlsxCell(ref, cell, bold) {
+    const type = cell.type;
+    const value = getRawValue(cell);
+    if (isBlank(value)) {
+        return '';
+    }
+    if (isNumericType(type) && typeof value === 'number') {
+        return `<c r="${ref}" s="${XLSX_STYLE[type]}"><v>${value}</v></c>`;
+    }
+    if ((type === 'date' || type === 'month') && /^\d{4}-\d{2}(-\d{2})?$/.test(value)) {
+        return `<c r="${ref}" s="${XLSX_STYLE[type]}"><v>${toExcelDate(value)}</v></c>`;
+    }
+    const style = bold ? ` s="${XLSX_STYLE.bold}"` : '';
+    return `<c r="${ref}" t="inlineStr"${style}><is><t xml:space="preserve">${escapeXml(value)}</t></is></c>`;
+}
+
+function buildSheetXml(report) {
+    const columns = report.columns || [];
+    const rows = [];
+    const addRow = cells => {
+        const rowNumber = rows.length + 1;
+        const xml = cells
+            .map((cell, index) => (cell ? toXlsxCell(`${toColumnLetter(index)}${rowNumber}`, cell, cell.bold) : ''))
+            .join('');
+        rows.push(`<row r="${rowNumber}">${xml}</row>`);
+    };
+
+    addRow([{ value: report.title, type: 'text', bold: true }]);
+    (report.context || []).forEach(item => {
+        addRow([{ value: item.label, type: 'text', bold: true }, { value: item.value, type: 'text' }]);
+    });
+    addRow([{ value: getGeneratedLabel(), type: 'text' }]);
+    addRow([]);
+    addRow(columns.map(column => ({ value: column.label, type: 'text', bold: true })));
+    (report.rows || []).forEach(row => addRow(columns.map(column => getCell(row, column))));
+
+    const widths = columns.map((column, index) => {
+        const width = Math.min(60, Math.max(12, column.label.length + 2, ...(report.rows || [])
+            .map(row => formatCell(getCell(row, column)).length + 2)));
+        return `<col min="${index + 1}" max="${index + 1}" width="${width}" customWidth="1"/>`;
+    });
+
+    return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+        '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">' +
+        (widths.length > 0 ? `<cols>${widths.join('')}</cols>` : '') +
+        `<sheetData>${rows.join('')}</sheetData></worksheet>`;
+}
+
+function toSheetName(title) {
+    const name = String(title || 'Report').replace(/[[\]:*?/\\]/g, ' ').trim().slice(0, 31);
+    return name || 'Report';
+}
+
+/**
+ * UTF-8 bytes of a string
+ */
+function toUtf8(text) {
+    const bytes = [];
+    for (const char of text) {
+        const code = char.codePointAt(0);
+        if (code < 0x80) {
+            bytes.push(code);
+        } else if (code < 0x800) {
+            bytes.push(0xC0 | (code >> 6), 0x80 | (code & 0x3F));
+        } else if (code < 0x10000) {
+            bytes.push(0xE0 | (code >> 12), 0x80 | ((code >> 6) & 0x3F), 0x80 | (code & 0x3F));
+        } else {
+            bytes.push(0xF0 | (code >> 18), 0x80 | ((code >> 12) & 0x3F), 0x80 | ((code >> 6) & 0x3F), 0x80 | (code & 0x3F));
+        }
+    }
+    return bytes;
+}
+
+let crcTable = null;
+
+function crc32(bytes) {
+    if (!crcTable) {
+        crcTable = [];
+        for (let n = 0; n < 256; n++) {
+            let c = n;
+            for (let k = 0; k < 8; k++) {
+                c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+            }
+            crcTable.push(c >>> 0);
+        }
+    }
+    let crc = 0xFFFFFFFF;
+    for (let i = 0; i < bytes.length; i++) {
+        crc = crcTable[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+function uint16(value) {
+    return [value & 0xFF, (value >>> 8) & 0xFF];
+}
+
+function uint32(value) {
+    return [value & 0xFF, (value >>> 8) & 0xFF, (value >>> 16) & 0xFF, (value >>> 24) & 0xFF];
+}
+
+/**
+ * ZIP archive of uncompressed (stored) files
+ * @param {Array<{name: string, content: string}>} files
+ * @returns {Uint8Array}
+ */
+function buildZip(files) {
+    // Collected as parts and copied once: spreading a whole sheet into push() overflows the call stack
+    const localParts = [];
+    const directoryParts = [];
+    // 1980-01-01 00:00, the earliest DOS date
+    const dosTime = uint16(0);
+    const dosDate = uint16(0x21);
+    let offset = 0;
+
+    files.forEach(file => {
+        const name = toUtf8(file.name);
+        const data = toUtf8(file.content);
+        const crc = uint32(crc32(data));
+        const shared = [...uint16(20), ...uint16(0x0800), ...uint16(0), ...dosTime, ...dosDate,
+            ...crc, ...uint32(data.length), ...uint32(data.length), ...uint16(name.length), ...uint16(0)];
+        const localHeader = [...uint32(0x04034B50), ...shared];
+
+        localParts.push(localHeader, name, data);
+        directoryParts.push([...uint32(0x02014B50), ...uint16(20), ...shared,
+            ...uint16(0), ...uint16(0), ...uint16(0), ...uint32(0), ...uint32(offset)], name);
+        offset += localHeader.length + name.length + data.length;
+    });
+
+    const directoryLength = directoryParts.reduce((sum, part) => sum + part.length, 0);
+    const endOfDirectory = [...uint32(0x06054B50), ...uint16(0), ...uint16(0), ...uint16(files.length),
+        ...uint16(files.length), ...uint32(directoryLength), ...uint32(offset), ...uint16(0)];
+
+    const parts = [...localParts, ...directoryParts, endOfDirectory];
+    const output = new Uint8Array(offset + directoryLength + endOfDirectory.length);
+    let position = 0;
+    parts.forEach(part => {
+        output.set(part, position);
+        position += part.length;
+    });
+    return output;
+}
+
+/**
+ * XLSX workbook of a report, one sheet with the title, filter context and table
+ * @param {Object} report - Report
+ * @returns {Uint8Array}
+ */
+export function buildXlsx(report) {
+    const main = 'http://schemas.openxmlformats.org/spreadsheetml/2006/main';
+    const relationships = 'http://schemas.openxmlformats.org/officeDocument/2006/relationships';
+    const packageRelationships = 'http://schemas.openxmlformats.org/package/2006/relationships';
+    const xmlHeader = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>';
+
+    return buildZip([
+        {
+            name: '[Content_Types].xml',
+            content: xmlHeader +
+                '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+                '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+                '<Default Extension="xml" ContentType="application/xml"/>' +
+                '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>' +
+                '<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>' +
+                '<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>' +
+                '</Types>'
+        },
+        {
+            name: '_rels/.rels',
+            content: xmlHeader +
+                `<Relationships xmlns="${packageRelationships}">` +
+                `<Relationship Id="rId1" Type="${relationships}/officeDocument" Target="xl/workbook.xml"/>` +
+                '</Relationships>'
+        },
+        {
+            name: 'xl/workbook.xml',
+            content: xmlHeader +
+                `<workbook xmlns="${main}" xmlns:r="${relationships}">` +
+                `<sheets><sheet name="${escapeXml(toSheetName(report.title))}" sheetId="1" r:id="rId1"/></sheets>` +
+                '</workbook>'
+        },
+        {
+            name: 'xl/_rels/workbook.xml.rels',
+            content: xmlHeader +
+                `<Relationships xmlns="${packageRelationships}">` +
+                `<Relationship Id="rId1" Type="${relationships}/worksheet" Target="worksheets/sheet1.xml"/>` +
+                `<Relationship Id="rId2" Type="${relationships}/styles" Target="styles.xml"/>` +
+                '</Relationships>'
+        },
+        { name: 'xl/worksheets/sheet1.xml', content: buildSheetXml(report) },
+        { name: 'xl/styles.xml', content: XLSX_STYLES }
+    ]);
+}
+
+// ========================================
+// PDF
+// ========================================
+
+// Helvetica advance widths (1/1000 em) for ASCII 32-126
+const HELVETICA_WIDTHS = [
+    278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+    556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+    1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+    667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+    333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+    556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584
+];
+
+// Helvetica-Bold runs about 5% wider than Helvetica
+const BOLD_WIDTH_FACTOR = 1.05;
+
+// Characters outside Latin-1 that WinAnsiEncoding places in 0x80-0x9F
+const WIN_ANSI_CODES = {
+    '€': 0x80, '…': 0x85, '‘': 0x91, '’': 0x92, '“': 0x93, '”': 0x94, '•': 0x95, '–': 0x96, '—': 0x97
+};
+
+const PDF_PAGE = { portrait: [612, 792], landscape: [792, 612] };
+const PDF_MARGIN = 48;
+const PDF_FONT_SIZE = 9;
+const PDF_ROW_HEIGHT = 18;
+const PDF_CELL_PADDING = 6;
+
+/**
+ * Single-byte WinAnsi text; characters Helvetica can't show become '?'
+ */
+function toWinAnsi(text) {
+    let result = '';
+    for (const char of String(text)) {
+        const code = char.codePointAt(0);
+        if (WIN_ANSI_CODES[char]) {
+            result += String.fromCharCode(WIN_ANSI_CODES[char]);
+        } else if ((code >= 32 && code < 127) || (code >= 160 && code < 256)) {
+            result += char;
+        } else {
+            result += '?';
+        }
+    }
+    return result;
+}
+
+function measureText(text, fontSize, bold) {
+    let width = 0;
+    for (let i = 0; i < text.length; i++) {
+        const code = text.charCodeAt(i);
+        width += code >= 32 && code <= 126 ? HELVETICA_WIDTHS[code - 32] : 556;
+    }
+    return (width * fontSize / 1000) * (bold ? BOLD_WIDTH_FACTOR : 1);
+}
+
+/**
+ * Text shortened with an ellipsis to fit a width
+ */
+function fitText(text, maxWidth, fontSize, bold) {
+    if (measureText(text, fontSize, bold) <= maxWidth) {
+        return text;
+    }
+    const ellipsis = String.fromCharCode(WIN_ANSI_CODES['…']);
+    let fitted = text;
+    while (fitted.length > 0 && measureText(fitted + ellipsis, fontSize, bold) > maxWidth) {
+        fitted = fitted.slice(0, -1);
+    }
+    return fitted + ellipsis;
+}
+
+function escapePdfText(text) {
+    return text.replace(/\\/g, '\\\\').replace(/\(/g, '\\(').replace(/\)/g, '\\)');
+}
+
+function pdfText(text, x, y, fontSize, bold, color) {
+    const font = bold ? 'F2' : 'F1';
+    return `BT ${color || '0 0 0'} rg /${font} ${fontSize} Tf ${x.toFixed(2)} ${y.toFixed(2)} Td (${escapePdfText(text)}) Tj ET`;
+}
+
+function pdfRect(x, y, width, height, color) {
+    return `${color} rg ${x.toFixed(2)} ${y.toFixed(2)} ${width.toFixed(2)} ${height.toFixed(2)} re f`;
+}
+
+/**
+ * Column widths in points: natural widths scaled to fill the available width
+ */
+function getPdfColumnWidths(columns, rows, availableWidth) {
+    const natural = columns.map((column, index) => Math.max(
+        measureText(column.label, PDF_FONT_SIZE, true),
+        ...rows.map(row => measureText(row[index], PDF_FONT_SIZE, false))
+    ) + PDF_CELL_PADDING * 2);
+    const total = natural.reduce((sum, width) => sum + width, 0);
+    return natural.map(width => width * availableWidth / total);
+}
+
+/**
+ * Branded PDF of a report: FundPanel header band, title, filter context and the table,
+ * paginated with a repeated table header and page numbers
+ * @param {Object} report - Report
+ * @returns {Uint8Array}
+ */
+export function buildPdf(report) {
+    const columns = report.columns || [];
+    const [pageWidth, pageHeight] = columns.length > 5 ? PDF_PAGE.landscape : PDF_PAGE.portrait;
+    const tableWidth = pageWidth - PDF_MARGIN * 2;
+    const cellRows = (report.rows || []).map(row => columns.map(column => toWinAnsi(formatCell(getCell(row, column)))));
+    const rightAligned = columns.map(column => isNumericType(column.type) ||
+        (report.rows || []).some(row => isNumericType(getCell(row, column).type)));
+    const widths = getPdfColumnWidths(columns.map(column => ({ label: toWinAnsi(column.label) })), cellRows, tableWidth);
+
+    const pages = [];
+    let ops = [];
+    let y = 0;
+
+    const drawCell = (text, x, top, width, alignRight, bold) => {
+        const fitted = fitText(text, width - PDF_CELL_PADDING * 2, PDF_FONT_SIZE, bold);
+        const textX = alignRight
+            ? x + width - PDF_CELL_PADDING - measureText(fitted, PDF_FONT_SIZE, bold)
+            : x + PDF_CELL_PADDING;
+        return pdfText(fitted, textX, top - PDF_ROW_HEIGHT + 6, PDF_FONT_SIZE, bold, bold ? PDF_MUTED_COLOR : null);
+    };
+
+    const drawTableHeader = () => {
+        ops.push(pdfRect(PDF_MARGIN, y - PDF_ROW_HEIGHT, widths.reduce((sum, w) => sum + w, 0), PDF_ROW_HEIGHT, PDF_HEADER_FILL));
+        let x = PDF_MARGIN;
+        columns.forEach((column, index) => {
+            ops.push(drawCell(toWinAnsi(column.label), x, y, widths[index], rightAligned[index], true));
+            x += widths[index];
+        });
+        y -= PDF_ROW_HEIGHT;
+    };
+
+
+    const startPage = first => {
+        ops = [];
+        pages.push(ops);
+        // Brand band
+        ops.push(pdfRect(0, pageHeight - 40, pageWidth, 40, PDF_BRAND_COLOR));
+        ops.push(pdfText(BRAND_NAME, PDF_MARGIN, pageHeight - 26, 16, true, '1 1 1'));
+        ops.push(pdfText(BRAND_SUBTITLE, pageWidth - PDF_MARGIN - measureText(BRAND_SUBTITLE, 10, false), pageHeight - 25, 10, false, '1 1 1'));
+        y = pageHeight - 40 - 32;
+        if (first) {
+            ops.push(pdfText(toWinAnsi(report.title), PDF_MARGIN, y, 16, true));
+            y -= 20;
+            (report.context || []).forEach(item => {
+                const label = toWinAnsi(`${item.label}: `);
+                ops.push(pdfText(label, PDF_MARGIN, y, 10, true, PDF_MUTED_COLOR));
+                ops.push(pdfText(
+                    fitText(toWinAnsi(item.value), tableWidth - measureText(label, 10, true), 10, false),
+                    PDF_MARGIN + measureText(label, 10, true), y, 10, false
+                ));
+                y -= 14;
+            });
+            ops.push(pdfText(toWinAnsi(getGeneratedLabel()), PDF_MARGIN, y, 8, false, PDF_MUTED_COLOR));
+            y -= 16;
+        }
+        drawTableHeader();
+    };
+
+    startPage(true);
+    cellRows.forEach((cells, rowIndex) => {
+        if (y - PDF_ROW_HEIGHT < PDF_MARGIN) {
+            startPage(false);
+        }
+        let x = PDF_MARGIN;
+        cells.forEach((text, index) => {
+            ops.push(drawCell(text, x, y, widths[index], rightAligned[index], false));
+            x += widths[index];
+        });
+        y -= PDF_ROW_HEIGHT;
+        if (rowIndex < cellRows.length - 1) {
+            ops.push(`${PDF_HEADER_FILL} RG 0.5 w ${PDF_MARGIN} ${y.toFixed(2)} m ${(PDF_MARGIN + widths.reduce((sum, w) => sum + w, 0)).toFixed(2)} ${y.toFixed(2)} l S`);
+        }
+    });
+
+    pages.forEach((pageOps, index) => {
+        const footer = `Page ${index + 1} of ${pages.length}`;
+        pageOps.push(pdfText(footer, pageWidth - PDF_MARGIN - measureText(footer, 8, false), PDF_MARGIN / 2, 8, false, PDF_MUTED_COLOR));
+    });
+
+    return serializePdf(pages, pageWidth, pageHeight, report.title);
+}
+
+/**
+ * PDF file of pages of content stream operators
+ * Objects: 1 catalog, 2 page tree, 3-4 fonts, 5 info, then a page and its content stream per page
+ */
+function serializePdf(pages, pageWidth, pageHeight, title) {
+    const objects = [];
+    const pageIds = pages.map((page, index) => 6 + index * 2);
+
+    objects.push('<< /Type /Catalog /Pages 2 0 R >>');
+    objects.push(`<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pages.length} >>`);
+    objects.push('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>');
+    objects.push('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>');
+    objects.push(`<< /Title (${escapePdfText(toWinAnsi(title || 'Report'))}) /Producer (${BRAND_NAME} ${BRAND_SUBTITLE}) >>`);
+    pages.forEach((pageOps, index) => {
+        const stream = pageOps.join('\n');
+        objects.push(`<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${pageWidth} ${pageHeight}] ` +
+            `/Resources << /Font << /F1 3 0 R /F2 4 0 R >> >> /Contents ${pageIds[index] + 1} 0 R >>`);
+        objects.push(`<< /Length ${stream.length} >>\nstream\n${stream}\nendstream`);
+    });
+
+    // Every character is a single byte (WinAnsi), so string offsets are byte offsets
+    let pdf = '%PDF-1.4\n';
+    const offsets = objects.map((object, index) => {
+        const offset = pdf.length;
+        pdf += `${index + 1} 0 obj\n${object}\nendobj\n`;
+        return offset;
+    });
+    const xrefOffset = pdf.length;
+    pdf += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+    offsets.forEach(offset => {
+        pdf += `${String(offset).padStart(10, '0')} 00000 n \n`;
+    });
+    pdf += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R /Info 5 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`;
+
+    const bytes = new Uint8Array(pdf.length);
+    for (let i = 0; i < pdf.length; i++) {
+        bytes[i] = pdf.charCodeAt(i) & 0xFF;
+    }
+    return bytes;
+}
+
+// ========================================
+// Download
+// ========================================
+
+// Object URL of the last download. Revoking it straight after click() cancels the download
+// in some browsers, so it is kept until the next download replaces it.
+let lastDownloadUrl = null;
+
+function downloadFile(content, fileName, mimeType) {
+    if (lastDownloadUrl) {
+        URL.revokeObjectURL(lastDownloadUrl);
+    }
+    const blob = new Blob([content], { type: mimeType });
+    const url = URL.createObjectURL(blob);
+    lastDownloadUrl = url;
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    link.style.display = 'none';
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+}
+
+/**
+ * Generate a report file in the browser and download it
+ * @param {Object} report - Report
+ * @param {string} format - FORMAT_CSV, FORMAT_XLSX or FORMAT_PDF
+ * @returns {string} Name of the downloaded file
+ */
+export function exportReport(report, format) {
+    let content;
+    if (format === FORMAT_CSV) {
+        // BOM so Excel opens the file as UTF-8
+        content = '\uFEFF' + buildCsv(report);
+    } else if (format === FORMAT_XLSX) {
+        content = buildXlsx(report);
+    } else if (format === FORMAT_PDF) {
+        content = buildPdf(report);
+    } else {
+        throw new Error(`Unsupported export format: ${format}`);
+    }
+    const fileName = toFileName(report, format);
+    downloadFile(content, fileName, MIME_TYPES[format]);
+    return fileName;
+}
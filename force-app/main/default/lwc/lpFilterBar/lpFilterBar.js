@@ -4,81 +4,283 @@
  * @date: 27th January 2026
  * @Description: Filter bar component for FundPanel LP Portal
  *
- * Provides dropdown filters for:
- * - Investment Vehicle selection
- * - Fund selection
+ * Provides filters for:
+ * - Investment Vehicle selection (one or more)
+ * - Fund selection (one or more, limited to the selected vehicles)
+ * - Date range (inception to date, year to date, last 4 or 8 quarters, quarter-end presets or custom dates),
+ *   when showDateRange is set
+ *
+ * Active filters are listed as chips that can be removed one at a time.
  *
  * Implements instant filter application (<300ms target) with no "Apply" button.
  * Fires custom events when filters change for parent dashboard to update views.
+ * Selections are kept in the URL (see lpRouter), so they survive refreshes and
+ * view switches and can be shared as links, and saved as the user's last filters
+ * (see lpPreferenceStore).
+ *
+ * Props:
+ * - vehicles: Array of { id, name } from the dashboard's data provider
+ * - funds: Array of { id, name, vehicleId, vehicleIds? } from the dashboard's data provider
+ * - showDateRange: Show the date range picker (pages whose data honors a date window)
  *
  * Events:
  * - filterchange: Fired when any filter changes
- *   detail: { vehicleId: string, fundId: string }
+ *   detail: {
+ *     vehicleId: 'all' | string | Array<string>,
+ *     fundId: 'all' | string | Array<string>,
+ *     vehicleIds: Array<string> (empty for all),
+ *     fundIds: Array<string> (empty for all),
+ *     dateRange: { preset, startDate, endDate } (see lpDateRange)
+ *   }
+ *   vehicleId and fundId are the filter values the data providers accept.
  */
 
-import { LightningElement, track } from 'lwc';
-import { getInvestmentVehicles, getFunds } from 'c/lpStaticDataService';
+import { LightningElement, api, track } from 'lwc';
+import { getRoute, navigate, subscribe } from 'c/lpRouter';
+import { savePreferences } from 'c/lpPreferenceStore';
+import {
+    getDatePresetOptions,
+    resolveDateRange,
+    hasDateWindow,
+    describeDateRange,
+    PRESET_ITD,
+    PRESET_CUSTOM
+} from 'c/lpDateRange';
+
+const VEHICLE = 'vehicle';
+const FUND = 'fund';
+const DATE_RANGE = 'dateRange';
+
+/**
+ * Whether a fund is held through the given vehicle
+ * Funds held through several vehicles list them all in vehicleIds
+ */
+function isFundInVehicle(fund, vehicleId) {
+    const vehicleIds = fund.vehicleIds || [fund.vehicleId];
+    return vehicleIds.includes(vehicleId);
+}
+
+/**
+ * Selected Ids of a filter value ('all', an Id or an array of Ids)
+ */
+function toIdList(filter) {
+    if (Array.isArray(filter)) {
+        return filter.filter(id => id && id !== 'all');
+    }
+    return !filter || filter === 'all' ? [] : [filter];
+}
+
+/**
+ * Filter value for selected Ids: 'all' when none, the Id when one, otherwise the array
+ */
+function toFilterValue(ids) {
+    if (ids.length === 0) {
+        return 'all';
+    }
+    return ids.length === 1 ? ids[0] : [...ids];
+}
+
+function isSameSelection(a, b) {
+    return a.length === b.length && a.every(id => b.includes(id));
+}
+
+/**
+ * Whether two date ranges select the same window (any two without a window are the same)
+ */
+function isSameDateRange(a, b) {
+    if (!hasDateWindow(a) && !hasDateWindow(b)) {
+        return true;
+    }
+    return a.preset === b.preset && a.startDate === b.startDate && a.endDate === b.endDate;
+}
 
 export default class LpFilterBar extends LightningElement {
-    @track selectedVehicleId = 'all';
-    @track selectedFundId = 'all';
+    @api vehicles = []; // Investment vehicles, including the 'all' option
+    @api funds = []; // Funds with their vehicleId
+    @api showDateRange = false;
+
+    // Selected Ids; empty means all
+    @track selectedVehicleIds = [];
+    @track selectedFundIds = [];
+
+    @track dateRange = resolveDateRange(PRESET_ITD);
+
+    // Open multi-select dropdown: 'vehicle', 'fund' or null
+    @track openDropdown = null;
+
+    connectedCallback() {
+        const route = getRoute();
+        this.selectedVehicleIds = toIdList(route.vehicleId);
+        this.selectedFundIds = toIdList(route.fundId);
+        this.dateRange = route.dateRange;
+        this._unsubscribeRoute = subscribe(nextRoute => this.handleRouteChange(nextRoute));
+
+        this._handleOutsideClick = this.handleOutsideClick.bind(this);
+        document.addEventListener('click', this._handleOutsideClick);
+    }
+
+    disconnectedCallback() {
+        if (this._unsubscribeRoute) {
+            this._unsubscribeRoute();
+        }
+        if (this._handleOutsideClick) {
+            document.removeEventListener('click', this._handleOutsideClick);
+        }
+    }
+
+    // ========================================
+    // Vehicle and fund options
+    // ========================================
 
     /**
-     * Get investment vehicle options for dropdown
+     * Vehicles that can be selected (the 'all' option is the empty selection)
      */
-    get vehicleOptions() {
-        const vehicles = getInvestmentVehicles();
-        return vehicles.map(vehicle => ({
-            label: vehicle.name,
-            value: vehicle.id
-        }));
+    get selectableVehicles() {
+        return (this.vehicles || []).filter(vehicle => vehicle.id !== 'all');
     }
 
     /**
-     * Get fund options for dropdown
-     * If vehicle is selected, filter funds by vehicle
+     * Funds that can be selected, limited to the selected vehicles
      */
+    get selectableFunds() {
+        const funds = this.funds || [];
+        if (this.selectedVehicleIds.length === 0) {
+            return funds;
+        }
+        return funds.filter(fund => this.selectedVehicleIds.some(vehicleId => isFundInVehicle(fund, vehicleId)));
+    }
+
+    get vehicleOptions() {
+        return this.selectableVehicles.map(vehicle => this.buildOption(VEHICLE, vehicle, this.selectedVehicleIds));
+    }
+
     get fundOptions() {
-        const funds = getFunds();
-        let filteredFunds = funds;
-
-        // Filter funds by selected vehicle
-        if (this.selectedVehicleId !== 'all') {
-            filteredFunds = funds.filter(fund => fund.vehicleId === this.selectedVehicleId);
-        }
-
-        // Add "All Funds" option at the top
-        const options = [{
-            label: 'All Funds',
-            value: 'all'
-        }];
-
-        // Add fund options
-        filteredFunds.forEach(fund => {
-            options.push({
-                label: fund.name,
-                value: fund.id
-            });
+        return this.selectableFunds.map(fund => this.buildOption(FUND, fund, this.selectedFundIds));
+    }
+
+    buildOption(type, item, selectedIds) {
+        const isSelected = selectedIds.includes(item.id);
+        return {
+            key: `${type}-${item.id}`,
+            value: item.id,
+            label: item.name,
+            inputId: `${type}-option-${item.id}`,
+            isSelected,
+            ariaSelected: String(isSelected)
+        };
+    }
+
+    get hasNoFundOptions() {
+        return this.fundOptions.length === 0;
+    }
+
+    /**
+     * Dropdown button text: the single selection's name or a count
+     */
+    get vehicleSummary() {
+        return this.summarize(this.selectedVehicleIds, this.selectableVehicles, 'All Investment Vehicles', 'Vehicles');
+    }
+
+    get fundSummary() {
+        return this.summarize(this.selectedFundIds, this.funds || [], 'All Funds', 'Funds');
+    }
+
+    summarize(selectedIds, items, allLabel, pluralLabel) {
+        if (selectedIds.length === 0) {
+            return allLabel;
+        }
+        if (selectedIds.length === 1) {
+            const item = items.find(candidate => candidate.id === selectedIds[0]);
+            return item ? item.name : `1 ${pluralLabel.slice(0, -1)}`;
+        }
+        return `${selectedIds.length} ${pluralLabel}`;
+    }
+
+    get isVehicleDropdownOpen() {
+        return this.openDropdown === VEHICLE;
+    }
+
+    get isFundDropdownOpen() {
+        return this.openDropdown === FUND;
+    }
+
+    get vehicleDropdownExpanded() {
+        return String(this.isVehicleDropdownOpen);
+    }
+
+    get fundDropdownExpanded() {
+        return String(this.isFundDropdownOpen);
+    }
+
+    // ========================================
+    // Date range
+    // ========================================
+
+    get datePresetOptions() {
+        return getDatePresetOptions();
+    }
+
+    get datePreset() {
+        return this.dateRange.preset;
+    }
+
+    get isCustomDateRange() {
+        return this.dateRange.preset === PRESET_CUSTOM;
+    }
+
+    get customStartDate() {
+        return this.dateRange.startDate || '';
+    }
+
+    get customEndDate() {
+        return this.dateRange.endDate || '';
+    }
+
+    // ========================================
+    // Active filter chips
+    // ========================================
+
+    /**
+     * One removable chip per selected vehicle, selected fund and date range
+     */
+    get filterChips() {
+        const chips = [];
+        this.selectedVehicleIds.forEach(vehicleId => {
+            const vehicle = this.selectableVehicles.find(candidate => candidate.id === vehicleId);
+            chips.push(this.buildChip(VEHICLE, vehicleId, vehicle ? vehicle.name : vehicleId, 'Vehicle'));
+        });
+        this.selectedFundIds.forEach(fundId => {
+            const fund = (this.funds || []).find(candidate => candidate.id === fundId);
+            chips.push(this.buildChip(FUND, fundId, fund ? fund.name : fundId, 'Fund'));
         });
+        if (this.showDateRange && hasDateWindow(this.dateRange)) {
+            chips.push(this.buildChip(DATE_RANGE, this.dateRange.preset, describeDateRange(this.dateRange), 'Date range'));
+        }
+        return chips;
+    }
 
-        return options;
+    buildChip(type, value, label, typeLabel) {
+        return {
+            key: `${type}-${value}`,
+            type,
+            value,
+            label,
+            removeLabel: `Remove filter ${typeLabel}: ${label}`
+        };
     }
 
     /**
      * Check if any filters are active (not "all")
      */
     get hasActiveFilters() {
-        return this.selectedVehicleId !== 'all' || this.selectedFundId !== 'all';
+        return this.activeFilterCount > 0;
     }
 
     /**
-     * Count of active filters
+     * Count of active filters, one per chip
      */
     get activeFilterCount() {
-        let count = 0;
-        if (this.selectedVehicleId !== 'all') count++;
-        if (this.selectedFundId !== 'all') count++;
-        return count;
+        return this.filterChips.length;
     }
 
     /**
@@ -88,71 +290,166 @@ export default class LpFilterBar extends LightningElement {
         return this.activeFilterCount === 1 ? '' : 's';
     }
 
-    /**
-     * Handle investment vehicle selection change
-     */
-    handleVehicleChange(event) {
-        const newVehicleId = event.detail.value;
+    // ========================================
+    // Event handlers
+    // ========================================
 
-        // If vehicle changed, check if current fund is still valid
-        if (newVehicleId !== this.selectedVehicleId) {
-            this.selectedVehicleId = newVehicleId;
+    handleVehicleDropdownToggle() {
+        this.openDropdown = this.isVehicleDropdownOpen ? null : VEHICLE;
+    }
 
-            // Reset fund filter if current fund doesn't belong to new vehicle
-            if (this.selectedFundId !== 'all') {
-                const funds = getFunds();
-                const currentFund = funds.find(f => f.id === this.selectedFundId);
+    handleFundDropdownToggle() {
+        this.openDropdown = this.isFundDropdownOpen ? null : FUND;
+    }
 
-                if (currentFund && currentFund.vehicleId !== newVehicleId && newVehicleId !== 'all') {
-                    this.selectedFundId = 'all';
-                }
+    /**
+     * Close an open dropdown on Escape and return focus to its button
+     */
+    handleDropdownKeydown(event) {
+        if (event.key === 'Escape' && this.openDropdown) {
+            const button = this.template.querySelector(`[data-dropdown="${this.openDropdown}"]`);
+            this.openDropdown = null;
+            if (button) {
+                button.focus();
             }
+        }
+    }
 
-            this.fireFilterChangeEvent();
+    /**
+     * Close an open dropdown when the user clicks anywhere outside it
+     */
+    handleOutsideClick(event) {
+        if (!this.openDropdown) {
+            return;
+        }
+        const dropdown = this.template.querySelector(`[data-dropdown-group="${this.openDropdown}"]`);
+        const path = event.composedPath ? event.composedPath() : [];
+        if (dropdown && !path.includes(dropdown)) {
+            this.openDropdown = null;
         }
     }
 
     /**
-     * Handle fund selection change
+     * Handle investment vehicle checkbox change
+     * Funds that are not held through any selected vehicle are dropped
      */
-    handleFundChange(event) {
-        const newFundId = event.detail.value;
+    handleVehicleToggle(event) {
+        const vehicleId = event.target.value;
+        this.selectedVehicleIds = event.target.checked
+            ? [...this.selectedVehicleIds, vehicleId]
+            : this.selectedVehicleIds.filter(id => id !== vehicleId);
+        this.dropUnavailableFunds();
+        this.fireFilterChangeEvent();
+    }
 
-        if (newFundId !== this.selectedFundId) {
-            this.selectedFundId = newFundId;
+    /**
+     * Handle fund checkbox change
+     */
+    handleFundToggle(event) {
+        const fundId = event.target.value;
+        this.selectedFundIds = event.target.checked
+            ? [...this.selectedFundIds, fundId]
+            : this.selectedFundIds.filter(id => id !== fundId);
+        this.fireFilterChangeEvent();
+    }
 
-            // If fund is selected, auto-select its vehicle if "all" is selected
-            if (newFundId !== 'all' && this.selectedVehicleId === 'all') {
-                const funds = getFunds();
-                const selectedFund = funds.find(f => f.id === newFundId);
+    handleDatePresetChange(event) {
+        const preset = event.detail.value;
+        // Custom starts from the dates of the current window, so switching keeps what is shown
+        this.dateRange = preset === PRESET_CUSTOM
+            ? { preset, startDate: this.dateRange.startDate, endDate: this.dateRange.endDate }
+            : resolveDateRange(preset);
+        this.fireFilterChangeEvent();
+    }
 
-                if (selectedFund) {
-                    this.selectedVehicleId = selectedFund.vehicleId;
-                }
-            }
+    handleStartDateChange(event) {
+        this.setCustomDateRange(event.detail.value, this.dateRange.endDate);
+    }
 
-            this.fireFilterChangeEvent();
+    handleEndDateChange(event) {
+        this.setCustomDateRange(this.dateRange.startDate, event.detail.value);
+    }
+
+    setCustomDateRange(startDate, endDate) {
+        const dateRange = resolveDateRange(PRESET_CUSTOM, startDate, endDate);
+        // Keep the custom inputs open while both dates are cleared
+        this.dateRange = hasDateWindow(dateRange) ? dateRange : { preset: PRESET_CUSTOM, startDate: null, endDate: null };
+        this.fireFilterChangeEvent();
+    }
+
+    /**
+     * Remove the filter of a single chip
+     */
+    handleRemoveChip(event) {
+        const { type, value } = event.currentTarget.dataset;
+        if (type === VEHICLE) {
+            this.selectedVehicleIds = this.selectedVehicleIds.filter(id => id !== value);
+            this.dropUnavailableFunds();
+        } else if (type === FUND) {
+            this.selectedFundIds = this.selectedFundIds.filter(id => id !== value);
+        } else if (type === DATE_RANGE) {
+            this.dateRange = resolveDateRange(PRESET_ITD);
         }
+        this.fireFilterChangeEvent();
     }
 
     /**
      * Handle clear filters button click
      */
     handleClearFilters() {
-        this.selectedVehicleId = 'all';
-        this.selectedFundId = 'all';
+        this.selectedVehicleIds = [];
+        this.selectedFundIds = [];
+        if (this.showDateRange) {
+            this.dateRange = resolveDateRange(PRESET_ITD);
+        }
+        this.openDropdown = null;
         this.fireFilterChangeEvent();
     }
 
+    /**
+     * Follow filters changed by browser back/forward
+     */
+    handleRouteChange(route) {
+        const vehicleIds = toIdList(route.vehicleId);
+        const fundIds = toIdList(route.fundId);
+        if (!isSameSelection(vehicleIds, this.selectedVehicleIds) ||
+            !isSameSelection(fundIds, this.selectedFundIds) ||
+            !isSameDateRange(route.dateRange, this.dateRange)) {
+            this.selectedVehicleIds = vehicleIds;
+            this.selectedFundIds = fundIds;
+            this.dateRange = route.dateRange;
+            this.fireFilterChangeEvent();
+        }
+    }
+
+    /**
+     * Drop selected funds that none of the selected vehicles hold
+     */
+    dropUnavailableFunds() {
+        const availableIds = this.selectableFunds.map(fund => fund.id);
+        this.selectedFundIds = this.selectedFundIds.filter(id => availableIds.includes(id));
+    }
+
     /**
      * Fire custom event to notify parent of filter changes
+     * The URL is updated in place so filter clicks don't add history entries.
+     * Without the date range picker the range is left as is, for the pages that show it.
      */
     fireFilterChangeEvent() {
+        const filterState = this.getFilterState();
+        const changes = { vehicleId: filterState.vehicleId, fundId: filterState.fundId };
+        const preferences = { ...changes };
+        if (this.showDateRange) {
+            changes.dateRange = this.dateRange;
+            preferences.datePreset = this.dateRange.preset;
+            preferences.startDate = this.dateRange.startDate || '';
+            preferences.endDate = this.dateRange.endDate || '';
+        }
+        navigate(changes, { replace: true });
+        savePreferences(preferences);
+
         const filterChangeEvent = new CustomEvent('filterchange', {
-            detail: {
-                vehicleId: this.selectedVehicleId,
-                fundId: this.selectedFundId
-            }
+            detail: filterState
         });
 
         this.dispatchEvent(filterChangeEvent);
@@ -161,26 +458,41 @@ export default class LpFilterBar extends LightningElement {
     /**
      * Public API method to get current filter state
      */
+    @api
     getFilterState() {
         return {
-            vehicleId: this.selectedVehicleId,
-            fundId: this.selectedFundId
+            vehicleId: toFilterValue(this.selectedVehicleIds),
+            fundId: toFilterValue(this.selectedFundIds),
+            vehicleIds: [...this.selectedVehicleIds],
+            fundIds: [...this.selectedFundIds],
+            dateRange: { ...this.dateRange }
         };
     }
 
     /**
      * Public API method to programmatically set filters
+     * @param {string|Array<string>} vehicleId - 'all', a vehicle Id or an array of Ids
+     * @param {string|Array<string>} fundId - 'all', a fund Id or an array of Ids
+     * @param {Object} dateRange - DateRange (see lpDateRange); left unchanged when omitted
      */
-    setFilters(vehicleId, fundId) {
+    @api
+    setFilters(vehicleId, fundId, dateRange) {
         let changed = false;
 
-        if (vehicleId && vehicleId !== this.selectedVehicleId) {
-            this.selectedVehicleId = vehicleId;
+        if (dateRange && !isSameDateRange(dateRange, this.dateRange)) {
+            this.dateRange = resolveDateRange(dateRange.preset, dateRange.startDate, dateRange.endDate);
+            changed = true;
+        }
+        const vehicleIds = toIdList(vehicleId);
+        const fundIds = toIdList(fundId);
+
+        if (vehicleId && !isSameSelection(vehicleIds, this.selectedVehicleIds)) {
+            this.selectedVehicleIds = vehicleIds;
             changed = true;
         }
 
-        if (fundId && fundId !== this.selectedFundId) {
-            this.selectedFundId = fundId;
+        if (fundId && !isSameSelection(fundIds, this.selectedFundIds)) {
+            this.selectedFundIds = fundIds;
             changed = true;
         }
 
@@ -188,4 +500,4 @@ export default class LpFilterBar extends LightningElement {
             this.fireFilterChangeEvent();
         }
     }
-}
\ No newline at end of file
+}
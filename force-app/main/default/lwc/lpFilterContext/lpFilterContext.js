@@ -0,0 +1,176 @@
+/**
+ * lpFilterContext
+ * @Description: Human-readable context for the active portal filters
+ *
+ * Resolves a filter state ({vehicleId, fundId, dateRange}, see lpDataProvider) against the
+ * vehicle and fund lists, so the dashboard, the reports modal and every export describe the
+ * data the same way: by name, with the period, as-of date, data source and currency.
+ *
+ * FilterContext interface:
+ * - vehicleCount, fundCount: number, how many vehicles and funds are selected (0 for all)
+ * - vehicleNames, fundNames: Array<string>, names of the selected vehicles and funds (empty for all)
+ * - missingVehicleCount, missingFundCount: number of selected Ids missing from the lists, e.g. a fund
+ *   that was removed or is no longer shared with the LP since a link or saved view was created
+ * - vehicleLabel, fundLabel: string, e.g. 'All Funds' or 'PB Ventures Fund, 1 unavailable fund'
+ * - period: string (describeDateRange), hasDateWindow: boolean
+ * - asOfDate: string (YYYY-MM-DD; the window's end, or today), asOfLabel: string
+ * - source: string, label of the data provider
+ * - currency: string, ISO code of all amounts
+ * - warnings: Array<string>, one sentence per kind of missing Id
+ * - isFiltered: boolean, whether anything narrows the data
+ *
+ * Lists passed as null are still loading; their Ids are then counted as selected rather
+ * than missing.
+ */
+
+import { PROVIDER_APEX, PROVIDER_STATIC } from 'c/lpDataProvider';
+import { hasDateWindow, describeDateRange } from 'c/lpDateRange';
+import { formatDate } from 'c/lpStaticDataService';
+
+// All amounts in the portal are in US dollars (see formatCurrency)
+export const DEFAULT_CURRENCY = 'USD';
+
+const SOURCE_LABELS = {
+    [PROVIDER_APEX]: 'Live portfolio data',
+    [PROVIDER_STATIC]: 'Demo data'
+};
+
+/**
+ * Selected Ids of a filter value ('all', an Id or an array of Ids)
+ */
+function toIdList(filter) {
+    if (Array.isArray(filter)) {
+        return filter;
+    }
+    return !filter || filter === 'all' ? [] : [filter];
+}
+
+function pluralize(count, singular, plural) {
+    return `${count} ${count === 1 ? singular : plural}`;
+}
+
+/**
+ * Names of the selected records, and how many Ids did not match a record
+ */
+function resolveNames(ids, records) {
+    if (!records) {
+        return { names: [], missingCount: 0, pendingCount: ids.length };
+    }
+    const namesById = new Map(records.map(record => [record.id, record.name]));
+    const names = ids.filter(id => namesById.has(id)).map(id => namesById.get(id));
+    return { names, missingCount: ids.length - names.length, pendingCount: 0 };
+}
+
+/**
+ * Label for one filter, e.g. 'All Funds', 'Norton Ventures, PB Ventures Fund' or '2 selected funds'
+ */
+function buildLabel(resolved, allLabel, singular, plural) {
+    const parts = [...resolved.names];
+    if (resolved.pendingCount > 0) {
+        parts.push(pluralize(resolved.pendingCount, `selected ${singular}`, `selected ${plural}`));
+    }
+    if (resolved.missingCount > 0) {
+        parts.push(pluralize(resolved.missingCount, `unavailable ${singular}`, `unavailable ${plural}`));
+    }
+    return parts.length > 0 ? parts.join(', ') : allLabel;
+}
+
+function buildWarning(count, singular, plural) {
+    return count === 1
+        ? `One selected ${singular} is no longer available and is left out.`
+        : `${count} selected ${plural} are no longer available and are left out.`;
+}
+
+/**
+ * Resolve a filter state to display names, period, as-of date, source and currency
+ * @param {Object} filterState - {vehicleId, fundId, dateRange}; missing values mean all / inception to date
+ * @param {Object} options - {vehicles, funds, providerType}; vehicles and funds are {id, name} lists, or null while loading
+ * @returns {Object} FilterContext
+ */
+export function resolveFilterContext(filterState, { vehicles = null, funds = null, providerType = PROVIDER_APEX } = {}) {
+    const { vehicleId = 'all', fundId = 'all', dateRange = null } = filterState || {};
+    const vehicleIds = toIdList(vehicleId);
+    const fundIds = toIdList(fundId);
+    const vehiclesResolved = resolveNames(vehicleIds, vehicles);
+    const fundsResolved = resolveNames(fundIds, funds);
+
+    const today = new Date().toISOString().slice(0, 10);
+    const endDate = dateRange && dateRange.endDate;
+    const asOfDate = endDate && endDate < today ? endDate : today;
+
+    const warnings = [];
+    if (vehiclesResolved.missingCount > 0) {
+        warnings.push(buildWarning(vehiclesResolved.missingCount, 'investment vehicle', 'investment vehicles'));
+    }
+    if (fundsResolved.missingCount > 0) {
+        warnings.push(buildWarning(fundsResolved.missingCount, 'fund', 'funds'));
+    }
+
+    return {
+        vehicleCount: vehicleIds.length,
+        fundCount: fundIds.length,
+        vehicleNames: vehiclesResolved.names,
+        fundNames: fundsResolved.names,
+        missingVehicleCount: vehiclesResolved.missingCount,
+        missingFundCount: fundsResolved.missingCount,
+        vehicleLabel: buildLabel(vehiclesResolved, 'All Investment Vehicles', 'investment vehicle', 'investment vehicles'),
+        fundLabel: buildLabel(fundsResolved, 'All Funds', 'fund', 'funds'),
+        period: describeDateRange(dateRange),
+        hasDateWindow: hasDateWindow(dateRange),
+        asOfDate,
+        asOfLabel: formatDate(asOfDate),
+        source: SOURCE_LABELS[providerType] || SOURCE_LABELS[PROVIDER_APEX],
+        currency: DEFAULT_CURRENCY,
+        warnings,
+        isFiltered: vehicleIds.length > 0 || fundIds.length > 0 || hasDateWindow(dateRange)
+    };
+}
+
+/**
+ * One-line description of the filters, e.g. 'Vehicle: Investment Vehicle 1, Period: Year to Date'
+ * Empty when nothing is filtered.
+ */
+export function describeFilterContext(context) {
+    if (!context || !context.isFiltered) {
+        return '';
+    }
+
+    const parts = [];
+
+    if (context.vehicleCount > 0) {
+        parts.push(`${context.vehicleCount === 1 ? 'Vehicle' : 'Vehicles'}: ${context.vehicleLabel}`);
+    }
+    if (context.fundCount > 0) {
+        parts.push(`${context.fundCount === 1 ? 'Fund' : 'Funds'}: ${context.fundLabel}`);
+    }
+    if (context.hasDateWindow) {
+        parts.push(`Period: ${context.period}`);
+    }
+
+    return parts.join(', ');
+}
+
+/**
+ * Context rows printed above exported reports (see lpExporter)
+ * @returns {Array<{label: string, value: string}>}
+ */
+export function getExportContext(context) {
+    if (!context) {
+        return [];
+    }
+
+    const rows = [
+        { label: 'Investment Vehicle', value: context.vehicleLabel },
+        { label: 'Fund', value: context.fundLabel },
+        { label: 'Period', value: context.period },
+        { label: 'As of', value: context.asOfLabel },
+        { label: 'Source', value: context.source },
+        { label: 'Currency', value: context.currency }
+    ];
+
+    if (context.warnings.length > 0) {
+        rows.push({ label: 'Note', value: context.warnings.join(' ') });
+    }
+
+    return rows;
+}
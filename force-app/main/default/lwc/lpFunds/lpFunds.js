@@ -0,0 +1,333 @@
+/**
+ * lpFunds
+ * @Description: Funds page for FundPanel LP Portal
+ *
+ * Lists every fund investment returned by FundDataController.getFundsForPartner() with:
+ * - Fund type, vehicle, invested, current valuation, pending, return and investment date
+ * - Sortable columns and search by fund, type or vehicle
+ * - Status filter (All/Active/Pending/Closed)
+ *
+ * Selecting a fund opens a detail view that reuses lpMetricCard, lpDonutChart and
+ * lpPerformanceChart scoped to that fund, as if the dashboard were filtered to it.
+ * The open fund is kept in the URL (see lpRouter): ?view=funds&id=<Fund__c Id>
+ *
+ * Props:
+ * - providerType: 'apex' (live) or 'static' (demo), see lpDataProvider
+ */
+
+import { LightningElement, api, track } from 'lwc';
+import { getDataProvider } from 'c/lpDataProvider';
+import { getRoute, navigate, subscribe } from 'c/lpRouter';
+import { calculatePerformanceMetrics } from 'c/lpMetricsEngine';
+import { formatCurrency, formatPercentage, formatDate } from 'c/lpStaticDataService';
+
+const ALL = 'all';
+const STATUSES = ['Active', 'Pending', 'Closed'];
+
+// Grid columns; type drives sorting
+const COLUMNS = [
+    { key: 'fundName', label: 'Fund', type: 'text' },
+    { key: 'fundType', label: 'Type', type: 'text' },
+    { key: 'vehicleName', label: 'Investment Vehicle', type: 'text' },
+    { key: 'totalInvested', label: 'Invested', type: 'number' },
+    { key: 'currentValuation', label: 'Current Valuation', type: 'number' },
+    { key: 'pendingAmount', label: 'Pending', type: 'number' },
+    { key: 'returnPercentage', label: 'Return', type: 'number' },
+    { key: 'investmentDate', label: 'Investment Date', type: 'text' },
+    { key: 'fundStatus', label: 'Status', type: 'text' }
+];
+
+const STATUS_CLASSES = {
+    Active: 'status-badge status-active',
+    Pending: 'status-badge status-pending',
+    Closed: 'status-badge status-closed'
+};
+
+export default class LpFunds extends LightningElement {
+    @api providerType = 'apex';
+
+    // One row per fund investment
+    @track holdings = [];
+
+    // Grid state
+    @track searchTerm = '';
+    @track selectedStatus = ALL;
+    @track sortKey = 'fundName';
+    @track sortDirection = 'asc';
+
+    // Detail view state
+    @track selectedFundId = null;
+    @track fundMetrics = {};
+    @track fundAllocation = [];
+    @track fundPerformance = [];
+    @track isDetailReady = false;
+
+    // UI state
+    @track isLoading = false;
+    @track errorMessage = '';
+
+    // Id of the latest detail request; responses from older requests are dropped
+    latestRequestId = 0;
+
+    connectedCallback() {
+        // Open the fund linked in the URL and follow browser back/forward
+        this.applyRoute(getRoute());
+        this._unsubscribeRoute = subscribe(route => this.applyRoute(route));
+
+        this.loadHoldings();
+    }
+
+    disconnectedCallback() {
+        if (this._unsubscribeRoute) {
+            this._unsubscribeRoute();
+        }
+    }
+
+    get provider() {
+        return getDataProvider(this.providerType);
+    }
+
+    get hasError() {
+        return !!this.errorMessage;
+    }
+
+    /**
+     * Load fund investments for the grid
+     */
+    async loadHoldings() {
+        this.isLoading = true;
+        try {
+            this.holdings = await this.provider.getFundHoldings();
+            this.errorMessage = '';
+        } catch (error) {
+            this.handleDataError(error);
+        } finally {
+            this.isLoading = false;
+        }
+    }
+
+    /**
+     * Load the dashboard data scoped to one fund
+     */
+    async loadFundDetail(fundId) {
+        const requestId = ++this.latestRequestId;
+        this.isDetailReady = false;
+        this.isLoading = true;
+
+        try {
+            const [metrics, allocation, performance, cashFlows] = await Promise.all([
+                this.provider.getPortfolioMetrics(ALL, fundId),
+                this.provider.getFundAllocation(ALL, fundId),
+                this.provider.getPerformanceData(ALL, fundId),
+                this.provider.getCashFlows(ALL, fundId)
+            ]);
+
+            if (requestId === this.latestRequestId) {
+                const returns = calculatePerformanceMetrics(cashFlows);
+                this.fundMetrics = {
+                    ...metrics,
+                    estimatedTVPI: returns.tvpi,
+                    netIRR: returns.netIRR,
+                    dpi: returns.dpi,
+                    rvpi: returns.rvpi
+                };
+                this.fundAllocation = allocation;
+                this.fundPerformance = performance;
+                this.errorMessage = '';
+                this.isDetailReady = true;
+            }
+        } catch (error) {
+            if (requestId === this.latestRequestId) {
+                this.handleDataError(error);
+            }
+        } finally {
+            if (requestId === this.latestRequestId) {
+                this.isLoading = false;
+            }
+        }
+    }
+
+    handleDataError(error) {
+        console.error('Funds data error:', error);
+        this.errorMessage = error && error.body
+            ? error.body.message
+            : 'Unable to load funds. Please refresh the page.';
+    }
+
+    // ========================================
+    // Grid
+    // ========================================
+
+    get statusOptions() {
+        return [ALL, ...STATUSES].map(status => {
+            const count = status === ALL
+                ? this.holdings.length
+                : this.holdings.filter(holding => holding.fundStatus === status).length;
+            const isSelected = status === this.selectedStatus;
+            return {
+                value: status,
+                label: `${status === ALL ? 'All' : status} (${count})`,
+                ariaPressed: String(isSelected),
+                chipClass: `status-chip${isSelected ? ' status-chip-selected' : ''}`
+            };
+        });
+    }
+
+    get columns() {
+        return COLUMNS.map(column => {
+            const isSorted = column.key === this.sortKey;
+            const directionLabel = this.sortDirection === 'asc' ? 'ascending' : 'descending';
+            return {
+                ...column,
+                headerClass: `table-header${column.type === 'number' ? ' table-number' : ''}`,
+                ariaSort: isSorted ? directionLabel : 'none',
+                sortIcon: isSorted ? (this.sortDirection === 'asc' ? '▲' : '▼') : '',
+                sortAriaLabel: `Sort by ${column.label}`
+            };
+        });
+    }
+
+    get filteredHoldings() {
+        const search = this.searchTerm.trim().toLowerCase();
+
+        return this.holdings.filter(holding =>
+            (this.selectedStatus === ALL || holding.fundStatus === this.selectedStatus) &&
+            (!search || [holding.fundName, holding.fundType, holding.vehicleName]
+                .some(value => (value || '').toLowerCase().includes(search)))
+        );
+    }
+
+    get holdingRows() {
+        const column = COLUMNS.find(c => c.key === this.sortKey);
+        const direction = this.sortDirection === 'asc' ? 1 : -1;
+        const compare = column.type === 'number'
+            ? (a, b) => (a[column.key] || 0) - (b[column.key] || 0)
+            : (a, b) => (a[column.key] || '').localeCompare(b[column.key] || '');
+
+        return [...this.filteredHoldings]
+            .sort((a, b) => direction * compare(a, b) || a.fundName.localeCompare(b.fundName))
+            .map(holding => this.formatHolding(holding));
+    }
+
+    get hasHoldings() {
+        return this.filteredHoldings.length > 0;
+    }
+
+    get showEmptyState() {
+        return !this.isLoading && !this.hasError && !this.hasHoldings;
+    }
+
+    get summary() {
+        const rows = this.filteredHoldings;
+        return {
+            count: rows.length,
+            invested: formatCurrency(rows.reduce((sum, row) => sum + (row.totalInvested || 0), 0)),
+            valuation: formatCurrency(rows.reduce((sum, row) => sum + (row.currentValuation || 0), 0))
+        };
+    }
+
+    formatHolding(holding) {
+        return {
+            ...holding,
+            totalInvestedLabel: formatCurrency(holding.totalInvested),
+            currentValuationLabel: formatCurrency(holding.currentValuation),
+            pendingAmountLabel: formatCurrency(holding.pendingAmount),
+            commitmentAmountLabel: formatCurrency(holding.commitmentAmount),
+            returnPercentageLabel: formatPercentage(holding.returnPercentage),
+            returnClass: `table-cell table-number${holding.returnPercentage < 0 ? ' value-negative' : ''}`,
+            investmentDateLabel: formatDate(holding.investmentDate),
+            statusClass: STATUS_CLASSES[holding.fundStatus] || 'status-badge',
+            viewAriaLabel: `View details for ${holding.fundName}`
+        };
+    }
+
+    // ========================================
+    // Detail view
+    // ========================================
+
+    get isDetailView() {
+        return !!this.selectedFundId;
+    }
+
+    /**
+     * Investments in the selected fund, one per vehicle it is held through
+     */
+    get selectedFundHoldings() {
+        return this.holdings
+            .filter(holding => holding.fundId === this.selectedFundId)
+            .map(holding => this.formatHolding(holding));
+    }
+
+    get selectedFund() {
+        const [first] = this.selectedFundHoldings;
+        return first || null;
+    }
+
+    // ========================================
+    // Event handlers
+    // ========================================
+
+    handleSearchChange(event) {
+        this.searchTerm = event.detail.value || '';
+    }
+
+    handleStatusClick(event) {
+        this.selectedStatus = event.currentTarget.dataset.status;
+    }
+
+    handleSortClick(event) {
+        const key = event.currentTarget.dataset.key;
+        if (key === this.sortKey) {
+            this.sortDirection = this.sortDirection === 'asc' ? 'desc' : 'asc';
+        } else {
+            this.sortKey = key;
+            this.sortDirection = COLUMNS.find(c => c.key === key).type === 'number' ? 'desc' : 'asc';
+        }
+    }
+
+    /**
+     * Open the detail view for a fund
+     */
+    handleFundClick(event) {
+        event.stopPropagation();
+        this.openFund(event.currentTarget.dataset.fundId);
+        navigate({ recordId: this.selectedFundId });
+    }
+
+    /**
+     * Return from the detail view to the grid
+     */
+    handleBackClick() {
+        this.closeFund();
+        navigate({ recordId: null });
+    }
+
+    /**
+     * Show the fund of a route, or the grid when it has none
+     */
+    applyRoute(route) {
+        if (!route.recordId) {
+            this.closeFund();
+        } else if (route.recordId !== this.selectedFundId) {
+            this.openFund(route.recordId);
+        }
+    }
+
+    openFund(fundId) {
+        this.selectedFundId = fundId;
+        this.loadFundDetail(fundId);
+    }
+
+    closeFund() {
+        this.latestRequestId++;
+        this.selectedFundId = null;
+        this.isDetailReady = false;
+        this.isLoading = false;
+    }
+
+    errorCallback(error, stack) {
+        console.error('Funds Error:', error);
+        console.error('Stack:', stack);
+        this.isLoading = false;
+    }
+}
@@ -0,0 +1,283 @@
+/**
+ * lpInvestmentVehicle
+ * @Description: Investment Vehicle page for FundPanel LP Portal
+ *
+ * Shows each legal entity the LP invests through with:
+ * - Vehicle-level rollup of the five dashboard metrics (lpMetricCard)
+ * - Legal entity details and tax IDs (masked server-side to the last four characters)
+ * - Authorized signers
+ * - Funds held through the vehicle
+ *
+ * LPs with more than one vehicle can compare them side by side.
+ *
+ * Props:
+ * - providerType: 'apex' (live) or 'static' (demo), see lpDataProvider
+ */
+
+import { LightningElement, api, track } from 'lwc';
+import { getDataProvider } from 'c/lpDataProvider';
+import { calculatePerformanceMetrics } from 'c/lpMetricsEngine';
+import { formatCurrency, formatTVPI, formatDate } from 'c/lpStaticDataService';
+
+const ALL = 'all';
+const COMPARE = 'compare';
+
+const STATUS_CLASSES = {
+    Active: 'status-badge status-active',
+    Pending: 'status-badge status-pending',
+    Closed: 'status-badge status-closed'
+};
+
+// Rows of the comparison table; format drives how values are shown
+const COMPARISON_ROWS = [
+    { key: 'legalName', label: 'Legal Name', format: 'text' },
+    { key: 'entityType', label: 'Entity Type', format: 'text' },
+    { key: 'jurisdiction', label: 'Jurisdiction', format: 'text' },
+    { key: 'fundCount', label: 'Funds Held', format: 'number' },
+    { key: 'signerCount', label: 'Authorized Signers', format: 'number' },
+    { key: 'totalCommitments', label: 'Total Commitments', format: 'currency' },
+    { key: 'totalCalled', label: 'Total Called', format: 'currency' },
+    { key: 'totalDistributions', label: 'Total Distributions', format: 'currency' },
+    { key: 'estimatedValue', label: 'Estimated Value', format: 'currency' },
+    { key: 'estimatedTVPI', label: 'Estimated TVPI', format: 'tvpi' }
+];
+
+/**
+ * Comparison value formatted for display
+ */
+function formatComparisonValue(value, format) {
+    if (value === null || value === undefined || value === '') {
+        return '--';
+    }
+    switch (format) {
+        case 'currency':
+            return formatCurrency(value);
+        case 'tvpi':
+            return formatTVPI(value);
+        default:
+            return String(value);
+    }
+}
+
+export default class LpInvestmentVehicle extends LightningElement {
+    @api providerType = 'apex';
+
+    // Vehicle details with holdings and metrics attached
+    @track vehicles = [];
+
+    // Selected vehicle id, or 'compare' for the side-by-side view
+    @track selectedView = null;
+
+    // UI state
+    @track isLoading = false;
+    @track errorMessage = '';
+
+    connectedCallback() {
+        this.loadVehicles();
+    }
+
+    get provider() {
+        return getDataProvider(this.providerType);
+    }
+
+    get hasError() {
+        return !!this.errorMessage;
+    }
+
+    get hasVehicles() {
+        return this.vehicles.length > 0;
+    }
+
+    get showEmptyState() {
+        return !this.isLoading && !this.hasError && !this.hasVehicles;
+    }
+
+    /**
+     * Load vehicle details, holdings and the rollup metrics of every vehicle
+     */
+    async loadVehicles() {
+        this.isLoading = true;
+        try {
+            const [details, holdings] = await Promise.all([
+                this.provider.getVehicleDetails(),
+                this.provider.getFundHoldings()
+            ]);
+
+            this.vehicles = await Promise.all(details.map(async detail => {
+                const [metrics, cashFlows] = await Promise.all([
+                    this.provider.getPortfolioMetrics(detail.vehicleId, ALL),
+                    this.provider.getCashFlows(detail.vehicleId, ALL)
+                ]);
+                return {
+                    ...detail,
+                    holdings: holdings.filter(holding => holding.vehicleId === detail.vehicleId),
+                    metrics: {
+                        ...metrics,
+                        estimatedTVPI: calculatePerformanceMetrics(cashFlows).tvpi
+                    }
+                };
+            }));
+
+            if (!this.vehicles.some(vehicle => vehicle.vehicleId === this.selectedView)) {
+                this.selectedView = this.hasVehicles ? this.vehicles[0].vehicleId : null;
+            }
+            this.errorMessage = '';
+        } catch (error) {
+            this.handleDataError(error);
+        } finally {
+            this.isLoading = false;
+        }
+    }
+
+    handleDataError(error) {
+        console.error('Investment vehicle data error:', error);
+        this.errorMessage = error && error.body
+            ? error.body.message
+            : 'Unable to load investment vehicles. Please refresh the page.';
+    }
+
+    // ========================================
+    // Vehicle selector
+    // ========================================
+
+    get canCompare() {
+        return this.vehicles.length > 1;
+    }
+
+    get viewOptions() {
+        const options = this.vehicles.map(vehicle => ({
+            value: vehicle.vehicleId,
+            label: vehicle.vehicleName
+        }));
+        if (this.canCompare) {
+            options.push({ value: COMPARE, label: 'Compare Vehicles' });
+        }
+        return options.map(option => ({
+            ...option,
+            ariaPressed: String(option.value === this.selectedView),
+            cssClass: `toggle-chip${option.value === this.selectedView ? ' toggle-chip-selected' : ''}`
+        }));
+    }
+
+    get isCompareView() {
+        return this.canCompare && this.selectedView === COMPARE;
+    }
+
+    // ========================================
+    // Vehicle detail
+    // ========================================
+
+    get selectedVehicle() {
+        return this.vehicles.find(vehicle => vehicle.vehicleId === this.selectedView) || null;
+    }
+
+    get entityDetails() {
+        const vehicle = this.selectedVehicle;
+        return [
+            { key: 'legalName', label: 'Legal Name', value: vehicle.legalName },
+            { key: 'entityType', label: 'Entity Type', value: vehicle.entityType },
+            { key: 'jurisdiction', label: 'Jurisdiction', value: vehicle.jurisdiction },
+            { key: 'formationDate', label: 'Formation Date', value: vehicle.formationDate ? formatDate(vehicle.formationDate) : '' },
+            { key: 'registeredAddress', label: 'Registered Address', value: vehicle.registeredAddress },
+            { key: 'taxResidence', label: 'Tax Residence', value: vehicle.taxResidence }
+        ].map(item => ({ ...item, value: item.value || '--' }));
+    }
+
+    get taxIds() {
+        const vehicle = this.selectedVehicle;
+        const taxIds = [];
+        if (vehicle.maskedTaxId) {
+            taxIds.push({
+                key: 'taxId',
+                label: vehicle.taxIdType ? `US Tax ID (${vehicle.taxIdType})` : 'US Tax ID',
+                value: vehicle.maskedTaxId,
+                ariaLabel: `Tax ID ending in ${vehicle.maskedTaxId.slice(-4)}`
+            });
+        }
+        if (vehicle.maskedForeignTaxId) {
+            taxIds.push({
+                key: 'foreignTaxId',
+                label: 'Foreign Tax ID',
+                value: vehicle.maskedForeignTaxId,
+                ariaLabel: `Foreign tax ID ending in ${vehicle.maskedForeignTaxId.slice(-4)}`
+            });
+        }
+        return taxIds;
+    }
+
+    get hasTaxIds() {
+        return this.taxIds.length > 0;
+    }
+
+    get signerRows() {
+        return this.selectedVehicle.signers.map(signer => ({
+            ...signer,
+            role: signer.role || '--',
+            signingAuthority: signer.signingAuthority || '--',
+            emailUrl: signer.email ? `mailto:${signer.email}` : null
+        }));
+    }
+
+    get hasSigners() {
+        return this.signerRows.length > 0;
+    }
+
+    get holdingRows() {
+        return [...this.selectedVehicle.holdings]
+            .sort((a, b) => a.fundName.localeCompare(b.fundName))
+            .map(holding => ({
+                ...holding,
+                statusClass: STATUS_CLASSES[holding.fundStatus] || STATUS_CLASSES.Closed,
+                commitmentLabel: formatCurrency(holding.commitmentAmount),
+                calledLabel: formatCurrency(holding.totalInvested),
+                distributedLabel: formatCurrency(holding.distributedAmount),
+                valuationLabel: formatCurrency(holding.currentValuation)
+            }));
+    }
+
+    get hasHoldings() {
+        return this.holdingRows.length > 0;
+    }
+
+    // ========================================
+    // Comparison
+    // ========================================
+
+    get comparisonColumns() {
+        return this.vehicles.map(vehicle => ({ key: vehicle.vehicleId, label: vehicle.vehicleName }));
+    }
+
+    get comparisonRows() {
+        return COMPARISON_ROWS.map(row => ({
+            key: row.key,
+            label: row.label,
+            cellClass: `table-cell${row.format === 'text' ? '' : ' table-number'}`,
+            cells: this.vehicles.map(vehicle => {
+                const values = {
+                    ...vehicle,
+                    ...vehicle.metrics,
+                    fundCount: vehicle.holdings.length,
+                    signerCount: vehicle.signers.length
+                };
+                return {
+                    key: `${row.key}-${vehicle.vehicleId}`,
+                    value: formatComparisonValue(values[row.key], row.format)
+                };
+            })
+        }));
+    }
+
+    // ========================================
+    // Event handlers
+    // ========================================
+
+    handleViewClick(event) {
+        this.selectedView = event.currentTarget.dataset.value;
+    }
+
+    errorCallback(error, stack) {
+        console.error('Investment Vehicle Error:', error);
+        console.error('Stack:', stack);
+        this.isLoading = false;
+    }
+}
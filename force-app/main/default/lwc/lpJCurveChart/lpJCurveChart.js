@@ -0,0 +1,487 @@
+/**
+ * lpJCurveChart
+ * Chart.js J-curve of net cash flow over time
+ *
+ * Displays, per calendar quarter since the first cash flow:
+ * - Contributions (capital calls) as negative bars
+ * - Distributions as positive bars
+ * - Cumulative net cash flow (distributions less contributions) as a line
+ *
+ * NAV is left out: the curve shows cash actually paid and received, so it dips while capital
+ * is called and climbs back as distributions arrive. Clicking a bar fires drilldown.
+ *
+ * Props:
+ * - providerType: 'apex' (live) or 'static' (demo), see lpDataProvider
+ * - vehicleId: 'all', an Investment Vehicle Id or an array of Ids (as lpFilterBar)
+ * - fundId: 'all', a Fund Id or an array of Ids (as lpFilterBar)
+ * - exportContext: Array of { label, value } printed above the exported quarters (see lpExporter)
+ *
+ * Events:
+ * - drilldown: { type, quarterLabel, startDate, endDate, amount, vehicleId, fundId } when a bar is
+ *   clicked; type is 'call' or 'distribution' and amount is the positive total of the bar
+ */
+
+import { LightningElement, api, track } from 'lwc';
+import { loadScript } from 'lightning/platformResourceLoader';
+import chartjs from '@salesforce/resourceUrl/chartjs';
+import { getDataProvider } from 'c/lpDataProvider';
+import { formatCurrency } from 'c/lpStaticDataService';
+import { exportReport } from 'c/lpExporter';
+
+const ALL = 'all';
+
+const SERIES = [
+    { key: 'contributions', label: 'Contributions', color: '#D32F2F', type: 'call' },
+    { key: 'distributions', label: 'Distributions', color: '#388E3C', type: 'distribution' },
+    { key: 'cumulative', label: 'Cumulative Net Cash Flow', color: '#1976D2' }
+];
+
+/**
+ * Quarter start and end (YYYY-MM-DD) of a YYYY-MM-DD date
+ */
+function getQuarter(dateString) {
+    const [year, month] = dateString.split('-').map(Number);
+    const startMonth = Math.floor((month - 1) / 3) * 3;
+    return {
+        startDate: new Date(Date.UTC(year, startMonth, 1)).toISOString().slice(0, 10),
+        endDate: new Date(Date.UTC(year, startMonth + 3, 0)).toISOString().slice(0, 10)
+    };
+}
+
+/**
+ * "Q3 2025" for a YYYY-MM-DD date
+ */
+function formatQuarter(dateString) {
+    const [year, month] = dateString.split('-').map(Number);
+    return `Q${Math.floor((month - 1) / 3) + 1} ${year}`;
+}
+
+/**
+ * Currency with the minus sign in front, e.g. '-$1,250.00'
+ */
+function formatSignedCurrency(value) {
+    return `${value < 0 ? '-' : ''}${formatCurrency(Math.abs(value))}`;
+}
+
+function toCents(value) {
+    return Math.round(value * 100) / 100;
+}
+
+/**
+ * Calls and distributions per quarter with the running net cash flow
+ * Quarters without cash flows between the first and the last are kept, so the time axis is even.
+ * @param {Array<CashFlow>} cashFlows - Dated calls, distributions and NAV (see lpMetricsEngine)
+ * @returns {Array<{quarterLabel, startDate, endDate, contributions, distributions, net, cumulative}>}
+ *   contributions are negative
+ */
+function buildQuarters(cashFlows) {
+    const totals = new Map();
+    (cashFlows || [])
+        .filter(cashFlow => cashFlow && cashFlow.date && (cashFlow.type === 'call' || cashFlow.type === 'distribution'))
+        .forEach(cashFlow => {
+            const { endDate } = getQuarter(cashFlow.date);
+            const quarter = totals.get(endDate) || { contributions: 0, distributions: 0 };
+            const amount = Math.abs(Number(cashFlow.amount) || 0);
+            if (cashFlow.type === 'call') {
+                quarter.contributions -= amount;
+            } else {
+                quarter.distributions += amount;
+            }
+            totals.set(endDate, quarter);
+        });
+
+    if (totals.size === 0) {
+        return [];
+    }
+
+    const endDates = Array.from(totals.keys()).sort();
+    const lastEndDate = endDates[endDates.length - 1];
+    const quarters = [];
+    let cumulative = 0;
+    let { startDate, endDate } = getQuarter(endDates[0]);
+
+    while (endDate <= lastEndDate) {
+        const quarter = totals.get(endDate) || { contributions: 0, distributions: 0 };
+        const net = quarter.contributions + quarter.distributions;
+        cumulative += net;
+        quarters.push({
+            quarterLabel: formatQuarter(endDate),
+            startDate,
+            endDate,
+            contributions: toCents(quarter.contributions),
+            distributions: toCents(quarter.distributions),
+            net: toCents(net),
+            cumulative: toCents(cumulative)
+        });
+
+        // First day of the next quarter
+        const [year, month] = endDate.split('-').map(Number);
+        ({ startDate, endDate } = getQuarter(new Date(Date.UTC(year, month, 1)).toISOString().slice(0, 10)));
+    }
+    return quarters;
+}
+
+export default class LpJCurveChart extends LightningElement {
+    @api providerType = 'apex'; // Data source
+    @api exportContext = []; // Filter context for exports
+
+    @track quarters = [];
+    @track isLoading = false;
+    @track hasError = false;
+    @track errorMessage = '';
+
+    chart = null;
+    chartjsInitialized = false;
+    isConnectedToPage = false;
+    isLoadScheduled = false;
+    _vehicleId = ALL;
+    _fundId = ALL;
+
+    // Id of the latest data request; responses from older requests are dropped
+    latestRequestId = 0;
+
+    @api
+    get vehicleId() {
+        return this._vehicleId;
+    }
+    set vehicleId(value) {
+        this._vehicleId = value || ALL;
+        this.scheduleLoad();
+    }
+
+    @api
+    get fundId() {
+        return this._fundId;
+    }
+    set fundId(value) {
+        this._fundId = value || ALL;
+        this.scheduleLoad();
+    }
+
+    get provider() {
+        return getDataProvider(this.providerType);
+    }
+
+    connectedCallback() {
+        this.isConnectedToPage = true;
+        this.scheduleLoad();
+    }
+
+    /**
+     * Load once for filters set together, e.g. vehicle and fund from one filter change
+     */
+    scheduleLoad() {
+        if (!this.isConnectedToPage || this.isLoadScheduled) {
+            return;
+        }
+        this.isLoadScheduled = true;
+        Promise.resolve().then(() => {
+            this.isLoadScheduled = false;
+            this.loadCashFlows();
+        });
+    }
+
+    /**
+     * Load the cash flows of the current filters and bucket them by quarter
+     */
+    async loadCashFlows() {
+        const requestId = ++this.latestRequestId;
+        this.isLoading = true;
+
+        try {
+            const cashFlows = await this.provider.getCashFlows(this._vehicleId, this._fundId);
+            if (requestId === this.latestRequestId) {
+                this.quarters = buildQuarters(cashFlows);
+                this.errorMessage = '';
+                this.refreshChart();
+            }
+        } catch (error) {
+            if (requestId === this.latestRequestId) {
+                console.error('J-curve data error:', error);
+                this.quarters = [];
+                this.errorMessage = error && error.body
+                    ? error.body.message
+                    : 'Unable to load cash flows. Please refresh the page.';
+                this.refreshChart();
+            }
+        } finally {
+            if (requestId === this.latestRequestId) {
+                this.isLoading = false;
+            }
+        }
+    }
+
+    /**
+     * Lifecycle: Rendered callback
+     * Initialize Chart.js after DOM is ready
+     */
+    renderedCallback() {
+        if (this.chartjsInitialized) {
+            return;
+        }
+        this.chartjsInitialized = true;
+
+        loadScript(this, chartjs)
+            .then(() => {
+                this.initializeChart();
+            })
+            .catch(error => {
+                console.error('Error loading Chart.js:', error);
+                this.hasError = true;
+            });
+    }
+
+    /**
+     * Initialize the Chart.js bar and line chart
+     * Bars are stacked so a quarter's contributions and distributions share a column
+     */
+    initializeChart() {
+        const canvas = this.refs.jCurveCanvas;
+        if (!canvas) {
+            console.error('Canvas element not found');
+            return;
+        }
+
+        this.chart = new window.Chart(canvas.getContext('2d'), {
+            type: 'bar',
+            data: this.prepareChartData(),
+            options: {
+                responsive: true,
+                maintainAspectRatio: false,
+                interaction: {
+                    mode: 'index',
+                    intersect: false
+                },
+                onClick: (event) => this.handleChartClick(event),
+                onHover: (event) => {
+                    canvas.style.cursor = this.getClickedBar(event) ? 'pointer' : 'default';
+                },
+                plugins: {
+                    legend: {
+                        display: false // We use custom legend
+                    },
+                    tooltip: {
+                        enabled: true,
+                        backgroundColor: '#1A1C1E',
+                        titleColor: '#FFFFFF',
+                        bodyColor: '#FFFFFF',
+                        padding: 12,
+                        cornerRadius: 8,
+                        displayColors: true,
+                        callbacks: {
+                            label: (context) => `${context.dataset.label}: ${formatSignedCurrency(context.raw)}`
+                        }
+                    }
+                },
+                scales: {
+                    x: {
+                        display: true,
+                        stacked: true,
+                        grid: {
+                            display: false
+                        },
+                        ticks: {
+                            color: '#3F4946',
+                            font: {
+                                size: 11,
+                                family: 'Roboto, sans-serif'
+                            }
+                        }
+                    },
+                    y: {
+                        type: 'linear',
+                        stacked: true,
+                        grid: {
+                            color: (context) => (context.tick && context.tick.value === 0 ? '#3F4946' : 'rgba(0, 0, 0, 0.05)'),
+                            drawBorder: false
+                        },
+                        ticks: {
+                            color: '#3F4946',
+                            font: {
+                                size: 11,
+                                family: 'Roboto, sans-serif'
+                            },
+                            callback: (value) => this.formatYAxisValue(value)
+                        }
+                    }
+                },
+                animation: {
+                    duration: 800,
+                    easing: 'easeOutQuart'
+                }
+            }
+        });
+    }
+
+    /**
+     * Prepare data for Chart.js format
+     */
+    prepareChartData() {
+        const [contributions, distributions, cumulative] = SERIES;
+
+        return {
+            labels: this.quarters.map(quarter => quarter.quarterLabel),
+            datasets: [
+                {
+                    type: 'line',
+                    label: cumulative.label,
+                    data: this.quarters.map(quarter => quarter.cumulative),
+                    borderColor: cumulative.color,
+                    backgroundColor: cumulative.color,
+                    borderWidth: 2,
+                    pointRadius: 3,
+                    tension: 0.3,
+                    stack: 'cumulative'
+                },
+                ...[contributions, distributions].map(series => ({
+                    type: 'bar',
+                    label: series.label,
+                    data: this.quarters.map(quarter => quarter[series.key]),
+                    backgroundColor: `${series.color}CC`,
+                    borderRadius: 4,
+                    stack: 'flows',
+                    drillDownType: series.type
+                }))
+            ]
+        };
+    }
+
+    refreshChart() {
+        if (this.chart) {
+            this.chart.data = this.prepareChartData();
+            this.chart.update('active');
+        }
+    }
+
+    /**
+     * Bar under the pointer as { type, quarter }, or null
+     */
+    getClickedBar(event) {
+        if (!this.chart) {
+            return null;
+        }
+        const element = this.chart
+            .getElementsAtEventForMode(event, 'nearest', { intersect: true }, false)
+            .find(item => this.chart.data.datasets[item.datasetIndex].drillDownType);
+        if (!element) {
+            return null;
+        }
+        const quarter = this.quarters[element.index];
+        if (!quarter) {
+            return null;
+        }
+        const type = this.chart.data.datasets[element.datasetIndex].drillDownType;
+        const amount = type === 'call' ? -quarter.contributions : quarter.distributions;
+        return amount > 0 ? { type, quarter, amount } : null;
+    }
+
+    /**
+     * Fire drilldown for a clicked contribution or distribution bar
+     */
+    handleChartClick(event) {
+        const bar = this.getClickedBar(event);
+        if (!bar) {
+            return;
+        }
+        this.dispatchEvent(new CustomEvent('drilldown', {
+            detail: {
+                type: bar.type,
+                quarterLabel: bar.quarter.quarterLabel,
+                startDate: bar.quarter.startDate,
+                endDate: bar.quarter.endDate,
+                amount: bar.amount,
+                vehicleId: this._vehicleId,
+                fundId: this._fundId
+            }
+        }));
+    }
+
+    /**
+     * Lowest point of the curve and the quarter it climbed back to zero, for the summary line
+     */
+    get summary() {
+        if (this.quarters.length === 0) {
+            return '';
+        }
+        const trough = this.quarters.reduce((lowest, quarter) => (quarter.cumulative < lowest.cumulative ? quarter : lowest));
+        if (trough.cumulative >= 0) {
+            return 'Distributions have covered contributions in every quarter.';
+        }
+        const troughIndex = this.quarters.indexOf(trough);
+        const breakEven = this.quarters.slice(troughIndex).find(quarter => quarter.cumulative >= 0);
+        return `Lowest point ${formatSignedCurrency(trough.cumulative)} in ${trough.quarterLabel} · ` +
+            (breakEven ? `Broke even in ${breakEven.quarterLabel}` : 'Not yet broken even');
+    }
+
+    /**
+     * Legend items
+     */
+    get legendItems() {
+        return SERIES.map(series => ({
+            series: series.key,
+            label: series.label,
+            colorStyle: `background-color: ${series.color};`
+        }));
+    }
+
+    get showEmptyState() {
+        return !this.hasError && !this.isLoading && !this.errorMessage && this.quarters.length === 0;
+    }
+
+    /**
+     * Export the quarters in the chosen format
+     */
+    handleExport(event) {
+        try {
+            exportReport({
+                title: 'Net Cash Flow (J-Curve)',
+                fileName: 'net-cash-flow',
+                context: this.exportContext || [],
+                columns: [
+                    { key: 'quarterLabel', label: 'Quarter' },
+                    { key: 'contributions', label: 'Contributions', type: 'currency' },
+                    { key: 'distributions', label: 'Distributions', type: 'currency' },
+                    { key: 'net', label: 'Net Cash Flow', type: 'currency' },
+                    { key: 'cumulative', label: 'Cumulative Net Cash Flow', type: 'currency' }
+                ],
+                rows: this.quarters
+            }, event.detail.format);
+        } catch (error) {
+            console.error('Unable to export the J-curve:', error);
+        }
+    }
+
+    /**
+     * Format Y-axis value, keeping the sign of outflows
+     */
+    formatYAxisValue(value) {
+        const sign = value < 0 ? '-' : '';
+        const amount = Math.abs(value);
+        if (amount >= 1000000) {
+            return `${sign}$${(amount / 1000000).toFixed(0)}M`;
+        } else if (amount >= 1000) {
+            return `${sign}$${(amount / 1000).toFixed(0)}K`;
+        }
+        return formatSignedCurrency(value);
+    }
+
+    /**
+     * Cleanup when component is removed
+     */
+    disconnectedCallback() {
+        this.isConnectedToPage = false;
+        if (this.chart) {
+            this.chart.destroy();
+            this.chart = null;
+        }
+    }
+
+    /**
+     * Error boundary - handle chart rendering errors gracefully
+     */
+    errorCallback(error, stack) {
+        console.error('J-Curve Chart Error:', error);
+        console.error('Stack:', stack);
+        this.hasError = true;
+    }
+}
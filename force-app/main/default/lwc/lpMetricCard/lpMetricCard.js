@@ -7,7 +7,12 @@
  * Displays a single portfolio metric (e.g., Total Commitments, TVPI) with:
  * - Label (e.g., "Total Commitments")
  * - Value (e.g., "$618,886,450.23" or "1.33")
- * - Optional change indicator (e.g., "+2.5%" in green)
+ * - Optional change indicator (e.g., "+2.5%" in green, or "+1.20 pts" for a rate), with a tooltip
+ *   on hover or focus (e.g., the prior value and the absolute change)
+ * - Without a change, optional screen reader text saying why (e.g., "No prior quarter comparison available")
+ *
+ * Increases are green and decreases red; lower-is-better flips that for metrics
+ * such as capital called, where an increase is money paid out by the LP.
  *
  * Material Design 3 styling with responsive typography
  *
@@ -17,6 +22,7 @@
  *     value="618886450.23"
  *     format-type="currency"
  *     change-value="2.5"
+ *     change-tooltip="Prior quarter: $603,886,450.23 (+$15,000,000.00)"
  * ></c-lp-metric-card>
  */
 
@@ -28,6 +34,12 @@ export default class LpMetricCard extends LightningElement {
     @api value; // Numeric value
     @api formatType = 'currency'; // 'currency', 'percentage', 'tvpi', or 'number'
     @api changeValue; // Optional: percentage change value (e.g., 2.5 for +2.5%)
+    @api changeUnit = 'percent'; // 'percent', or 'points' for the change of a rate (e.g., 1.2 for +1.20 pts)
+    @api changeTooltip; // Optional: text shown when hovering or focusing the change
+    @api changeUnavailableText; // Optional: read to screen readers when there is no change
+    @api lowerIsBetter = false; // Show decreases as favorable (green) and increases as red
+
+    isTooltipVisible = false;
 
     /**
      * Generate unique ID for label (accessibility)
@@ -79,29 +91,37 @@ export default class LpMetricCard extends LightningElement {
         return this.changeValue !== null && this.changeValue !== undefined;
     }
 
+    /**
+     * Change value as a number
+     */
+    get change() {
+        return typeof this.changeValue === 'string'
+            ? parseFloat(this.changeValue)
+            : this.changeValue;
+    }
+
+    get isChangeInPoints() {
+        return this.changeUnit === 'points';
+    }
+
     /**
      * Change text with + or - prefix
      */
     get changeText() {
         if (!this.showChange) return '';
 
-        const change = typeof this.changeValue === 'string'
-            ? parseFloat(this.changeValue)
-            : this.changeValue;
-
-        const prefix = change >= 0 ? '+' : '';
-        return `${prefix}${formatPercentage(Math.abs(change))}`;
+        const prefix = this.change >= 0 ? '+' : '-';
+        return this.isChangeInPoints
+            ? `${prefix}${Math.abs(this.change).toFixed(2)} pts`
+            : `${prefix}${formatPercentage(Math.abs(this.change))}`;
     }
 
     /**
-     * CSS class for change indicator (positive = green, negative = red)
+     * CSS class for change indicator (favorable = green, unfavorable = red)
      */
     get changeClass() {
-        const change = typeof this.changeValue === 'string'
-            ? parseFloat(this.changeValue)
-            : this.changeValue;
-
-        return `metric-change ${change >= 0 ? 'positive' : 'negative'}`;
+        const isFavorable = this.lowerIsBetter ? this.change <= 0 : this.change >= 0;
+        return `metric-change ${isFavorable ? 'positive' : 'negative'}${this.hasChangeTooltip ? ' has-tooltip' : ''}`;
     }
 
     /**
@@ -110,11 +130,50 @@ export default class LpMetricCard extends LightningElement {
     get changeAriaLabel() {
         if (!this.showChange) return '';
 
-        const change = typeof this.changeValue === 'string'
-            ? parseFloat(this.changeValue)
-            : this.changeValue;
+        const direction = this.change >= 0 ? 'increased' : 'decreased';
+        return this.isChangeInPoints
+            ? `${direction} by ${Math.abs(this.change).toFixed(2)} percentage points`
+            : `${direction} by ${formatPercentage(Math.abs(this.change))}`;
+    }
 
-        const direction = change >= 0 ? 'increased' : 'decreased';
-        return `${direction} by ${this.changeText}`;
+    /**
+     * Screen reader text for a card without a change
+     */
+    get showChangeUnavailable() {
+        return !this.showChange && !!this.changeUnavailableText;
+    }
+
+    get hasChangeTooltip() {
+        return this.showChange && !!this.changeTooltip;
+    }
+
+    get tooltipClass() {
+        return `change-tooltip${this.isTooltipVisible ? ' visible' : ''}`;
+    }
+
+    /**
+     * Show the change tooltip while the change is hovered or focused
+     * The tooltip sits outside the card, so CSS cannot follow the change's hover state.
+     */
+    handleShowTooltip() {
+        this.isTooltipVisible = true;
+    }
+
+    handleHideTooltip() {
+        this.isTooltipVisible = false;
+    }
+
+    /**
+     * The change is described by its tooltip, when there is one
+     */
+    get changeDescribedBy() {
+        return this.hasChangeTooltip ? 'change-tooltip' : null;
+    }
+
+    /**
+     * The change is focusable when it has a tooltip, so keyboard users can read it
+     */
+    get changeTabIndex() {
+        return this.hasChangeTooltip ? '0' : null;
     }
-}
\ No newline at end of file
+}
@@ -0,0 +1,158 @@
+import {
+    calculateXirr,
+    calculatePerformanceMetrics,
+    calculatePme,
+    calculateNetIrrAtPoint,
+    calculateRateChange,
+    getPointMetrics
+} from 'c/lpMetricsEngine';
+
+describe('c-lp-metrics-engine', () => {
+    describe('calculateXirr', () => {
+        it('converges on irregularly dated flows', () => {
+            // Spreadsheet XIRR reference example: 37.34%
+            const rate = calculateXirr([
+                { date: '2008-01-01', amount: 10000, type: 'call' },
+                { date: '2008-03-01', amount: 2750, type: 'distribution' },
+                { date: '2008-10-30', amount: 4250, type: 'distribution' },
+                { date: '2009-02-15', amount: 3250, type: 'distribution' },
+                { date: '2009-04-01', amount: 2750, type: 'nav' }
+            ]);
+
+            expect(rate).toBeCloseTo(0.373362535, 6);
+        });
+
+        it('converges on a loss and on a very high return', () => {
+            const loss = calculateXirr([
+                { date: '2023-01-01', amount: 1000, type: 'call' },
+                { date: '2024-01-01', amount: 500, type: 'nav' }
+            ]);
+            const gain = calculateXirr([
+                { date: '2023-01-01', amount: 1000, type: 'call' },
+                { date: '2023-04-01', amount: 5000, type: 'distribution' }
+            ]);
+
+            expect(loss).toBeCloseTo(-0.5, 6);
+            expect(1000 * Math.pow(1 + gain, 90 / 365)).toBeCloseTo(5000, 3);
+        });
+
+        it('is null when the flows have no sign change', () => {
+            expect(calculateXirr([
+                { date: '2023-01-01', amount: 1000, type: 'call' },
+                { date: '2023-06-30', amount: 500, type: 'call' }
+            ])).toBeNull();
+            expect(calculateXirr([{ date: '2023-01-01', amount: 1000, type: 'nav' }])).toBeNull();
+            expect(calculateXirr([])).toBeNull();
+        });
+
+        it('ignores flows without a date or an amount', () => {
+            expect(calculateXirr([
+                { date: '2023-01-01', amount: 1000, type: 'call' },
+                { date: null, amount: 400, type: 'call' },
+                { date: '2023-06-30', amount: 0, type: 'call' },
+                { date: '2024-01-01', amount: 1100, type: 'nav' }
+            ])).toBeCloseTo(0.1, 6);
+        });
+    });
+
+    describe('calculatePerformanceMetrics', () => {
+        it('derives the multiples and a percentage Net IRR', () => {
+            const metrics = calculatePerformanceMetrics([
+                { date: '2023-01-01', amount: 1000, type: 'call' },
+                { date: '2023-07-01', amount: 250, type: 'distribution' },
+                { date: '2024-01-01', amount: 1000, type: 'nav' }
+            ]);
+
+            expect(metrics).toMatchObject({
+                totalCalled: 1000,
+                totalDistributions: 250,
+                nav: 1000,
+                dpi: 0.25,
+                rvpi: 1,
+                tvpi: 1.25,
+                moic: 1.25
+            });
+            expect(metrics.netIRR).toBe(28.35);
+        });
+
+        it('has zero multiples and no Net IRR before any call', () => {
+            expect(calculatePerformanceMetrics([])).toMatchObject({ dpi: 0, rvpi: 0, tvpi: 0, netIRR: null });
+        });
+    });
+
+    describe('calculatePme', () => {
+        const cashFlows = [
+            { date: '2023-01-01', amount: 100, type: 'call' },
+            { date: '2024-01-01', amount: 150, type: 'nav' }
+        ];
+
+        it('matches TVPI and the index return against a flat index', () => {
+            const levels = [{ date: '2022-12-30', level: 500 }];
+            const pme = calculatePme(cashFlows, levels);
+
+            expect(pme.ksPme).toBe(1.5);
+            expect(pme.lnPme).toBeCloseTo(0, 6);
+        });
+
+        it('compounds the flows with the index', () => {
+            // The index doubles: the calls would be worth 200 against a NAV of 150
+            const levels = [
+                { date: '2023-01-01', level: 100 },
+                { date: '2023-07-01', level: 150 },
+                { date: '2024-01-01', level: 200 }
+            ];
+
+            expect(calculatePme(cashFlows, levels)).toEqual({ ksPme: 0.75, lnPme: 100 });
+        });
+
+        it('has no Long-Nickels PME when distributions exceed the compounded calls', () => {
+            const levels = [{ date: '2023-01-01', level: 100 }];
+            const pme = calculatePme([
+                { date: '2023-01-01', amount: 100, type: 'call' },
+                { date: '2023-06-01', amount: 180, type: 'distribution' },
+                { date: '2024-01-01', amount: 20, type: 'nav' }
+            ], levels);
+
+            expect(pme).toEqual({ ksPme: 2, lnPme: null });
+        });
+
+        it('is empty when the index starts after the first flow', () => {
+            const levels = [{ date: '2023-06-30', level: 100 }];
+
+            expect(calculatePme(cashFlows, levels)).toEqual({ ksPme: null, lnPme: null });
+            expect(calculatePme([], levels)).toEqual({ ksPme: null, lnPme: null });
+        });
+    });
+
+    describe('period changes', () => {
+        const cashFlows = [
+            { date: '2023-01-01', amount: 1000, type: 'call' },
+            { date: '2024-01-01', amount: 200, type: 'distribution' },
+            { date: '2025-01-01', amount: 1300, type: 'nav' }
+        ];
+
+        it('reads commitments from a point only when it has them', () => {
+            expect(getPointMetrics({ date: '2024-06', capitalCalled: 10, totalValue: 12, commitments: 50 }).totalCommitments)
+                .toBe(50);
+            expect(getPointMetrics({ date: '2024-06', capitalCalled: 10, totalValue: 12 }).totalCommitments).toBeNull();
+        });
+
+        it('recalculates Net IRR from the flows up to the end of the point month', () => {
+            // The call and a value of 1100 on 2023-12-31, 364 days later; the later flows are left out
+            const irr = calculateNetIrrAtPoint(cashFlows, { date: '2023-12', totalValue: 1100 });
+
+            expect(irr).toBe(10.03);
+        });
+
+        it('has no Net IRR without a point or without a value to return', () => {
+            expect(calculateNetIrrAtPoint(cashFlows, null)).toBeNull();
+            expect(calculateNetIrrAtPoint(cashFlows, { date: '2023-06', totalValue: 0 })).toBeNull();
+        });
+
+        it('changes a rate by percentage points', () => {
+            expect(calculateRateChange(12.5, 10.25)).toEqual({ prior: 10.25, delta: 2.25, changePoints: 2.25 });
+            expect(calculateRateChange(-3, 2).changePoints).toBe(-5);
+            expect(calculateRateChange(12.5, null)).toBeNull();
+        });
+    });
+});
@@ -0,0 +1,451 @@
+/**
+ * lpMetricsEngine
+ * @Description: Performance metric calculations for FundPanel LP Portal
+ *
+ * Derives LP return metrics from dated cash flows so every component shows the
+ * same numbers for the same filter.
+ *
+ * CashFlow interface:
+ * - date: string (YYYY-MM-DD)
+ * - amount: number (always positive; direction comes from type)
+ * - type: 'call' | 'distribution' | 'nav'
+ *
+ * 'nav' entries are the residual value as of their date and should only hold
+ * the current NAV of each investment.
+ *
+ * Metrics:
+ * - DPI = distributions / called
+ * - RVPI = NAV / called
+ * - TVPI = (distributions + NAV) / called
+ * - MOIC = total value / invested capital (equal to TVPI at the LP level)
+ * - Net IRR = XIRR of calls (outflows), distributions and NAV (inflows)
+ *
+ * Period-over-period changes compare a value with a point of the performance series
+ * (PerformanceDataPoint from lpDataProvider: {date (YYYY-MM), totalValue, capitalCalled,
+ * distributions, tvpi, commitments}) one quarter, one year or all the way back. Net IRR at a
+ * point is recalculated from the cash flows up to it, as the series holds no rates.
+ *
+ * Public market equivalents compare the cash flows with a benchmark index
+ * (BenchmarkLevel from lpDataProvider: {date (YYYY-MM-DD), level}), compounding every
+ * flow with the index up to the last date of the flows:
+ * - Kaplan-Schoar PME = (compounded distributions + NAV) / compounded calls; above 1.00x
+ *   the portfolio beat the index
+ * - Long-Nickels PME = IRR of the same calls and distributions with the NAV replaced by
+ *   the value the calls less distributions would have reached in the index; compare with Net IRR
+ */
+
+const DAYS_PER_YEAR = 365;
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+const XIRR_TOLERANCE = 1e-7;
+const XIRR_MAX_ITERATIONS = 100;
+const XIRR_GUESS = 0.1;
+const XIRR_LOWER_BOUND = -0.9999;
+const XIRR_UPPER_BOUND = 1000;
+
+export const COMPARISON_PRIOR_QUARTER = 'prior-quarter';
+export const COMPARISON_PRIOR_YEAR = 'prior-year';
+export const COMPARISON_INCEPTION = 'inception';
+
+// How far back each comparison looks from the latest point, in months
+const COMPARISON_MONTHS = {
+    [COMPARISON_PRIOR_QUARTER]: 3,
+    [COMPARISON_PRIOR_YEAR]: 12
+};
+
+/**
+ * Parse a YYYY-MM-DD date as UTC so day counts are not shifted by time zones
+ */
+function toUtcTime(dateString) {
+    const [year, month, day] = String(dateString).split('-').map(Number);
+    return Date.UTC(year, (month || 1) - 1, day || 1);
+}
+
+/**
+ * Signed amount from the investor's point of view (calls are outflows)
+ */
+function signedAmount(cashFlow) {
+    const amount = Math.abs(Number(cashFlow.amount) || 0);
+    return cashFlow.type === 'call' ? -amount : amount;
+}
+
+/**
+ * Net present value of signed flows at the given annual rate
+ */
+function npv(rate, flows) {
+    return flows.reduce((sum, flow) => sum + flow.amount / Math.pow(1 + rate, flow.years), 0);
+}
+
+/**
+ * Derivative of npv() with respect to rate
+ */
+function npvDerivative(rate, flows) {
+    return flows.reduce(
+        (sum, flow) => sum - (flow.years * flow.amount) / Math.pow(1 + rate, flow.years + 1),
+        0
+    );
+}
+
+/**
+ * Newton-Raphson from a starting guess
+ * @returns {number|null} Rate, or null if it does not converge
+ */
+function solveNewton(flows, guess) {
+    let rate = guess;
+
+    for (let i = 0; i < XIRR_MAX_ITERATIONS; i++) {
+        const value = npv(rate, flows);
+        if (Math.abs(value) < XIRR_TOLERANCE) {
+            return rate;
+        }
+
+        const derivative = npvDerivative(rate, flows);
+        if (!derivative || !Number.isFinite(derivative)) {
+            return null;
+        }
+
+        const nextRate = rate - value / derivative;
+        if (!Number.isFinite(nextRate) || nextRate <= -1) {
+            return null;
+        }
+        if (Math.abs(nextRate - rate) < XIRR_TOLERANCE) {
+            return nextRate;
+        }
+        rate = nextRate;
+    }
+
+    return null;
+}
+
+/**
+ * Bisection fallback; needs a sign change between the bounds
+ * @returns {number|null} Rate, or null if the bounds do not bracket a root
+ */
+function solveBisection(flows) {
+    let low = XIRR_LOWER_BOUND;
+    let high = XIRR_UPPER_BOUND;
+    let lowValue = npv(low, flows);
+    const highValue = npv(high, flows);
+
+    if (!Number.isFinite(lowValue) || !Number.isFinite(highValue) || lowValue * highValue > 0) {
+        return null;
+    }
+
+    for (let i = 0; i < XIRR_MAX_ITERATIONS * 2; i++) {
+        const mid = (low + high) / 2;
+        const midValue = npv(mid, flows);
+
+        if (Math.abs(midValue) < XIRR_TOLERANCE || (high - low) / 2 < XIRR_TOLERANCE) {
+            return mid;
+        }
+
+        if (midValue * lowValue < 0) {
+            high = mid;
+        } else {
+            low = mid;
+            lowValue = midValue;
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Annualized internal rate of return for irregularly dated cash flows (XIRR)
+ * @param {Array<CashFlow>} cashFlows - Dated calls, distributions and NAV
+ * @returns {number|null} Rate as a decimal (0.1234 = 12.34%), or null when the
+ *   flows have no sign change or the solver does not converge
+ */
+export function calculateXirr(cashFlows) {
+    const dated = (cashFlows || [])
+        .filter(cashFlow => cashFlow && cashFlow.date && Number(cashFlow.amount))
+        .map(cashFlow => ({ time: toUtcTime(cashFlow.date), amount: signedAmount(cashFlow) }));
+
+    const hasOutflow = dated.some(flow => flow.amount < 0);
+    const hasInflow = dated.some(flow => flow.amount > 0);
+    if (!hasOutflow || !hasInflow) {
+        return null;
+    }
+
+    const start = Math.min(...dated.map(flow => flow.time));
+    const flows = dated.map(flow => ({
+        amount: flow.amount,
+        years: (flow.time - start) / MS_PER_DAY / DAYS_PER_YEAR
+    }));
+
+    const rate = solveNewton(flows, XIRR_GUESS);
+    return rate !== null ? rate : solveBisection(flows);
+}
+
+/**
+ * Ratio rounded to 2 decimals, 0 when there is nothing called
+ */
+function toMultiple(numerator, denominator) {
+    return denominator > 0 ? Math.round((numerator / denominator) * 100) / 100 : 0;
+}
+
+/**
+ * Derive all return metrics from dated cash flows
+ * @param {Array<CashFlow>} cashFlows - Dated calls, distributions and NAV
+ * @returns {{totalCalled: number, totalDistributions: number, nav: number,
+ *   dpi: number, rvpi: number, tvpi: number, moic: number, netIRR: number|null}}
+ *   netIRR is a percentage (12.34 = 12.34%) to match formatPercentage
+ */
+export function calculatePerformanceMetrics(cashFlows) {
+    const totals = { call: 0, distribution: 0, nav: 0 };
+
+    (cashFlows || []).forEach(cashFlow => {
+        if (cashFlow && totals[cashFlow.type] !== undefined) {
+            totals[cashFlow.type] += Math.abs(Number(cashFlow.amount) || 0);
+        }
+    });
+
+    const irr = calculateXirr(cashFlows);
+
+    return {
+        totalCalled: totals.call,
+        totalDistributions: totals.distribution,
+        nav: totals.nav,
+        dpi: toMultiple(totals.distribution, totals.call),
+        rvpi: toMultiple(totals.nav, totals.call),
+        tvpi: toMultiple(totals.distribution + totals.nav, totals.call),
+        moic: toMultiple(totals.distribution + totals.nav, totals.call),
+        netIRR: irr === null ? null : Math.round(irr * 10000) / 100
+    };
+}
+
+/**
+ * Cash flows as they stood on an earlier date, for returns "as of" a period end
+ * Calls and distributions after the date are dropped and the NAV entries are
+ * replaced by a single NAV at the date.
+ * @param {Array<CashFlow>} cashFlows - Dated calls, distributions and NAV
+ * @param {string} asOfDate - Date (YYYY-MM-DD)
+ * @param {number} navAsOfDate - Residual value at the date
+ * @returns {Array<CashFlow>}
+ */
+export function getCashFlowsAsOf(cashFlows, asOfDate, navAsOfDate) {
+    const flows = (cashFlows || []).filter(cashFlow =>
+        cashFlow && cashFlow.type !== 'nav' && cashFlow.date <= asOfDate
+    );
+    if (navAsOfDate > 0) {
+        flows.push({ date: asOfDate, amount: navAsOfDate, type: 'nav' });
+    }
+    return flows;
+}
+
+/**
+ * Comparison period options for a picker
+ * @returns {Array<{label: string, value: string}>}
+ */
+export function getComparisonOptions() {
+    return [
+        { label: 'Prior Quarter', value: COMPARISON_PRIOR_QUARTER },
+        { label: 'Prior Year', value: COMPARISON_PRIOR_YEAR },
+        { label: 'Inception', value: COMPARISON_INCEPTION }
+    ];
+}
+
+/**
+ * Months from one YYYY-MM to another
+ */
+function monthsBetween(fromMonth, toMonth) {
+    const [fromYear, from] = fromMonth.split('-').map(Number);
+    const [toYear, to] = toMonth.split('-').map(Number);
+    return (toYear - fromYear) * 12 + (to - from);
+}
+
+/**
+ * Point of a performance series to compare its latest point with
+ * Prior quarter and prior year are the latest points at least 3 and 12 months before the
+ * last one; inception is the first point.
+ * @param {Array<PerformanceDataPoint>} performanceData - Points in date order
+ * @param {string} comparison - COMPARISON_PRIOR_QUARTER, COMPARISON_PRIOR_YEAR or COMPARISON_INCEPTION
+ * @returns {PerformanceDataPoint|null} null when the series does not reach back that far
+ */
+export function getComparisonPoint(performanceData, comparison) {
+    const points = (performanceData || []).filter(point => point && point.date);
+    if (points.length < 2) {
+        return null;
+    }
+
+    const latest = points[points.length - 1];
+    if (comparison === COMPARISON_INCEPTION) {
+        return points[0];
+    }
+
+    const months = COMPARISON_MONTHS[comparison];
+    if (!months) {
+        return null;
+    }
+    const earlier = points.filter(point => monthsBetween(point.date.slice(0, 7), latest.date.slice(0, 7)) >= months);
+    return earlier.length > 0 ? earlier[earlier.length - 1] : null;
+}
+
+/**
+ * Cumulative metrics at a performance point, named as in getPortfolioMetrics
+ * Ratios are not rounded, so small changes are not lost; distribution-based metrics are
+ * null when the point has no distributions, and commitments when it has no commitments
+ */
+export function getPointMetrics(point) {
+    if (!point) {
+        return {};
+    }
+
+    const called = Number(point.capitalCalled) || 0;
+    const value = Number(point.totalValue) || 0;
+    const hasDistributions = point.distributions !== null && point.distributions !== undefined;
+    const distributions = Number(point.distributions) || 0;
+    const toRatio = amount => (called > 0 ? amount / called : 0);
+
+    return {
+        totalCommitments: point.commitments !== null && point.commitments !== undefined
+            ? Number(point.commitments) || 0
+            : null,
+        totalCalled: called,
+        totalDistributions: hasDistributions ? distributions : null,
+        estimatedValue: value,
+        estimatedTVPI: hasDistributions ? toRatio(distributions + value) : Number(point.tvpi) || 0,
+        dpi: hasDistributions ? toRatio(distributions) : null,
+        rvpi: toRatio(value)
+    };
+}
+
+/**
+ * Net IRR as it stood at a performance point: the cash flows up to the end of the point's
+ * month, with the point's total value as the NAV
+ * @param {Array<CashFlow>} cashFlows - Dated calls, distributions and NAV
+ * @param {PerformanceDataPoint} point - Point of the performance series
+ * @returns {number|null} Percentage like calculatePerformanceMetrics().netIRR; null without a point
+ *   or when the flows up to it have no solution
+ */
+export function calculateNetIrrAtPoint(cashFlows, point) {
+    if (!point || !point.date) {
+        return null;
+    }
+    const [year, month] = point.date.split('-').map(Number);
+    const monthEnd = new Date(Date.UTC(year, month, 0)).toISOString().slice(0, 10);
+    return calculatePerformanceMetrics(getCashFlowsAsOf(cashFlows, monthEnd, Number(point.totalValue) || 0)).netIRR;
+}
+
+/**
+ * Change of a rate such as Net IRR, in percentage points
+ * @param {number} current - Rate shown for the metric, as a percentage
+ * @param {number} prior - Rate at the comparison point, as a percentage
+ * @returns {{prior: number, delta: number, changePoints: number}|null} changePoints is 1.2 for
+ *   +1.2 points; null when either rate is missing
+ */
+export function calculateRateChange(current, prior) {
+    if ([current, prior].some(value => value === null || value === undefined || Number.isNaN(Number(value)))) {
+        return null;
+    }
+    const delta = Number(current) - Number(prior);
+    return {
+        prior: Number(prior),
+        delta,
+        changePoints: Math.round(delta * 100) / 100
+    };
+}
+
+/**
+ * Change of a metric over a comparison period
+ * The series can lag the live figures (snapshots are taken monthly), so the movement comes from
+ * the series and the prior value is the current value scaled back by it.
+ * @param {number} current - Value shown for the metric
+ * @param {number} latestPointValue - Metric at the latest point of the series
+ * @param {number} priorPointValue - Metric at the comparison point
+ * @returns {{prior: number, delta: number, changePercent: number}|null} changePercent is 2.5 for +2.5%;
+ *   null when a value is missing or the metric was 0 at the comparison point
+ */
+export function calculatePeriodChange(current, latestPointValue, priorPointValue) {
+    const values = [current, latestPointValue, priorPointValue];
+    if (values.some(value => value === null || value === undefined || Number.isNaN(Number(value)))) {
+        return null;
+    }
+    if (!Number(priorPointValue) || !Number(latestPointValue)) {
+        return null;
+    }
+
+    const ratio = Number(priorPointValue) / Number(latestPointValue);
+    const prior = Number(current) * ratio;
+    return {
+        prior,
+        delta: Number(current) - prior,
+        changePercent: Math.round(((1 / ratio) - 1) * 10000) / 100
+    };
+}
+
+/**
+ * Benchmark level on a date: the latest level on or before it
+ * @param {Array<BenchmarkLevel>} benchmarkLevels - Levels in date order
+ * @param {string} date - Date (YYYY-MM-DD)
+ * @returns {number|null} null when the index starts after the date
+ */
+export function getBenchmarkLevel(benchmarkLevels, date) {
+    let level = null;
+    for (const point of benchmarkLevels || []) {
+        if (point.date > date) {
+            break;
+        }
+        level = Number(point.level) || null;
+    }
+    return level;
+}
+
+/**
+ * Kaplan-Schoar and Long-Nickels public market equivalents of dated cash flows
+ * @param {Array<CashFlow>} cashFlows - Dated calls, distributions and NAV
+ * @param {Array<BenchmarkLevel>} benchmarkLevels - Index levels in date order
+ * @returns {{ksPme: number|null, lnPme: number|null}} ksPme is a multiple rounded to 2 decimals;
+ *   lnPme is a percentage like netIRR. Both are null when the index does not reach back to the
+ *   first flow; lnPme is also null when distributions exceed the compounded calls, as the
+ *   Long-Nickels method has no index value left to end with.
+ */
+export function calculatePme(cashFlows, benchmarkLevels) {
+    const empty = { ksPme: null, lnPme: null };
+    const flows = (cashFlows || []).filter(cashFlow => cashFlow && cashFlow.date && Number(cashFlow.amount));
+    if (flows.length === 0) {
+        return empty;
+    }
+
+    const endDate = flows.reduce((latest, cashFlow) => (cashFlow.date > latest ? cashFlow.date : latest), flows[0].date);
+    const endLevel = getBenchmarkLevel(benchmarkLevels, endDate);
+    if (!endLevel) {
+        return empty;
+    }
+
+    let compoundedCalls = 0;
+    let compoundedDistributions = 0;
+    let nav = 0;
+    for (const cashFlow of flows) {
+        const amount = Math.abs(Number(cashFlow.amount));
+        if (cashFlow.type === 'nav') {
+            nav += amount;
+        } else {
+            const level = getBenchmarkLevel(benchmarkLevels, cashFlow.date);
+            if (!level) {
+                return empty;
+            }
+            if (cashFlow.type === 'call') {
+                compoundedCalls += amount * (endLevel / level);
+            } else if (cashFlow.type === 'distribution') {
+                compoundedDistributions += amount * (endLevel / level);
+            }
+        }
+    }
+    if (compoundedCalls <= 0) {
+        return empty;
+    }
+
+    const indexValue = compoundedCalls - compoundedDistributions;
+    const lnIrr = indexValue > 0
+        ? calculateXirr([
+            ...flows.filter(cashFlow => cashFlow.type !== 'nav'),
+            { date: endDate, amount: indexValue, type: 'nav' }
+        ])
+        : null;
+
+    return {
+        ksPme: Math.round(((compoundedDistributions + nav) / compoundedCalls) * 100) / 100,
+        lnPme: lnIrr === null ? null : Math.round(lnIrr * 10000) / 100
+    };
+}
@@ -3,18 +3,31 @@
  * Main navigation container for FundPanel LP Portal
  * Provides left sidebar navigation with routing between different sections
  * Implements collapse/expand functionality and profile dropdown
+ * The current view is kept in the URL (see lpRouter) for refreshes, back/forward and deep links
+ * Sidebar state, landing view and last filters are restored from the user's preferences (see lpPreferenceStore)
  */
 
-import { LightningElement, track } from 'lwc';
+import { LightningElement, api, track } from 'lwc';
 import isGuest from '@salesforce/user/isGuest';
 import basePath from '@salesforce/community/basePath';
 import PORTAL_ICONS from '@salesforce/resourceUrl/PortalIcons';
 import FUNDPANEL_LOGO from '@salesforce/resourceUrl/fundpanel_logo_square';
+import { getRoute, hasRoute, navigate, subscribe } from 'c/lpRouter';
+import { resolveDateRange } from 'c/lpDateRange';
+import { loadPreferences, getPreferences, savePreferences, resetPreferences } from 'c/lpPreferenceStore';
+import { getDataProvider } from 'c/lpDataProvider';
+
+// Views with a page component; every other view shows the in-progress placeholder
+const IMPLEMENTED_VIEWS = ['overview', 'funds', 'capital-commitments', 'capital-calls', 'distributions', 'capital-accounts', 'investment-vehicle', 'documents', 'data-room'];
 
 export default class LpNavigation extends LightningElement {
+    // Data source passed to the dashboard: 'apex' (live) or 'static' (demo)
+    @api providerType = 'apex';
+
     @track currentView = 'overview';
     @track isCollapsed = false;
     @track isProfileDropdownOpen = false;
+    @track arePreferencesLoaded = false;
 
     get isAuthenticated() {
         return !isGuest;
@@ -79,6 +92,14 @@ export default class LpNavigation extends LightningElement {
         // Add click listener to close dropdown when clicking outside
         this._handleOutsideClick = this.handleOutsideClick.bind(this);
         document.addEventListener('click', this._handleOutsideClick);
+
+        // Restore the view from the URL and follow browser back/forward
+        this.applyRoute(getRoute());
+        this._unsubscribeRoute = subscribe(route => this.applyRoute(route));
+
+        // Local copy first so the sidebar doesn't jump, then the saved preferences
+        this.isCollapsed = getPreferences().sidebarCollapsed;
+        this.loadUserPreferences();
     }
 
     /**
@@ -88,6 +109,64 @@ export default class LpNavigation extends LightningElement {
         if (this._handleOutsideClick) {
             document.removeEventListener('click', this._handleOutsideClick);
         }
+        if (this._unsubscribeRoute) {
+            this._unsubscribeRoute();
+        }
+    }
+
+    /**
+     * Apply the user's saved preferences
+     * The landing view and filters only apply when the portal opens on its bare URL,
+     * so deep links and refreshes keep their own route. The filters come from the user's
+     * default saved view, or their last filters when they have none.
+     */
+    async loadUserPreferences() {
+        const preferences = await loadPreferences(this.providerType);
+        this.isCollapsed = preferences.sidebarCollapsed;
+
+        if (!hasRoute()) {
+            const defaultView = await this.loadDefaultView(preferences.defaultViewId);
+            const filters = defaultView ? defaultView.filterState : {
+                vehicleId: preferences.vehicleId,
+                fundId: preferences.fundId,
+                dateRange: { preset: preferences.datePreset, startDate: preferences.startDate, endDate: preferences.endDate }
+            };
+            const dateRange = filters.dateRange || {};
+            navigate({
+                view: this.isKnownView(preferences.landingView) ? preferences.landingView : 'overview',
+                vehicleId: filters.vehicleId || 'all',
+                fundId: filters.fundId || 'all',
+                dateRange: resolveDateRange(dateRange.preset, dateRange.startDate, dateRange.endDate)
+            }, { replace: true });
+        }
+        this.arePreferencesLoaded = true;
+    }
+
+    /**
+     * The user's default saved view, or null when none is set or it no longer exists
+     */
+    async loadDefaultView(defaultViewId) {
+        if (!defaultViewId) {
+            return null;
+        }
+        try {
+            const views = await getDataProvider(this.providerType).getFilterViews();
+            return views.find(view => view.viewId === defaultViewId) || null;
+        } catch (error) {
+            console.error('Unable to load the default view, using last filters:', error);
+            return null;
+        }
+    }
+
+    isKnownView(viewId) {
+        return [...this.menuItems, ...this.helpItems].some(item => item.id === viewId);
+    }
+
+    /**
+     * Show the view of a route; unknown views fall back to the overview
+     */
+    applyRoute(route) {
+        this.currentView = this.isKnownView(route.view) ? route.view : 'overview';
     }
 
     /**
@@ -213,10 +292,66 @@ export default class LpNavigation extends LightningElement {
     }
 
     /**
-     * Check if current view is in progress (not overview)
+     * Check if current view is funds
+     */
+    get isFundsView() {
+        return this.currentView === 'funds';
+    }
+
+    /**
+     * Check if current view is capital commitments
+     */
+    get isCapitalCommitmentsView() {
+        return this.currentView === 'capital-commitments';
+    }
+
+    /**
+     * Check if current view is capital calls
+     */
+    get isCapitalCallsView() {
+        return this.currentView === 'capital-calls';
+    }
+
+    /**
+     * Check if current view is distributions
+     */
+    get isDistributionsView() {
+        return this.currentView === 'distributions';
+    }
+
+    /**
+     * Check if current view is capital accounts
+     */
+    get isCapitalAccountsView() {
+        return this.currentView === 'capital-accounts';
+    }
+
+    /**
+     * Check if current view is investment vehicle
+     */
+    get isInvestmentVehicleView() {
+        return this.currentView === 'investment-vehicle';
+    }
+
+    /**
+     * Check if current view is documents
+     */
+    get isDocumentsView() {
+        return this.currentView === 'documents';
+    }
+
+    /**
+     * Check if current view is data room
+     */
+    get isDataRoomView() {
+        return this.currentView === 'data-room';
+    }
+
+    /**
+     * Check if current view is in progress (no page component yet)
      */
     get isInProgressView() {
-        return this.currentView !== 'overview';
+        return !IMPLEMENTED_VIEWS.includes(this.currentView);
     }
 
     /**
@@ -233,6 +368,7 @@ export default class LpNavigation extends LightningElement {
     handleNavItemClick(event) {
         const viewId = event.currentTarget.dataset.viewId;
         this.currentView = viewId;
+        navigate({ view: viewId });
         // Close profile dropdown if open
         this.isProfileDropdownOpen = false;
     }
@@ -242,6 +378,7 @@ export default class LpNavigation extends LightningElement {
      */
     handleCollapseToggle() {
         this.isCollapsed = !this.isCollapsed;
+        savePreferences({ sidebarCollapsed: this.isCollapsed });
         // Close profile dropdown when collapsing
         if (this.isCollapsed) {
             this.isProfileDropdownOpen = false;
@@ -279,6 +416,12 @@ export default class LpNavigation extends LightningElement {
                 console.log('Setup SMS MFA action triggered');
                 // Would navigate to MFA setup page in production
                 break;
+            case 'landing':
+                savePreferences({ landingView: this.currentView });
+                break;
+            case 'reset-preferences':
+                this.handleResetPreferences();
+                break;
             case 'logout':
                 window.location.href = (basePath || '') + '/secur/logout.jsp';
                 break;
@@ -287,6 +430,20 @@ export default class LpNavigation extends LightningElement {
         }
     }
 
+    /**
+     * Reset preferences to their defaults and show the default portal state
+     */
+    handleResetPreferences() {
+        const preferences = resetPreferences();
+        this.isCollapsed = preferences.sidebarCollapsed;
+        navigate({
+            view: preferences.landingView,
+            vehicleId: preferences.vehicleId,
+            fundId: preferences.fundId,
+            dateRange: resolveDateRange(preferences.datePreset, preferences.startDate, preferences.endDate)
+        });
+    }
+
     /**
      * Error callback for handling component errors
      */
@@ -7,30 +7,126 @@
  * - Capital Called (green)
  * - TVPI (orange) - on secondary Y-axis
  *
+ * Legend items toggle their series; hidden series are saved in the user's
+ * preferences (see lpPreferenceStore) and stay hidden on every chart.
+ *
+ * Dragging across the chart zooms into those months and Shift+drag (or the arrow
+ * keys) pans a zoomed chart; "Reset zoom" or Escape shows every month again.
+ * Range buttons (1Y/3Y/5Y/ITD) ask the host for a different date range.
+ *
+ * A benchmark index can be drawn over the chart on the TVPI axis, rebased to the portfolio's
+ * TVPI at the first month shown, so both lines start together and the gap is the out- or
+ * underperformance since then.
+ *
  * Props:
  * - performanceData: Array of { date, totalValue, capitalCalled, tvpi }
+ * - exportContext: Array of { label, value } printed above the exported series (see lpExporter)
+ * - showRangeButtons: Show the 1Y/3Y/5Y/ITD buttons (the host must handle rangechange)
+ * - range: Date range preset of the data, so the matching range button shows as selected
+ * - benchmarks: Array of { benchmarkId, name } offered in the benchmark picker (hidden when empty)
+ * - benchmarkId: Selected benchmark, empty for none
+ * - benchmarkLevels: Array of { date, level } of the selected benchmark, in date order
+ * - benchmarkError: Message shown when the benchmark levels could not be loaded
+ *
+ * Events:
+ * - serieschange: { series, visible, hiddenSeries } when a legend item is toggled
+ * - rangechange: { preset, dateRange } when a range button is clicked; dateRange is from lpDateRange
+ * - benchmarkchange: { benchmarkId } when a benchmark is picked; empty for none
+ *
+ * All three series can be exported as CSV, Excel or PDF, one row per month.
  */
 
 import { LightningElement, api, track } from 'lwc';
 import { loadScript } from 'lightning/platformResourceLoader';
 import chartjs from '@salesforce/resourceUrl/chartjs';
 import { formatCurrency, formatTVPI } from 'c/lpStaticDataService';
+import { getPreferences, savePreferences, subscribe } from 'c/lpPreferenceStore';
+import { exportReport } from 'c/lpExporter';
+import { getBenchmarkLevel } from 'c/lpMetricsEngine';
+import { resolveDateRange, PRESET_ITD, PRESET_LAST_1Y, PRESET_LAST_3Y, PRESET_LAST_5Y } from 'c/lpDateRange';
+
+// Series keys in dataset order
+const SERIES = ['totalValue', 'capitalCalled', 'tvpi', 'benchmark'];
+
+// Range buttons, each a date range preset
+const RANGES = [
+    { label: '1Y', preset: PRESET_LAST_1Y, title: 'Last 12 months' },
+    { label: '3Y', preset: PRESET_LAST_3Y, title: 'Last 3 years' },
+    { label: '5Y', preset: PRESET_LAST_5Y, title: 'Last 5 years' },
+    { label: 'ITD', preset: PRESET_ITD, title: 'Inception to date' }
+];
+
+// Drags shorter than this (in pixels) are clicks, not zooms
+const MIN_DRAG_PIXELS = 8;
 
 export default class LpPerformanceChart extends LightningElement {
-    @api performanceData = []; // Array of performance data points
+    @api exportContext = []; // Filter context for exports
+    @api showRangeButtons = false; // Show the 1Y/3Y/5Y/ITD range buttons
+    @api range = PRESET_ITD; // Date range preset of the data
+    @api benchmarks = []; // Benchmarks for the picker
+    @api benchmarkId = ''; // Selected benchmark
+    @api benchmarkError = ''; // Benchmark loading error
 
     @track hasError = false;
+    @track hiddenSeries = [];
+
+    // Visible window as label indexes ({ min, max }), null when not zoomed
+    @track zoomRange = null;
+
+    // Drag-to-zoom selection in pixels ({ left, width }), null when not dragging
+    @track selection = null;
 
     chart = null;
     chartjsInitialized = false;
+    _performanceData = [];
+    _benchmarkLevels = [];
+    dragState = null;
+
+    /**
+     * Array of performance data points; new data redraws the chart and resets the zoom
+     */
+    @api
+    get performanceData() {
+        return this._performanceData;
+    }
+    set performanceData(value) {
+        this._performanceData = value || [];
+        this.zoomRange = null;
+        this.refreshChart();
+    }
+
+    /**
+     * Index levels of the selected benchmark; new levels redraw the chart
+     */
+    @api
+    get benchmarkLevels() {
+        return this._benchmarkLevels;
+    }
+    set benchmarkLevels(value) {
+        this._benchmarkLevels = value || [];
+        this.refreshChart();
+    }
 
     // Chart colors
     colors = {
         totalValue: '#1976D2',    // Blue
         capitalCalled: '#388E3C', // Green
-        tvpi: '#F57C00'           // Orange
+        tvpi: '#F57C00',          // Orange
+        benchmark: '#5D4037'      // Brown
     };
 
+    /**
+     * Lifecycle: Connected callback
+     * Restore the series the user hid and follow a reset of preferences
+     */
+    connectedCallback() {
+        this.hiddenSeries = getPreferences().hiddenSeries;
+        this._unsubscribePreferences = subscribe(preferences => {
+            this.hiddenSeries = preferences.hiddenSeries;
+            this.applySeriesVisibility();
+        });
+    }
+
     /**
      * Lifecycle: Rendered callback
      * Initialize Chart.js after DOM is ready
@@ -97,6 +193,12 @@ export default class LpPerformanceChart extends LightningElement {
                                 const label = context.dataset.label;
                                 const value = context.raw;
 
+                                const level = context.dataset.indexLevels
+                                    ? context.dataset.indexLevels[context.dataIndex]
+                                    : null;
+                                if (level) {
+                                    return `${label}: ${formatTVPI(value)} (index ${level.toLocaleString('en-US')})`;
+                                }
                                 if (label === 'TVPI') {
                                     return `${label}: ${formatTVPI(value)}`;
                                 }
@@ -118,13 +220,10 @@ export default class LpPerformanceChart extends LightningElement {
                                 size: 11,
                                 family: 'Roboto, sans-serif'
                             },
-                            callback: (value, index) => {
-                                // Show every 2nd label to avoid crowding
-                                if (index % 2 === 0) {
-                                    return this.formatDate(this.performanceData[index]?.date);
-                                }
-                                return '';
-                            }
+                            // Chart.js skips labels to avoid crowding, at any zoom level
+                            autoSkip: true,
+                            maxRotation: 0,
+                            callback: (value) => this.formatDate(this.chart ? this.chart.data.labels[value] : '')
                         }
                     },
                     y: {
@@ -201,6 +300,7 @@ export default class LpPerformanceChart extends LightningElement {
                 {
                     label: 'Total Value',
                     data: this.performanceData.map(d => d.totalValue),
+                    hidden: this.isSeriesHidden('totalValue'),
                     borderColor: this.colors.totalValue,
                     backgroundColor: `${this.colors.totalValue}20`,
                     fill: false,
@@ -209,6 +309,7 @@ export default class LpPerformanceChart extends LightningElement {
                 {
                     label: 'Capital Called',
                     data: this.performanceData.map(d => d.capitalCalled),
+                    hidden: this.isSeriesHidden('capitalCalled'),
                     borderColor: this.colors.capitalCalled,
                     backgroundColor: `${this.colors.capitalCalled}20`,
                     fill: false,
@@ -217,19 +318,94 @@ export default class LpPerformanceChart extends LightningElement {
                 {
                     label: 'TVPI',
                     data: this.performanceData.map(d => d.tvpi),
+                    hidden: this.isSeriesHidden('tvpi'),
                     borderColor: this.colors.tvpi,
                     backgroundColor: `${this.colors.tvpi}20`,
                     fill: false,
                     yAxisID: 'y1'
-                }
+                },
+                ...this.prepareBenchmarkDatasets()
             ]
         };
     }
 
+    get selectedBenchmark() {
+        return (this.benchmarks || []).find(benchmark => benchmark.benchmarkId === this.benchmarkId) || null;
+    }
+
+    /**
+     * Benchmark level at the end of each month of the chart and its value rebased to the
+     * TVPI of the first month both exist, or null when the benchmark does not cover the chart
+     */
+    getBenchmarkSeries() {
+        if (!this.selectedBenchmark || this._benchmarkLevels.length === 0) {
+            return null;
+        }
+
+        // Month-end level; a YYYY-MM-31 bound covers every day of the month
+        const levels = this._performanceData.map(d => getBenchmarkLevel(this._benchmarkLevels, `${d.date}-31`));
+        const baseIndex = levels.findIndex((level, index) => level && this._performanceData[index].tvpi);
+        if (baseIndex < 0) {
+            return null;
+        }
+
+        const scale = this._performanceData[baseIndex].tvpi / levels[baseIndex];
+        return {
+            levels,
+            values: levels.map(level => (level ? Math.round(level * scale * 100) / 100 : null))
+        };
+    }
+
+    prepareBenchmarkDatasets() {
+        const series = this.getBenchmarkSeries();
+        if (!series) {
+            return [];
+        }
+        return [{
+            label: this.selectedBenchmark.name,
+            data: series.values,
+            indexLevels: series.levels,
+            hidden: this.isSeriesHidden('benchmark'),
+            borderColor: this.colors.benchmark,
+            backgroundColor: `${this.colors.benchmark}20`,
+            borderDash: [6, 4],
+            fill: false,
+            yAxisID: 'y1'
+        }];
+    }
+
+    get hasBenchmarkPicker() {
+        return (this.benchmarks || []).length > 0;
+    }
+
+    get benchmarkOptions() {
+        return [
+            { label: 'None', value: '' },
+            ...(this.benchmarks || []).map(benchmark => ({ label: benchmark.name, value: benchmark.benchmarkId }))
+        ];
+    }
+
+    /**
+     * Ask the host for another benchmark; its levels arrive through benchmarkLevels
+     */
+    handleBenchmarkChange(event) {
+        this.dispatchEvent(new CustomEvent('benchmarkchange', {
+            detail: { benchmarkId: event.detail.value }
+        }));
+    }
+
     /**
      * Legend items
      */
     get legendItems() {
+        const benchmark = this.getBenchmarkSeries()
+            ? [{
+                series: 'benchmark',
+                label: `${this.selectedBenchmark.name} (rebased)`,
+                colorStyle: `background-color: ${this.colors.benchmark};`
+            }]
+            : [];
+
         return [
             {
                 series: 'totalValue',
@@ -245,8 +421,221 @@ export default class LpPerformanceChart extends LightningElement {
                 series: 'tvpi',
                 label: 'TVPI',
                 colorStyle: `background-color: ${this.colors.tvpi};`
+            },
+            ...benchmark
+        ].map(item => ({
+            ...item,
+            ariaPressed: String(!this.isSeriesHidden(item.series)),
+            cssClass: this.isSeriesHidden(item.series) ? 'legend-item legend-item-hidden' : 'legend-item'
+        }));
+    }
+
+    isSeriesHidden(series) {
+        return this.hiddenSeries.includes(series);
+    }
+
+    /**
+     * Show or hide a series from its legend item and save the choice
+     */
+    handleLegendClick(event) {
+        const series = event.currentTarget.dataset.series;
+        this.hiddenSeries = this.isSeriesHidden(series)
+            ? this.hiddenSeries.filter(key => key !== series)
+            : [...this.hiddenSeries, series];
+        savePreferences({ hiddenSeries: this.hiddenSeries });
+        this.applySeriesVisibility();
+
+        this.dispatchEvent(new CustomEvent('serieschange', {
+            detail: {
+                series,
+                visible: !this.isSeriesHidden(series),
+                hiddenSeries: [...this.hiddenSeries]
             }
-        ];
+        }));
+    }
+
+    // ========================================
+    // Range buttons
+    // ========================================
+
+    get rangeButtons() {
+        return RANGES.map(range => {
+            const isSelected = range.preset === (this.range || PRESET_ITD);
+            return {
+                ...range,
+                ariaPressed: String(isSelected),
+                cssClass: `range-button${isSelected ? ' range-button-selected' : ''}`
+            };
+        });
+    }
+
+    /**
+     * Ask the host for another date range; the new data arrives through performanceData
+     */
+    handleRangeClick(event) {
+        const preset = event.currentTarget.dataset.preset;
+        this.dispatchEvent(new CustomEvent('rangechange', {
+            detail: { preset, dateRange: resolveDateRange(preset) }
+        }));
+    }
+
+    // ========================================
+    // Zoom and pan
+    // ========================================
+
+    get isZoomed() {
+        return !!this.zoomRange;
+    }
+
+    get selectionStyle() {
+        return this.selection ? `left: ${this.selection.left}px; width: ${this.selection.width}px;` : '';
+    }
+
+    get zoomDescription() {
+        if (!this.zoomRange) {
+            return '';
+        }
+        const labels = this.chart ? this.chart.data.labels : [];
+        return `Showing ${this.formatDate(labels[this.zoomRange.min])} to ${this.formatDate(labels[this.zoomRange.max])}`;
+    }
+
+    /**
+     * Horizontal position of a pointer event inside the chart wrapper
+     */
+    getPointerX(event) {
+        return event.clientX - this.refs.chartWrapper.getBoundingClientRect().left;
+    }
+
+    /**
+     * Label index nearest to a horizontal position
+     */
+    getIndexForPixel(x) {
+        const lastIndex = this._performanceData.length - 1;
+        const index = Math.round(this.chart.scales.x.getValueForPixel(x));
+        return Math.min(Math.max(index, 0), lastIndex);
+    }
+
+    /**
+     * Start a zoom selection, or a pan with Shift on a zoomed chart
+     */
+    handlePointerDown(event) {
+        if (!this.chart || event.button !== 0 || this._performanceData.length < 2) {
+            return;
+        }
+        const x = this.getPointerX(event);
+        this.dragState = {
+            mode: event.shiftKey && this.zoomRange ? 'pan' : 'zoom',
+            startX: x,
+            startRange: this.zoomRange
+        };
+        this.refs.chartWrapper.setPointerCapture(event.pointerId);
+    }
+
+    handlePointerMove(event) {
+        if (!this.dragState) {
+            return;
+        }
+        const x = this.getPointerX(event);
+
+        if (this.dragState.mode === 'zoom') {
+            this.selection = {
+                left: Math.min(this.dragState.startX, x),
+                width: Math.abs(x - this.dragState.startX)
+            };
+            return;
+        }
+
+        // Pan by whole months, following the pointer
+        const { startRange } = this.dragState;
+        const pixelsPerPoint = this.chart.scales.x.width / Math.max(startRange.max - startRange.min, 1);
+        this.panTo(startRange.min + Math.round((this.dragState.startX - x) / pixelsPerPoint), startRange);
+    }
+
+    handlePointerUp(event) {
+        if (!this.dragState) {
+            return;
+        }
+        const { mode, startX } = this.dragState;
+        const x = this.getPointerX(event);
+        this.dragState = null;
+        this.selection = null;
+
+        if (mode === 'zoom' && Math.abs(x - startX) >= MIN_DRAG_PIXELS) {
+            const first = this.getIndexForPixel(Math.min(startX, x));
+            const last = this.getIndexForPixel(Math.max(startX, x));
+            if (last > first) {
+                this.setZoom({ min: first, max: last });
+            }
+        }
+    }
+
+    handlePointerCancel() {
+        this.dragState = null;
+        this.selection = null;
+    }
+
+    /**
+     * Arrow keys pan a zoomed chart by a month; Escape resets the zoom
+     */
+    handleChartKeyDown(event) {
+        if (!this.zoomRange) {
+            return;
+        }
+        if (event.key === 'ArrowLeft' || event.key === 'ArrowRight') {
+            event.preventDefault();
+            this.panTo(this.zoomRange.min + (event.key === 'ArrowLeft' ? -1 : 1), this.zoomRange);
+        } else if (event.key === 'Escape') {
+            this.setZoom(null);
+        }
+    }
+
+    handleResetZoom() {
+        this.setZoom(null);
+    }
+
+    /**
+     * Move the zoom window to start at the given index, keeping its width and the data bounds
+     */
+    panTo(min, range) {
+        const span = range.max - range.min;
+        const lastIndex = this._performanceData.length - 1;
+        const start = Math.min(Math.max(min, 0), lastIndex - span);
+        if (start !== this.zoomRange.min) {
+            this.setZoom({ min: start, max: start + span });
+        }
+    }
+
+    /**
+     * Show only the months in range (label indexes), or all months for null
+     */
+    setZoom(range) {
+        const isFullRange = range && range.min <= 0 && range.max >= this._performanceData.length - 1;
+        this.zoomRange = range && !isFullRange ? range : null;
+        this.applyZoom();
+    }
+
+    applyZoom() {
+        if (!this.chart) {
+            return;
+        }
+        this.chart.options.scales.x.min = this.zoomRange ? this.zoomRange.min : undefined;
+        this.chart.options.scales.x.max = this.zoomRange ? this.zoomRange.max : undefined;
+        this.chart.update('none');
+    }
+
+    /**
+     * Sync dataset visibility with hiddenSeries
+     */
+    applySeriesVisibility() {
+        if (!this.chart) {
+            return;
+        }
+        SERIES.forEach((series, index) => {
+            if (this.chart.data.datasets[index]) {
+                this.chart.setDatasetVisibility(index, !this.isSeriesHidden(series));
+            }
+        });
+        this.chart.update();
     }
 
     /**
@@ -270,16 +659,53 @@ export default class LpPerformanceChart extends LightningElement {
         return date.toLocaleDateString('en-US', { month: 'short', year: '2-digit' });
     }
 
+    /**
+     * Export the series in the chosen format
+     */
+    handleExport(event) {
+        const benchmark = this.getBenchmarkSeries();
+        const columns = [
+            { key: 'date', label: 'Month', type: 'month' },
+            { key: 'totalValue', label: 'Total Value', type: 'currency' },
+            { key: 'capitalCalled', label: 'Capital Called', type: 'currency' },
+            { key: 'tvpi', label: 'TVPI', type: 'ratio' }
+        ];
+        if (benchmark) {
+            columns.push({ key: 'benchmark', label: `${this.selectedBenchmark.name} (rebased)`, type: 'ratio' });
+        }
+
+        try {
+            exportReport({
+                title: 'Performance Over Time',
+                fileName: 'performance-over-time',
+                context: this.exportContext || [],
+                columns,
+                rows: this._performanceData.map((d, index) => (
+                    benchmark ? { ...d, benchmark: benchmark.values[index] } : d
+                ))
+            }, event.detail.format);
+        } catch (error) {
+            console.error('Unable to export the performance data:', error);
+        }
+    }
+
     /**
      * Public API to update chart data
      */
     @api
     updateData(newPerformanceData) {
-        this.performanceData = newPerformanceData;
+        this._performanceData = newPerformanceData || [];
+        this.zoomRange = null;
+        this.refreshChart();
+    }
 
+    /**
+     * Redraw the chart with the current data, if it is already drawn
+     */
+    refreshChart() {
         if (this.chart) {
-            const chartData = this.prepareChartData();
-            this.chart.data = chartData;
+            this.chart.data = this.prepareChartData();
+            this.applyZoom();
             this.chart.update('active');
         }
     }
@@ -288,6 +714,9 @@ export default class LpPerformanceChart extends LightningElement {
      * Cleanup when component is removed
      */
     disconnectedCallback() {
+        if (this._unsubscribePreferences) {
+            this._unsubscribePreferences();
+        }
         if (this.chart) {
             this.chart.destroy();
             this.chart = null;
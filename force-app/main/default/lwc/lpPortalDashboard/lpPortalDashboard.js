@@ -5,135 +5,453 @@
  * @Description: Main dashboard container for FundPanel LP Portal
  *
  * Orchestrates all child components:
+ * - lpSavedViews: Saved filter views menu
  * - lpFilterBar: Filter controls
- * - lpMetricCard (5 instances): Key portfolio metrics
- * - lpDonutChart: Fund allocation visualization
- * - lpPerformanceChart: Performance over time
+ * - lpMetricCard (8 instances): Key portfolio metrics and return ratios, with the change
+ *   versus the selected comparison period where there is a value to compare with
+ * - lpDonutChart: Allocation by fund, vehicle, strategy, sector, geography or vintage. Vehicle and fund
+ *   segments drill down to funds and portfolio companies; other segments filter the dashboard
+ * - lpPerformanceChart: Performance over time, with range buttons that set the date range filter
+ *   and a benchmark overlay
+ * - lpJCurveChart: Quarterly net cash flow since inception; a bar opens its calls or distributions
  * - lpReportsModal: Tabular data view
  *
  * Manages:
- * - Filter state (vehicleId, fundId)
+ * - Data provider selection (providerType property: 'apex' or 'static')
+ * - Filter state (vehicles, funds and date range)
+ * - Filter context by name for screen readers, the reports modal and exports (lpFilterContext)
+ * - Benchmark selection (kept per user) and the PME figures passed to the reports modal
  * - Instant filter updates (<300ms target)
  * - Data synchronization across all components
  * - Modal interactions
  */
 
-import { LightningElement, track } from 'lwc';
+import { LightningElement, api, track } from 'lwc';
+import { getDataProvider } from 'c/lpDataProvider';
+import { getRoute, navigate } from 'c/lpRouter';
 import {
-    getPortfolioMetrics,
-    getFundAllocation,
-    getPerformanceData,
-    getInvestmentVehicles,
-    getFunds
-} from 'c/lpStaticDataService';
+    calculatePerformanceMetrics,
+    getCashFlowsAsOf,
+    getComparisonOptions,
+    getComparisonPoint,
+    getPointMetrics,
+    calculatePeriodChange,
+    calculateNetIrrAtPoint,
+    calculateRateChange,
+    calculatePme
+} from 'c/lpMetricsEngine';
+import { resolveDateRange, PRESET_ITD, PRESET_CUSTOM } from 'c/lpDateRange';
+import { resolveFilterContext, describeFilterContext, getExportContext } from 'c/lpFilterContext';
+import { getPreferences, savePreferences, subscribe } from 'c/lpPreferenceStore';
+import { formatCurrency, formatPercentage, formatTVPI } from 'c/lpStaticDataService';
+
+// lpDonutChart segments that drill down inside the chart instead of filtering the dashboard
+const DRILL_DOWN_DIMENSIONS = ['vehicle', 'fund', 'company'];
+
+// Metric cards with a period-over-period change
+// Called and distributions are amounts inside the date window when it has a start, which
+// no point of the series matches, so they are only compared from inception. Net IRR is a
+// rate: it is recalculated at the comparison point and changes by percentage points.
+const CHANGE_METRICS = [
+    { field: 'totalCommitments', formatType: 'currency' },
+    { field: 'totalCalled', formatType: 'currency', isWindowedAmount: true },
+    { field: 'totalDistributions', formatType: 'currency', isWindowedAmount: true },
+    { field: 'estimatedValue', formatType: 'currency' },
+    { field: 'estimatedTVPI', formatType: 'tvpi' },
+    { field: 'dpi', formatType: 'tvpi' },
+    { field: 'rvpi', formatType: 'tvpi' },
+    { field: 'netIRR', formatType: 'percentage', isRate: true }
+];
+
+function formatValue(value, formatType) {
+    if (formatType === 'currency') {
+        return formatCurrency(value);
+    }
+    return formatType === 'percentage' ? formatPercentage(value) : formatTVPI(value);
+}
+
+/**
+ * Absolute change with its sign, e.g. '+$1,250.00', '-0.02' or '+1.20 pts' for a rate;
+ * no minus when it rounds to zero
+ */
+function formatDelta(delta, formatType) {
+    const amount = formatType === 'percentage'
+        ? `${formatPercentage(Math.abs(delta)).replace('%', '')} pts`
+        : formatValue(Math.abs(delta), formatType);
+    return `${delta < 0 && /[1-9]/.test(amount) ? '-' : '+'}${amount}`;
+}
+
+/**
+ * Month of a performance point (YYYY-MM), e.g. 'Jun 2026'
+ */
+function formatMonth(month) {
+    const [year, monthNumber] = month.split('-').map(Number);
+    return new Date(year, monthNumber - 1, 1).toLocaleDateString('en-US', { month: 'short', year: 'numeric' });
+}
 
 export default class LpPortalDashboard extends LightningElement {
-    // Filter state
+    // Data source selected in App Builder: 'apex' (live) or 'static' (demo)
+    @api providerType = 'apex';
+
+    // Filter state; vehicle and fund are 'all', an Id or an array of Ids
     @track currentVehicleId = 'all';
     @track currentFundId = 'all';
+    @track currentDateRange = resolveDateRange(PRESET_ITD);
+
+    // Filter options
+    @track vehicles = [];
+    @track funds = [];
+    @track areFilterOptionsLoaded = false;
 
     // Portfolio data
     @track metrics = {};
-    @track allocationData = [];
+    @track breakdownData = [];
     @track performanceData = [];
 
+    // Performance series from inception to the end of the date window, for the card changes
+    @track comparisonData = [];
+    @track comparisonPeriod = getPreferences().comparisonPeriod;
+
+    // Benchmark drawn over the performance chart and used for the PME in the reports
+    @track benchmarks = [];
+    @track benchmarkId = getPreferences().benchmarkId;
+    @track benchmarkLevels = [];
+    @track benchmarkError = '';
+
+    // Cash flows behind the return metrics, for the PME
+    returnCashFlows = [];
+
     // UI state
     @track isLoading = false;
+    @track errorMessage = '';
 
-    // Track pending operations to prevent race conditions
-    pendingTimeout = null;
+    // Id of the latest data request; responses from older requests are dropped
+    latestRequestId = 0;
+    latestBenchmarkRequestId = 0;
 
     /**
      * Initialize dashboard on component load
      */
     connectedCallback() {
+        // Start from the filters in the URL (see lpRouter)
+        const route = getRoute();
+        this.currentVehicleId = route.vehicleId;
+        this.currentFundId = route.fundId;
+        this.currentDateRange = route.dateRange;
+
+        this.loadFilterOptions();
         this.loadDashboardData();
+        this.loadBenchmarks();
+
+        // Follow a reset of preferences to defaults
+        this._unsubscribePreferences = subscribe(preferences => {
+            this.comparisonPeriod = preferences.comparisonPeriod;
+            if (preferences.benchmarkId !== this.benchmarkId) {
+                this.benchmarkId = preferences.benchmarkId;
+                this.loadBenchmarkLevels();
+            }
+        });
+    }
+
+    disconnectedCallback() {
+        if (this._unsubscribePreferences) {
+            this._unsubscribePreferences();
+        }
+    }
+
+    /**
+     * Provider selected through the providerType property
+     */
+    get provider() {
+        return getDataProvider(this.providerType);
+    }
+
+    /**
+     * Whether a data error message should be shown
+     */
+    get hasError() {
+        return !!this.errorMessage;
+    }
+
+    /**
+     * Load vehicle and fund lists for the filter bar
+     */
+    async loadFilterOptions() {
+        try {
+            const [vehicles, funds] = await Promise.all([
+                this.provider.getInvestmentVehicles(),
+                this.provider.getFunds()
+            ]);
+            this.vehicles = vehicles;
+            this.funds = funds;
+            this.areFilterOptionsLoaded = true;
+        } catch (error) {
+            this.handleDataError(error);
+        }
     }
 
     /**
      * Load all dashboard data based on current filter state
+     * Only the most recent request is applied, so fast filter changes cannot race
      */
-    loadDashboardData() {
-        // Get metrics for current filter
-        this.metrics = getPortfolioMetrics(this.currentVehicleId, this.currentFundId);
+    async loadDashboardData() {
+        const requestId = ++this.latestRequestId;
+        const vehicleId = this.currentVehicleId;
+        const fundId = this.currentFundId;
+        const dateRange = this.currentDateRange;
 
-        // Get fund allocation for donut chart
-        this.allocationData = getFundAllocation(this.currentVehicleId, this.currentFundId);
+        this.isLoading = true;
 
-        // Get performance data for line chart
-        this.performanceData = getPerformanceData(this.currentVehicleId, this.currentFundId);
+        try {
+            // A window with a start cuts off the earlier points the changes compare with
+            const comparisonRange = dateRange.startDate ? resolveDateRange(PRESET_CUSTOM, null, dateRange.endDate) : null;
+            const [metrics, breakdownData, performanceData, cashFlows, comparisonData] = await Promise.all([
+                this.provider.getPortfolioMetrics(vehicleId, fundId, dateRange),
+                this.provider.getFundBreakdown(vehicleId, fundId, dateRange),
+                this.provider.getPerformanceData(vehicleId, fundId, dateRange),
+                this.provider.getCashFlows(vehicleId, fundId),
+                comparisonRange ? this.provider.getPerformanceData(vehicleId, fundId, comparisonRange) : null
+            ]);
+
+            if (requestId === this.latestRequestId) {
+                // Ratios are as of the end of the date window
+                const returnCashFlows = dateRange.endDate
+                    ? getCashFlowsAsOf(cashFlows, dateRange.endDate, metrics.estimatedValue)
+                    : cashFlows;
+                this.metrics = this.withReturnMetrics(metrics, returnCashFlows);
+                this.returnCashFlows = returnCashFlows;
+                this.breakdownData = breakdownData;
+                this.performanceData = performanceData;
+                this.comparisonData = comparisonData || performanceData;
+                this.errorMessage = '';
+            }
+        } catch (error) {
+            if (requestId === this.latestRequestId) {
+                this.handleDataError(error);
+            }
+        } finally {
+            if (requestId === this.latestRequestId) {
+                this.isLoading = false;
+            }
+        }
     }
 
     /**
-     * Handle filter change from lpFilterBar
-     * Implements instant filter application (<300ms target)
+     * Add ratios derived from cash flows to the provider's amount metrics
+     * TVPI is computed here as well, so every provider reports it the same way
      */
-    handleFilterChange(event) {
-        const { vehicleId, fundId } = event.detail;
+    withReturnMetrics(metrics, cashFlows) {
+        const returns = calculatePerformanceMetrics(cashFlows);
+
+        return {
+            ...metrics,
+            estimatedTVPI: returns.tvpi,
+            netIRR: returns.netIRR,
+            dpi: returns.dpi,
+            rvpi: returns.rvpi,
+            moic: returns.moic
+        };
+    }
 
-        // Cancel any pending operation to prevent race conditions
-        if (this.pendingTimeout) {
-            clearTimeout(this.pendingTimeout);
-            this.pendingTimeout = null;
+    /**
+     * Load the benchmarks for the performance chart, then the levels of the user's benchmark
+     * Benchmarks are optional, so a failure only leaves the picker out
+     */
+    async loadBenchmarks() {
+        try {
+            this.benchmarks = await this.provider.getBenchmarks();
+            if (!this.benchmarks.some(benchmark => benchmark.benchmarkId === this.benchmarkId)) {
+                this.benchmarkId = '';
+            }
+            this.loadBenchmarkLevels();
+        } catch (error) {
+            console.error('Unable to load benchmarks:', error);
         }
+    }
 
-        // Show loading indicator briefly for visual feedback
-        this.isLoading = true;
+    /**
+     * Load the index levels of the selected benchmark
+     */
+    async loadBenchmarkLevels() {
+        const requestId = ++this.latestBenchmarkRequestId;
+        const benchmarkId = this.benchmarkId;
+        this.benchmarkError = '';
+
+        if (!benchmarkId) {
+            this.benchmarkLevels = [];
+            return;
+        }
 
-        // Update filter state
-        this.currentVehicleId = vehicleId;
-        this.currentFundId = fundId;
+        try {
+            const levels = await this.provider.getBenchmarkLevels(benchmarkId);
+            if (requestId === this.latestBenchmarkRequestId) {
+                this.benchmarkLevels = levels;
+            }
+        } catch (error) {
+            if (requestId === this.latestBenchmarkRequestId) {
+                this.benchmarkLevels = [];
+                this.benchmarkError = error && error.body
+                    ? error.body.message
+                    : 'Unable to load the benchmark. Please try again later.';
+            }
+        }
+    }
 
-        // Use setTimeout to ensure smooth transition
-        // In production with real API, this would be replaced with actual API call
-        this.pendingTimeout = setTimeout(() => {
-            this.loadDashboardData();
-            this.isLoading = false;
-            this.pendingTimeout = null;
-        }, 100); // Simulated delay, well under 300ms target
+    /**
+     * Handle a benchmark picked on lpPerformanceChart; the choice is kept per user
+     */
+    handleBenchmarkChange(event) {
+        this.benchmarkId = event.detail.benchmarkId || '';
+        savePreferences({ benchmarkId: this.benchmarkId });
+        this.loadBenchmarkLevels();
     }
 
     /**
-     * Handle fund segment click from donut chart
-     * Auto-applies fund filter when user clicks a fund segment
+     * Metrics for the reports modal, with the PME against the selected benchmark
      */
-    handleFundClick(event) {
-        const { fundId } = event.detail;
+    get reportMetrics() {
+        const benchmark = this.benchmarks.find(item => item.benchmarkId === this.benchmarkId);
+        if (!benchmark || this.benchmarkLevels.length === 0) {
+            return this.metrics;
+        }
+        return {
+            ...this.metrics,
+            ...calculatePme(this.returnCashFlows, this.benchmarkLevels),
+            benchmarkName: benchmark.name
+        };
+    }
 
-        if (fundId && fundId !== this.currentFundId) {
-            // Cancel any pending operation to prevent race conditions
-            if (this.pendingTimeout) {
-                clearTimeout(this.pendingTimeout);
-                this.pendingTimeout = null;
+    get comparisonOptions() {
+        return getComparisonOptions();
+    }
+
+    /**
+     * Change of each card's metric versus the comparison period, keyed by metric field
+     * Each entry is {value, tooltip, unavailableText}; value is null when there is nothing to
+     * compare with, and unavailableText then says so for screen readers.
+     */
+    get metricChanges() {
+        const comparisonPoint = getComparisonPoint(this.comparisonData, this.comparisonPeriod);
+        const latestPoint = this.comparisonData.length > 0 ? this.comparisonData[this.comparisonData.length - 1] : null;
+        const option = getComparisonOptions().find(item => item.value === this.comparisonPeriod);
+        const periodLabel = option ? option.label.toLowerCase() : 'period';
+        const isWindowed = !!this.currentDateRange.startDate;
+        const latest = getPointMetrics(latestPoint);
+        const prior = getPointMetrics(comparisonPoint);
+
+        const changes = {};
+        CHANGE_METRICS.forEach(metric => {
+            const isWindowedAmount = metric.isWindowedAmount && isWindowed;
+            let change = null;
+            if (comparisonPoint && !isWindowedAmount) {
+                change = metric.isRate
+                    ? calculateRateChange(
+                        this.metrics[metric.field],
+                        calculateNetIrrAtPoint(this.returnCashFlows, comparisonPoint)
+                    )
+                    : calculatePeriodChange(this.metrics[metric.field], latest[metric.field], prior[metric.field]);
             }
 
-            // Get fund details to also set vehicle filter
-            const funds = getFunds();
-            const selectedFund = funds.find(f => f.id === fundId);
+            changes[metric.field] = change
+                ? {
+                    value: metric.isRate ? change.changePoints : change.changePercent,
+                    tooltip: `${option.label} (${formatMonth(comparisonPoint.date)}): ` +
+                        `${formatValue(change.prior, metric.formatType)}, ` +
+                        `change ${formatDelta(change.delta, metric.formatType)}`,
+                    unavailableText: null
+                }
+                : {
+                    value: null,
+                    tooltip: null,
+                    unavailableText: isWindowedAmount
+                        ? 'No comparison available for amounts inside a date range'
+                        : `No ${periodLabel} comparison available`
+                };
+        });
+        return changes;
+    }
 
-            if (selectedFund) {
-                this.isLoading = true;
+    /**
+     * Handle a new comparison period; the choice is kept per user
+     */
+    handleComparisonChange(event) {
+        this.comparisonPeriod = event.detail.value;
+        savePreferences({ comparisonPeriod: this.comparisonPeriod });
+    }
 
-                // Update both filters
-                this.currentVehicleId = selectedFund.vehicleId;
-                this.currentFundId = fundId;
+    /**
+     * Surface a provider error to the user
+     */
+    handleDataError(error) {
+        console.error('Dashboard data error:', error);
+        this.errorMessage = error && error.body
+            ? error.body.message
+            : 'Unable to load portfolio data. Please refresh the page.';
+    }
 
-                this.pendingTimeout = setTimeout(() => {
-                    this.loadDashboardData();
+    /**
+     * Handle filter change from lpFilterBar
+     */
+    handleFilterChange(event) {
+        const { vehicleId, fundId, dateRange } = event.detail;
 
-                    // Update filter bar UI to reflect new selection
-                    const filterBar = this.template.querySelector('c-lp-filter-bar');
-                    if (filterBar) {
-                        filterBar.setFilters(this.currentVehicleId, this.currentFundId);
-                    }
+        // Update filter state
+        this.currentVehicleId = vehicleId;
+        this.currentFundId = fundId;
+        this.currentDateRange = dateRange || this.currentDateRange;
 
-                    this.isLoading = false;
-                    this.pendingTimeout = null;
-                }, 100);
-            }
+        this.loadDashboardData();
+    }
+
+    /**
+     * Current filters, for the saved views menu
+     */
+    get currentFilterState() {
+        return {
+            vehicleId: this.currentVehicleId,
+            fundId: this.currentFundId,
+            dateRange: this.currentDateRange
+        };
+    }
+
+    /**
+     * Handle a saved view being applied from lpSavedViews
+     * The filter bar applies it and fires filterchange, which reloads the data
+     */
+    handleViewSelect(event) {
+        const { vehicleId, fundId, dateRange } = event.detail;
+        const filterBar = this.template.querySelector('c-lp-filter-bar');
+        if (filterBar) {
+            filterBar.setFilters(vehicleId, fundId, dateRange);
         }
     }
 
+    /**
+     * Handle a range button (1Y/3Y/5Y/ITD) on lpPerformanceChart
+     * The filter bar takes the new date range and fires filterchange, which reloads the data
+     */
+    handleChartRangeChange(event) {
+        const filterBar = this.template.querySelector('c-lp-filter-bar');
+        if (filterBar) {
+            filterBar.setFilters(this.currentVehicleId, this.currentFundId, event.detail.dateRange);
+        }
+    }
+
+    /**
+     * Handle segment click from donut chart
+     * Vehicle, fund and company segments drill down inside the chart. A strategy, sector,
+     * geography or vintage segment sets the fund filter to the funds in it; the filter bar
+     * fires filterchange, which reloads the data.
+     */
+    handleAllocationClick(event) {
+        const { dimension, fundIds } = event.detail;
+        const filterBar = this.template.querySelector('c-lp-filter-bar');
+        if (!filterBar || DRILL_DOWN_DIMENSIONS.includes(dimension) || fundIds.length === 0) {
+            return;
+        }
+        filterBar.setFilters(this.currentVehicleId, fundIds.length === 1 ? fundIds[0] : fundIds);
+    }
+
     /**
      * Handle "View Reports" button click
      * Opens modal with tabular data
@@ -145,10 +463,11 @@ export default class LpPortalDashboard extends LightningElement {
             // Pass current metrics and filter state to modal
             const filterState = {
                 vehicleId: this.currentVehicleId,
-                fundId: this.currentFundId
+                fundId: this.currentFundId,
+                dateRange: this.currentDateRange
             };
 
-            modal.open(this.metrics, filterState);
+            modal.open(this.reportMetrics, filterState);
         }
     }
 
@@ -160,34 +479,57 @@ export default class LpPortalDashboard extends LightningElement {
         // Could add analytics tracking here
     }
 
+    /**
+     * Current filters resolved to names, period, as-of date, source and currency (see lpFilterContext)
+     * Until the vehicle and fund lists load, selected Ids are counted rather than reported as missing
+     */
+    get filterContext() {
+        return resolveFilterContext(this.currentFilterState, {
+            vehicles: this.areFilterOptionsLoaded ? this.vehicles : null,
+            funds: this.areFilterOptionsLoaded ? this.funds : null,
+            providerType: this.providerType
+        });
+    }
+
     /**
      * Get current filter state description for accessibility
      */
     get filterStateDescription() {
-        if (this.currentVehicleId === 'all' && this.currentFundId === 'all') {
-            return 'Showing all investments';
-        }
-
-        const vehicles = getInvestmentVehicles();
-        const funds = getFunds();
-
-        const parts = [];
+        const description = describeFilterContext(this.filterContext);
+        return description ? `Showing ${description}` : 'Showing all investments';
+    }
 
-        if (this.currentVehicleId !== 'all') {
-            const vehicle = vehicles.find(v => v.id === this.currentVehicleId);
-            if (vehicle) {
-                parts.push(`Vehicle: ${vehicle.name}`);
-            }
-        }
+    /**
+     * Filter context printed above exported reports (see lpExporter)
+     */
+    get exportContext() {
+        return getExportContext(this.filterContext);
+    }
 
-        if (this.currentFundId !== 'all') {
-            const fund = funds.find(f => f.id === this.currentFundId);
-            if (fund) {
-                parts.push(`Fund: ${fund.name}`);
+    /**
+     * Export context of the J-curve, which always runs from inception
+     */
+    get cashFlowExportContext() {
+        return getExportContext(resolveFilterContext(
+            { ...this.currentFilterState, dateRange: resolveDateRange(PRESET_ITD) },
+            {
+                vehicles: this.areFilterOptionsLoaded ? this.vehicles : null,
+                funds: this.areFilterOptionsLoaded ? this.funds : null,
+                providerType: this.providerType
             }
-        }
+        ));
+    }
 
-        return `Showing ${parts.join(', ')}`;
+    /**
+     * Handle a bar click on lpJCurveChart: open the capital calls or distributions of that quarter
+     * The route keeps the vehicle and fund filters and carries the quarter as the date range (see lpRouter)
+     */
+    handleCashFlowDrillDown(event) {
+        const { type, startDate, endDate } = event.detail;
+        navigate({
+            view: type === 'call' ? 'capital-calls' : 'distributions',
+            dateRange: resolveDateRange(PRESET_CUSTOM, startDate, endDate)
+        });
     }
 
     /**
@@ -196,17 +538,19 @@ export default class LpPortalDashboard extends LightningElement {
     resetFilters() {
         this.currentVehicleId = 'all';
         this.currentFundId = 'all';
+        this.currentDateRange = resolveDateRange(PRESET_ITD);
         this.loadDashboardData();
 
         // Update filter bar UI
         const filterBar = this.template.querySelector('c-lp-filter-bar');
         if (filterBar) {
-            filterBar.setFilters('all', 'all');
+            filterBar.setFilters('all', 'all', this.currentDateRange);
         }
     }
 
     /**
      * Public API method to apply specific filter
+     * vehicleId and fundId take 'all', an Id or an array of Ids
      */
     applyFilter(vehicleId, fundId) {
         this.currentVehicleId = vehicleId || 'all';
@@ -222,15 +566,11 @@ export default class LpPortalDashboard extends LightningElement {
 
     /**
      * Public API method to refresh dashboard data
-     * Useful when data source updates (future API integration)
+     * Reloads filter options and data from the selected provider
      */
     refreshData() {
-        this.isLoading = true;
-
-        setTimeout(() => {
-            this.loadDashboardData();
-            this.isLoading = false;
-        }, 500);
+        this.loadFilterOptions();
+        this.loadDashboardData();
     }
 
     /**
@@ -0,0 +1,84 @@
+import { loadPreferences, getPreferences, savePreferences, resetPreferences } from 'c/lpPreferenceStore';
+import { getDataProvider } from 'c/lpDataProvider';
+
+const STORAGE_KEY = 'fundpanel.lpPortal.preferences';
+
+// Server saves stay pending until the test resolves them
+const provider = getDataProvider('static');
+const serverSaves = [];
+
+// Saves chain a few promises; let them all settle
+function flushPromises() {
+    return Array.from({ length: 10 }).reduce(promise => promise.then(() => null), Promise.resolve());
+}
+
+// Finish pending server saves, and the follow-up saves they start
+async function settleServerSaves() {
+    if (serverSaves.length === 0) {
+        return;
+    }
+    serverSaves.shift().resolve(null);
+    await flushPromises();
+    await settleServerSaves();
+}
+
+describe('c-lp-preference-store', () => {
+    beforeAll(async () => {
+        provider.getUserPreferences = jest.fn(() => Promise.resolve(null));
+        provider.saveUserPreferences = jest.fn(preferences => new Promise(resolve => {
+            serverSaves.push({ preferences, resolve });
+        }));
+        await loadPreferences('static');
+    });
+
+    afterEach(async () => {
+        // Tests start with no save running
+        await settleServerSaves();
+        provider.saveUserPreferences.mockClear();
+    });
+
+    it('writes the local copy at once', () => {
+        savePreferences({ fundId: 'fund1' });
+
+        expect(getPreferences().fundId).toBe('fund1');
+        expect(JSON.parse(window.localStorage.getItem(STORAGE_KEY)).fundId).toBe('fund1');
+    });
+
+    it('sends changes made in the same task as one save', async () => {
+        savePreferences({ fundId: 'fund1' });
+        savePreferences({ vehicleId: 'vehicle1' });
+        await flushPromises();
+
+        expect(provider.saveUserPreferences).toHaveBeenCalledTimes(1);
+        expect(serverSaves[0].preferences).toEqual(expect.objectContaining({ fundId: 'fund1', vehicleId: 'vehicle1' }));
+    });
+
+    it('waits for a running save and then sends only the latest preferences', async () => {
+        const firstSaved = savePreferences({ fundId: 'fund1' });
+        await flushPromises();
+        savePreferences({ fundId: 'fund2' });
+        await flushPromises();
+        savePreferences({ fundId: 'fund3' });
+        await flushPromises();
+
+        expect(provider.saveUserPreferences).toHaveBeenCalledTimes(1);
+
+        serverSaves.shift().resolve(null);
+        await expect(firstSaved).resolves.toBeNull();
+        await flushPromises();
+
+        expect(provider.saveUserPreferences).toHaveBeenCalledTimes(2);
+        expect(serverSaves[0].preferences.fundId).toBe('fund3');
+    });
+
+    it('resets to defaults locally and on the server', async () => {
+        savePreferences({ fundId: 'fund1' });
+        const preferences = resetPreferences();
+        await flushPromises();
+
+        expect(preferences.fundId).toBe('all');
+        expect(window.localStorage.getItem(STORAGE_KEY)).toBeNull();
+        expect(provider.saveUserPreferences).toHaveBeenCalledTimes(1);
+        expect(serverSaves[0].preferences).toBeNull();
+    });
+});
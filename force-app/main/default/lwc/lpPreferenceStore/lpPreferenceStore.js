@@ -0,0 +1,240 @@
+/**
+ * lpPreferenceStore
+ * @Description: Per-user portal preferences for FundPanel LP Portal
+ *
+ * Preferences are saved on the User record through the data provider and mirrored
+ * to localStorage, so they are available at once on the next visit and still work
+ * when the server can't be reached.
+ *
+ * Preferences interface:
+ * - vehicleId: string | Array<string> (last lpFilterBar vehicles, 'all' by default)
+ * - fundId: string | Array<string> (last lpFilterBar funds, 'all' by default)
+ * - datePreset: string (last lpFilterBar date range preset, see lpDateRange; 'itd' by default)
+ * - startDate / endDate: string (dates of a custom date range, YYYY-MM-DD; empty by default)
+ * - defaultViewId: string (saved filter view applied instead of the last filters, see lpSavedViews; empty by default)
+ * - sidebarCollapsed: boolean (lpNavigation sidebar state)
+ * - landingView: string (lpNavigation view shown when the portal opens without a route)
+ * - hiddenSeries: Array<string> (lpPerformanceChart series the user turned off)
+ * - comparisonPeriod: string (period lpPortalDashboard compares the metric cards with, see lpMetricsEngine)
+ * - benchmarkId: string (benchmark drawn over lpPerformanceChart and used for PME; empty for none)
+ * - allocationDimension: string (what lpDonutChart slices by: fund, vehicle, strategy, sector, geography or vintage)
+ * - allocationBasis: string (whether lpDonutChart shows 'commitment' or 'nav')
+ *
+ * Local copies are written at once. Server saves run one at a time and send only the
+ * latest preferences: changes made in the same task, or while a save is running, are
+ * sent together afterwards, so quick filter clicks and toggles can't land out of order.
+ *
+ * loadPreferences() must run once per session (lpNavigation does it on connect);
+ * until then getPreferences() returns the local copy. Components that show a
+ * preference subscribe() to follow a reset to defaults.
+ */
+
+import { getDataProvider } from 'c/lpDataProvider';
+
+const STORAGE_KEY = 'fundpanel.lpPortal.preferences';
+
+const DEFAULT_PREFERENCES = {
+    vehicleId: 'all',
+    fundId: 'all',
+    datePreset: 'itd',
+    startDate: '',
+    endDate: '',
+    defaultViewId: '',
+    sidebarCollapsed: false,
+    landingView: 'overview',
+    hiddenSeries: [],
+    comparisonPeriod: 'prior-quarter',
+    benchmarkId: '',
+    allocationDimension: 'fund',
+    allocationBasis: 'commitment'
+};
+
+let cachedPreferences = null;
+let activeProvider = null;
+let loadPromise = null;
+let loadedProviderType = null;
+const listeners = new Set();
+
+// Server save waiting to be sent (null resets the user), and callers waiting for it
+let hasPendingSave = false;
+let pendingSave = null;
+let pendingSaveCallbacks = [];
+let isSaving = false;
+
+// Filter preferences hold 'all', one Id or an array of Ids
+const FILTER_KEYS = ['vehicleId', 'fundId'];
+
+/**
+ * Known preference keys from a saved object, with defaults for anything missing or invalid
+ */
+function normalizePreferences(saved) {
+    const preferences = getDefaultPreferences();
+    if (!saved || typeof saved !== 'object') {
+        return preferences;
+    }
+    Object.keys(DEFAULT_PREFERENCES).forEach(key => {
+        const value = saved[key];
+        if (FILTER_KEYS.includes(key) && Array.isArray(value)) {
+            const ids = value.filter(item => typeof item === 'string' && item);
+            if (ids.length > 0) {
+                preferences[key] = ids.length === 1 ? ids[0] : ids;
+            }
+        } else if (Array.isArray(DEFAULT_PREFERENCES[key])) {
+            if (Array.isArray(value)) {
+                preferences[key] = value.filter(item => typeof item === 'string');
+            }
+        } else if (typeof value === typeof DEFAULT_PREFERENCES[key] && value !== '') {
+            preferences[key] = value;
+        }
+    });
+    return preferences;
+}
+
+function readLocalPreferences() {
+    try {
+        const stored = window.localStorage.getItem(STORAGE_KEY);
+        return stored ? JSON.parse(stored) : null;
+    } catch (error) {
+        console.warn('Ignoring unreadable local preferences:', error);
+        return null;
+    }
+}
+
+function writeLocalPreferences(preferences) {
+    try {
+        if (preferences) {
+            window.localStorage.setItem(STORAGE_KEY, JSON.stringify(preferences));
+        } else {
+            window.localStorage.removeItem(STORAGE_KEY);
+        }
+    } catch (error) {
+        // Storage can be disabled (e.g. private browsing); the server copy still applies
+        console.warn('Unable to store preferences locally:', error);
+    }
+}
+
+function saveToServer(preferences) {
+    if (!activeProvider) {
+        return Promise.resolve(null);
+    }
+    return activeProvider.saveUserPreferences(preferences).catch(error => {
+        console.error('Unable to save preferences:', error);
+        return null;
+    });
+}
+
+/**
+ * Save the latest pending preferences, unless a save is still running;
+ * that save sends them when it finishes
+ */
+function flushServerSave() {
+    if (isSaving || !hasPendingSave) {
+        return;
+    }
+
+    const preferences = pendingSave;
+    const callbacks = pendingSaveCallbacks;
+    hasPendingSave = false;
+    pendingSave = null;
+    pendingSaveCallbacks = [];
+    isSaving = true;
+
+    saveToServer(preferences).then(() => {
+        isSaving = false;
+        callbacks.forEach(callback => callback(null));
+        flushServerSave();
+    });
+}
+
+/**
+ * Queue a server save once the current task has made all its changes
+ * @param {Object} preferences - Preferences to save, or null to reset
+ * @returns {Promise<null>} Resolves when these preferences (or later ones) are saved
+ */
+function scheduleServerSave(preferences) {
+    hasPendingSave = true;
+    pendingSave = preferences;
+    const saved = new Promise(resolve => {
+        pendingSaveCallbacks.push(resolve);
+    });
+    Promise.resolve().then(flushServerSave);
+    return saved;
+}
+
+/**
+ * Default preferences for a new user
+ */
+export function getDefaultPreferences() {
+    return { ...DEFAULT_PREFERENCES, hiddenSeries: [] };
+}
+
+/**
+ * Load the user's preferences, once per session and provider.
+ * The server copy wins; the local copy is used when the user has none saved
+ * on the server yet or the server can't be reached.
+ *
+ * @param {string} providerType - 'apex' or 'static', see lpDataProvider
+ * @returns {Promise<Object>} Preferences
+ */
+export function loadPreferences(providerType) {
+    if (!loadPromise || providerType !== loadedProviderType) {
+        loadedProviderType = providerType;
+        activeProvider = getDataProvider(providerType);
+        loadPromise = activeProvider.getUserPreferences()
+            .catch(error => {
+                console.error('Unable to load preferences, using local copy:', error);
+                return null;
+            })
+            .then(saved => {
+                cachedPreferences = normalizePreferences(saved || readLocalPreferences());
+                writeLocalPreferences(cachedPreferences);
+                return { ...cachedPreferences };
+            });
+    }
+    return loadPromise;
+}
+
+/**
+ * Current preferences, without waiting for the server
+ */
+export function getPreferences() {
+    return { ...(cachedPreferences || normalizePreferences(readLocalPreferences())) };
+}
+
+/**
+ * Merge changes into the preferences, save them locally and queue the server save
+ *
+ * @param {Object} changes - Preference keys to change
+ * @returns {Promise<null>} Resolves when the server save finishes; failures are logged, not thrown
+ */
+export function savePreferences(changes) {
+    cachedPreferences = normalizePreferences({ ...getPreferences(), ...changes });
+    writeLocalPreferences(cachedPreferences);
+    return scheduleServerSave(cachedPreferences);
+}
+
+/**
+ * Reset every preference to its default, locally and on the server
+ *
+ * @returns {Object} Default preferences
+ */
+export function resetPreferences() {
+    cachedPreferences = getDefaultPreferences();
+    writeLocalPreferences(null);
+    scheduleServerSave(null);
+    listeners.forEach(listener => listener(getDefaultPreferences()));
+    return getDefaultPreferences();
+}
+
+/**
+ * Listen for preferences being reset to defaults
+ *
+ * @param {Function} listener - Called with the default preferences
+ * @returns {Function} Unsubscribe function
+ */
+export function subscribe(listener) {
+    listeners.add(listener);
+    return () => {
+        listeners.delete(listener);
+    };
+}
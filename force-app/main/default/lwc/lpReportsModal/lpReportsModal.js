@@ -4,25 +4,117 @@
  * @date: 27th January 2026
  * @Description: Modal component for displaying portfolio metrics in tabular format
  *
- * Displays the 5 key metrics in a clean table suitable for screenshots and record-keeping:
+ * Displays the key metrics in a clean table suitable for screenshots and record-keeping:
  * - Total Commitments
  * - Total Called
  * - Total Distributions
  * - Estimated Value
  * - Estimated TVPI
+ * - Net IRR, DPI, RVPI and MOIC (from lpMetricsEngine)
+ * - Kaplan-Schoar PME and Long-Nickels PME IRR against the benchmark picked on the performance chart
+ *
+ * Below the metrics, a fund breakdown lists one row per fund grouped by investment vehicle, with
+ * vehicle subtotals and a grand total. Its columns can be sorted and hidden, and the grand total
+ * is checked against the metrics so both tables always tell the same story.
  *
  * Props:
- * - metrics: Object with { totalCommitments, totalCalled, totalDistributions, estimatedValue, estimatedTVPI }
- * - filterState: Object with { vehicleId, fundId } to show filter context
+ * - providerType: 'apex' (live) or 'static' (demo), see lpDataProvider
+ * - metrics: Object with { totalCommitments, totalCalled, totalDistributions, estimatedValue, estimatedTVPI,
+ *   netIRR, dpi, rvpi, moic }, plus { benchmarkName, ksPme, lnPme } when a benchmark is selected
+ * - filterState: Object with { vehicleId, fundId, dateRange } the breakdown is loaded for
+ * - filterContext: FilterContext from lpFilterContext, describing those filters by name in the modal and exports
+ *
+ * Both tables can be exported as CSV, Excel or a branded PDF (see lpExporter).
  */
 
 import { LightningElement, api, track } from 'lwc';
-import { formatCurrency, formatTVPI } from 'c/lpStaticDataService';
+import { getDataProvider } from 'c/lpDataProvider';
+import { formatCurrency, formatPercentage, formatTVPI } from 'c/lpStaticDataService';
+import { describeFilterContext, getExportContext } from 'c/lpFilterContext';
+import { exportReport } from 'c/lpExporter';
+
+// Report rows in display order; type as in lpExporter
+const REPORT_METRICS = [
+    { key: 'total-commitments', name: 'Total Commitments', field: 'totalCommitments', type: 'currency' },
+    { key: 'total-called', name: 'Total Called', field: 'totalCalled', type: 'currency' },
+    { key: 'total-distributions', name: 'Total Distributions', field: 'totalDistributions', type: 'currency' },
+    { key: 'estimated-value', name: 'Estimated Value', field: 'estimatedValue', type: 'currency' },
+    { key: 'estimated-tvpi', name: 'Estimated TVPI', field: 'estimatedTVPI', type: 'ratio' },
+    { key: 'net-irr', name: 'Net IRR', field: 'netIRR', type: 'percent' },
+    { key: 'dpi', name: 'DPI', field: 'dpi', type: 'ratio' },
+    { key: 'rvpi', name: 'RVPI', field: 'rvpi', type: 'ratio' },
+    { key: 'moic', name: 'MOIC', field: 'moic', type: 'ratio' },
+    { key: 'ks-pme', name: 'Kaplan-Schoar PME', field: 'ksPme', type: 'ratio', isBenchmark: true },
+    { key: 'ln-pme', name: 'Long-Nickels PME IRR', field: 'lnPme', type: 'percent', isBenchmark: true }
+];
+
+// Fund breakdown amount columns, in display order; each can be hidden
+const BREAKDOWN_COLUMNS = [
+    { key: 'totalCommitments', label: 'Commitments', type: 'currency' },
+    { key: 'totalCalled', label: 'Called', type: 'currency' },
+    { key: 'totalDistributions', label: 'Distributions', type: 'currency' },
+    { key: 'estimatedValue', label: 'Estimated Value', type: 'currency' },
+    { key: 'estimatedTVPI', label: 'TVPI', type: 'ratio' }
+];
+
+// Amounts summed into subtotals; TVPI is rolled up from the to-date amounts instead
+const SUMMED_FIELDS = [
+    'totalCommitments', 'totalCalled', 'totalDistributions', 'estimatedValue', 'calledToDate', 'distributedToDate'
+];
+
+// Largest difference, in dollars, still treated as rounding when reconciling with the metrics;
+// amounts are in cents, so this only absorbs floating point error
+const RECONCILE_TOLERANCE = 0.005;
+
+function formatMetric(value, type, isBenchmark) {
+    if (type === 'percent' || isBenchmark) {
+        // IRR is null when the cash flows have no solution, PME when the index does not cover them
+        if (value === null || value === undefined) {
+            return 'N/A';
+        }
+        return type === 'percent' ? formatPercentage(value) : formatTVPI(value);
+    }
+    return type === 'currency' ? formatCurrency(value || 0) : formatTVPI(value || 0);
+}
+
+/**
+ * Sum of the amount fields over a list of breakdown rows, with TVPI as of the same date
+ */
+function sumRows(rows) {
+    const totals = {};
+    SUMMED_FIELDS.forEach(field => {
+        totals[field] = rows.reduce((sum, row) => sum + (row[field] || 0), 0);
+    });
+    totals.estimatedTVPI = totals.calledToDate > 0
+        ? Math.round(((totals.distributedToDate + totals.estimatedValue) / totals.calledToDate) * 100) / 100
+        : 0;
+    return totals;
+}
 
 export default class LpReportsModal extends LightningElement {
     @track isOpen = false;
+    @api providerType = 'apex'; // Data source for the fund breakdown
     @api metrics = {}; // Portfolio metrics object
     @api filterState = { vehicleId: 'all', fundId: 'all' }; // Current filter state
+    @api filterContext = null; // Filter names, period, as-of date, source and currency
+
+    // Fund breakdown, one row per vehicle and fund
+    @track breakdown = [];
+    @track isBreakdownLoading = false;
+    @track breakdownError = '';
+    @track hiddenColumns = [];
+    @track sortKey = 'fundName';
+    @track sortDirection = 'asc';
+
+    // Id of the latest breakdown request; responses from older requests are dropped
+    latestRequestId = 0;
+
+    /**
+     * Provider selected through the providerType property
+     */
+    get provider() {
+        return getDataProvider(this.providerType);
+    }
 
     /**
      * Metrics data formatted for table display
@@ -32,62 +124,315 @@ export default class LpReportsModal extends LightningElement {
             return [];
         }
 
-        return [
-            {
-                key: 'total-commitments',
-                name: 'Total Commitments',
-                value: formatCurrency(this.metrics.totalCommitments || 0)
-            },
-            {
-                key: 'total-called',
-                name: 'Total Called',
-                value: formatCurrency(this.metrics.totalCalled || 0)
-            },
-            {
-                key: 'total-distributions',
-                name: 'Total Distributions',
-                value: formatCurrency(this.metrics.totalDistributions || 0)
-            },
-            {
-                key: 'estimated-value',
-                name: 'Estimated Value',
-                value: formatCurrency(this.metrics.estimatedValue || 0)
-            },
-            {
-                key: 'estimated-tvpi',
-                name: 'Estimated TVPI',
-                value: formatTVPI(this.metrics.estimatedTVPI || 0)
-            }
-        ];
+        return this.reportMetrics.map(metric => ({
+            key: metric.key,
+            name: metric.name,
+            value: formatMetric(this.metrics[metric.field], metric.type, metric.isBenchmark)
+        }));
+    }
+
+    /**
+     * Report rows; the PME rows need a benchmark and name it
+     */
+    get reportMetrics() {
+        const benchmarkName = this.metrics ? this.metrics.benchmarkName : null;
+        return REPORT_METRICS
+            .filter(metric => !metric.isBenchmark || benchmarkName)
+            .map(metric => (metric.isBenchmark ? { ...metric, name: `${metric.name} vs ${benchmarkName}` } : metric));
+    }
+
+    get hasBenchmark() {
+        return !!(this.metrics && this.metrics.benchmarkName);
     }
 
     /**
      * Check if any filters are active
      */
     get hasActiveFilters() {
-        return this.filterState &&
-               (this.filterState.vehicleId !== 'all' || this.filterState.fundId !== 'all');
+        return !!this.filterContext && this.filterContext.isFiltered;
     }
 
     /**
      * Filter description text
      */
     get filterDescription() {
-        if (!this.hasActiveFilters) {
-            return '';
+        return describeFilterContext(this.filterContext);
+    }
+
+    /**
+     * Selected vehicles or funds that no longer exist or are no longer shared
+     */
+    get filterWarnings() {
+        return this.filterContext ? this.filterContext.warnings.join(' ') : '';
+    }
+
+    /**
+     * As-of date, source and currency of the figures
+     */
+    get dataContextText() {
+        const context = this.filterContext;
+        return context ? `As of ${context.asOfLabel} · ${context.source} · ${context.currency}` : '';
+    }
+
+    get exportContext() {
+        return getExportContext(this.filterContext);
+    }
+
+    /**
+     * Load the fund breakdown for the filters the modal was opened with
+     */
+    async loadBreakdown() {
+        const requestId = ++this.latestRequestId;
+        const { vehicleId = 'all', fundId = 'all', dateRange = null } = this.filterState || {};
+
+        this.isBreakdownLoading = true;
+
+        try {
+            const breakdown = await this.provider.getFundBreakdown(vehicleId, fundId, dateRange);
+            if (requestId === this.latestRequestId) {
+                this.breakdown = breakdown || [];
+                this.breakdownError = '';
+            }
+        } catch (error) {
+            if (requestId === this.latestRequestId) {
+                console.error('Fund breakdown error:', error);
+                this.breakdown = [];
+                this.breakdownError = error && error.body
+                    ? error.body.message
+                    : 'Unable to load the fund breakdown.';
+            }
+        } finally {
+            if (requestId === this.latestRequestId) {
+                this.isBreakdownLoading = false;
+            }
+        }
+    }
+
+    get hasBreakdown() {
+        return !this.isBreakdownLoading && !this.breakdownError && this.breakdown.length > 0;
+    }
+
+    get showBreakdownEmpty() {
+        return !this.isBreakdownLoading && !this.breakdownError && this.breakdown.length === 0;
+    }
+
+    /**
+     * Amount columns that are not hidden
+     */
+    get visibleColumns() {
+        return BREAKDOWN_COLUMNS.filter(column => !this.hiddenColumns.includes(column.key));
+    }
+
+    /**
+     * Checkboxes for showing and hiding columns
+     */
+    get columnToggles() {
+        return BREAKDOWN_COLUMNS.map(column => ({
+            key: column.key,
+            label: column.label,
+            checked: !this.hiddenColumns.includes(column.key)
+        }));
+    }
+
+    /**
+     * Header cells: the fund name followed by the visible amount columns
+     */
+    get breakdownHeaders() {
+        const directionLabel = this.sortDirection === 'asc' ? 'ascending' : 'descending';
+
+        return [{ key: 'fundName', label: 'Fund', type: 'text' }, ...this.visibleColumns].map(column => {
+            const isSorted = column.key === this.sortKey;
+            return {
+                key: column.key,
+                label: column.label,
+                headerClass: `table-header${column.type === 'text' ? '' : ' table-number'}`,
+                ariaSort: isSorted ? directionLabel : 'none',
+                sortIcon: isSorted ? (this.sortDirection === 'asc' ? '▲' : '▼') : '',
+                sortAriaLabel: `Sort by ${column.label}`
+            };
+        });
+    }
+
+    get breakdownColspan() {
+        return this.visibleColumns.length + 1;
+    }
+
+    /**
+     * Rows grouped by vehicle with subtotals, each group sorted by the sort column
+     * Groups are ordered by vehicle name, or by their subtotal when sorting on an amount
+     */
+    get sortedGroups() {
+        const direction = this.sortDirection === 'asc' ? 1 : -1;
+        const byName = (a, b) => (a.fundName || '').localeCompare(b.fundName || '');
+        const compare = this.sortKey === 'fundName'
+            ? byName
+            : (a, b) => (a[this.sortKey] || 0) - (b[this.sortKey] || 0);
+
+        const groups = new Map();
+        this.breakdown.forEach(row => {
+            const key = row.vehicleId || 'none';
+            if (!groups.has(key)) {
+                groups.set(key, { key, name: row.vehicleName || 'No Investment Vehicle', rows: [] });
+            }
+            groups.get(key).rows.push(row);
+        });
+
+        return Array.from(groups.values())
+            .map(group => ({
+                ...group,
+                rows: [...group.rows].sort((a, b) => direction * compare(a, b) || byName(a, b)),
+                subtotal: sumRows(group.rows)
+            }))
+            .sort((a, b) => {
+                const order = this.sortKey === 'fundName' ? 0 : direction * compare(a.subtotal, b.subtotal);
+                return order || direction * a.name.localeCompare(b.name);
+            });
+    }
+
+    /**
+     * Sorted groups formatted for the table
+     */
+    get breakdownGroups() {
+        return this.sortedGroups.map(group => ({
+            key: group.key,
+            name: group.name,
+            rows: group.rows.map(row => ({
+                key: `${group.key}-${row.fundId}`,
+                name: row.fundName,
+                cells: this.formatCells(row)
+            })),
+            subtotalLabel: `${group.name} Subtotal`,
+            subtotalCells: this.formatCells(group.subtotal)
+        }));
+    }
+
+    get grandTotal() {
+        return sumRows(this.breakdown);
+    }
+
+    get grandTotalCells() {
+        return this.formatCells(this.grandTotal);
+    }
+
+    /**
+     * Formatted values of the visible columns for one row
+     */
+    formatCells(row) {
+        return this.visibleColumns.map(column => ({
+            key: column.key,
+            value: formatMetric(row[column.key], column.type)
+        }));
+    }
+
+    /**
+     * Whether the grand total matches the portfolio metrics, amount by amount
+     */
+    get isReconciled() {
+        const metrics = this.metrics || {};
+        const total = this.grandTotal;
+
+        return BREAKDOWN_COLUMNS
+            .filter(column => column.type === 'currency')
+            .every(column => Math.abs((metrics[column.key] || 0) - total[column.key]) <= RECONCILE_TOLERANCE);
+    }
+
+    get reconciliationMessage() {
+        return this.isReconciled
+            ? 'Fund totals reconcile with the portfolio metrics above.'
+            : 'Fund totals differ from the portfolio metrics above. Refresh the portal to load the latest data.';
+    }
+
+    get reconciliationClass() {
+        return `reconciliation${this.isReconciled ? '' : ' reconciliation-warning'}`;
+    }
+
+    handleBreakdownSort(event) {
+        const key = event.currentTarget.dataset.key;
+        if (key === this.sortKey) {
+            this.sortDirection = this.sortDirection === 'asc' ? 'desc' : 'asc';
+        } else {
+            this.sortKey = key;
+            this.sortDirection = key === 'fundName' ? 'asc' : 'desc';
         }
+    }
 
-        const parts = [];
+    handleColumnToggle(event) {
+        const key = event.target.dataset.key;
+        this.hiddenColumns = event.target.checked
+            ? this.hiddenColumns.filter(hidden => hidden !== key)
+            : [...this.hiddenColumns, key];
 
-        if (this.filterState.vehicleId !== 'all') {
-            parts.push(`Investment Vehicle: ${this.filterState.vehicleId}`);
+        // Sorting follows the table; fall back to the fund name when its column is hidden
+        if (this.hiddenColumns.includes(this.sortKey)) {
+            this.sortKey = 'fundName';
+            this.sortDirection = 'asc';
         }
+    }
 
-        if (this.filterState.fundId !== 'all') {
-            parts.push(`Fund: ${this.filterState.fundId}`);
+    /**
+     * Export the fund breakdown as shown: visible columns, current order, subtotals and total
+     */
+    handleBreakdownExport(event) {
+        const toCells = row => {
+            const cells = {};
+            this.visibleColumns.forEach(column => {
+                cells[column.key] = row[column.key] || 0;
+            });
+            return cells;
+        };
+        const rows = [];
+
+        this.sortedGroups.forEach(group => {
+            group.rows.forEach(row => {
+                rows.push({ vehicle: group.name, fund: row.fundName, ...toCells(row) });
+            });
+            rows.push({ vehicle: `${group.name} Subtotal`, fund: '', ...toCells(group.subtotal) });
+        });
+        rows.push({ vehicle: 'Total', fund: '', ...toCells(this.grandTotal) });
+
+        try {
+            exportReport({
+                title: 'Fund Breakdown',
+                fileName: 'fund-breakdown',
+                context: this.exportContext,
+                columns: [
+                    { key: 'vehicle', label: 'Investment Vehicle' },
+                    { key: 'fund', label: 'Fund' },
+                    ...this.visibleColumns.map(column => ({ key: column.key, label: column.label, type: column.type }))
+                ],
+                rows
+            }, event.detail.format);
+        } catch (error) {
+            console.error('Unable to export the fund breakdown:', error);
         }
+    }
 
-        return parts.join(', ');
+    /**
+     * Export the metrics table in the chosen format
+     */
+    handleExport(event) {
+        const metrics = this.metrics || {};
+        try {
+            exportReport({
+                title: 'Portfolio Metrics Report',
+                fileName: 'portfolio-metrics',
+                context: this.exportContext,
+                columns: [
+                    { key: 'name', label: 'Metric' },
+                    { key: 'value', label: 'Value' }
+                ],
+                rows: this.reportMetrics.map(metric => ({
+                    name: metric.name,
+                    value: {
+                        // Missing amounts are zero, as in the table; a missing IRR or PME stays blank
+                        value: metric.type === 'percent' || metric.isBenchmark ? metrics[metric.field] : metrics[metric.field] || 0,
+                        type: metric.type
+                    }
+                }))
+            }, event.detail.format);
+        } catch (error) {
+            console.error('Unable to export the metrics report:', error);
+        }
     }
 
     /**
@@ -104,6 +449,7 @@ export default class LpReportsModal extends LightningElement {
         }
 
         this.isOpen = true;
+        this.loadBreakdown();
 
         // Set focus to modal after animation
         setTimeout(() => {
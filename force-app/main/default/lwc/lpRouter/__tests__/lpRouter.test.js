@@ -0,0 +1,127 @@
+import { getRoute, hasRoute, buildRouteUrl, navigate, subscribe } from 'c/lpRouter';
+
+function setSearch(search) {
+    window.history.replaceState(null, '', `/portal${search}`);
+}
+
+describe('c-lp-router', () => {
+    beforeEach(() => {
+        setSearch('');
+    });
+
+    describe('getRoute', () => {
+        it('defaults to the Overview with no filters', () => {
+            expect(hasRoute()).toBe(false);
+            expect(getRoute()).toEqual({
+                view: 'overview',
+                vehicleId: 'all',
+                fundId: 'all',
+                dateRange: { preset: 'itd', startDate: null, endDate: null },
+                recordId: null
+            });
+        });
+
+        it('parses the view, filters, custom range and record', () => {
+            setSearch('?view=capital-calls&vehicle=v1&fund=f1,f2&range=custom&from=2024-01-01&to=2024-03-31&id=a01');
+
+            expect(hasRoute()).toBe(true);
+            expect(getRoute()).toEqual({
+                view: 'capital-calls',
+                vehicleId: 'v1',
+                fundId: ['f1', 'f2'],
+                dateRange: { preset: 'custom', startDate: '2024-01-01', endDate: '2024-03-31' },
+                recordId: 'a01'
+            });
+        });
+
+        it('drops blank and "all" Ids from filter lists', () => {
+            setSearch('?vehicle=all&fund=,f1,%20,all');
+
+            expect(getRoute().vehicleId).toBe('all');
+            expect(getRoute().fundId).toBe('f1');
+        });
+
+        it('falls back to inception to date for an unknown range', () => {
+            setSearch('?range=someday');
+
+            expect(getRoute().dateRange).toEqual({ preset: 'itd', startDate: null, endDate: null });
+        });
+    });
+
+    describe('buildRouteUrl', () => {
+        it('leaves out default values', () => {
+            expect(buildRouteUrl({})).toBe('/portal');
+            expect(buildRouteUrl({ view: 'overview', vehicleId: 'all', fundId: ['all'] })).toBe('/portal');
+        });
+
+        it('keeps Id lists readable and custom dates in the URL', () => {
+            expect(buildRouteUrl({
+                view: 'distributions',
+                vehicleId: ['v1', 'v2'],
+                dateRange: { preset: 'custom', startDate: '2024-01-01', endDate: null },
+                recordId: 'a02'
+            })).toBe('/portal?view=distributions&vehicle=v1,v2&range=custom&from=2024-01-01&id=a02');
+        });
+
+        it('keeps presets by key only', () => {
+            expect(buildRouteUrl({ dateRange: { preset: 'ytd', startDate: '2024-01-01', endDate: null } }))
+                .toBe('/portal?range=ytd');
+        });
+
+        it('parses back to the same route', () => {
+            const route = {
+                view: 'documents',
+                vehicleId: ['v1', 'v2'],
+                fundId: 'f1',
+                dateRange: { preset: 'custom', startDate: '2023-07-01', endDate: '2023-12-31' },
+                recordId: null
+            };
+            setSearch(buildRouteUrl(route).replace('/portal', ''));
+
+            expect(getRoute()).toEqual(route);
+        });
+    });
+
+    describe('navigate', () => {
+        let unsubscribe;
+
+        afterEach(() => {
+            if (unsubscribe) {
+                unsubscribe();
+                unsubscribe = null;
+            }
+        });
+
+        it('pushes a history entry for a new view and closes the open record', () => {
+            setSearch('?view=capital-calls&fund=f1&id=a01');
+            const listener = jest.fn();
+            unsubscribe = subscribe(listener);
+            const length = window.history.length;
+
+            navigate({ view: 'distributions' });
+
+            expect(window.location.search).toBe('?view=distributions&fund=f1');
+            expect(window.history.length).toBe(length + 1);
+            expect(listener).toHaveBeenCalledWith(expect.objectContaining({ view: 'distributions', recordId: null }));
+        });
+
+        it('replaces the history entry when asked', () => {
+            const length = window.history.length;
+
+            navigate({ fundId: ['f1', 'f2'] }, { replace: true });
+
+            expect(window.location.search).toBe('?fund=f1,f2');
+            expect(window.history.length).toBe(length);
+        });
+
+        it('does nothing when the route does not change', () => {
+            setSearch('?view=documents');
+            const listener = jest.fn();
+            unsubscribe = subscribe(listener);
+
+            navigate({ view: 'documents' });
+
+            expect(listener).not.toHaveBeenCalled();
+        });
+    });
+});
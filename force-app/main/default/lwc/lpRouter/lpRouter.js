@@ -0,0 +1,186 @@
+/**
+ * lpRouter
+ * @Description: URL routing for FundPanel LP Portal
+ *
+ * The portal is a single community page, so routes live in its query string
+ * and survive refreshes, browser back/forward and shared or emailed links.
+ *
+ * Route interface:
+ * - view: string (lpNavigation menuItems/helpItems id, 'overview' when absent)
+ * - vehicleId: string | Array<string> (lpFilterBar vehicles, 'all' when absent)
+ * - fundId: string | Array<string> (lpFilterBar funds, 'all' when absent)
+ * - dateRange: Object (lpFilterBar date window, see lpDateRange; inception to date when absent)
+ * - recordId: string | null (record opened by the view, e.g. a Capital_Call__c Id)
+ *
+ * URL format: ?view=capital-calls&vehicle=<Id>,<Id>&fund=<Id>&range=custom&from=<date>&to=<date>&id=<Id>
+ * Default values are left out, so the Overview with no filters is the bare page URL.
+ * A single vehicle or fund comes back as its Id, two or more as an array of Ids.
+ *
+ * Switching views and opening records push history entries; filter changes
+ * replace the current entry so the back button steps through pages, not clicks.
+ */
+
+import { resolveDateRange, hasDateWindow, PRESET_CUSTOM } from 'c/lpDateRange';
+
+const DEFAULT_VIEW = 'overview';
+const ALL = 'all';
+
+const PARAMS = {
+    view: 'view',
+    vehicleId: 'vehicle',
+    fundId: 'fund',
+    datePreset: 'range',
+    startDate: 'from',
+    endDate: 'to',
+    recordId: 'id'
+};
+
+const listeners = new Set();
+let isListening = false;
+
+/**
+ * Filter value ('all', an Id or an array of Ids) from a comma-separated param
+ */
+function parseFilterParam(value) {
+    const ids = (value || '').split(',').map(id => id.trim()).filter(id => id && id !== ALL);
+    if (ids.length === 0) {
+        return ALL;
+    }
+    return ids.length === 1 ? ids[0] : ids;
+}
+
+function formatFilterParam(value) {
+    const ids = (Array.isArray(value) ? value : [value]).filter(id => id && id !== ALL);
+    return ids.join(',');
+}
+
+/**
+ * Route parsed from a URL search string
+ */
+function parseSearch(search) {
+    const params = new URLSearchParams(search || '');
+    return {
+        view: params.get(PARAMS.view) || DEFAULT_VIEW,
+        vehicleId: parseFilterParam(params.get(PARAMS.vehicleId)),
+        fundId: parseFilterParam(params.get(PARAMS.fundId)),
+        dateRange: resolveDateRange(
+            params.get(PARAMS.datePreset),
+            params.get(PARAMS.startDate),
+            params.get(PARAMS.endDate)
+        ),
+        recordId: params.get(PARAMS.recordId) || null
+    };
+}
+
+/**
+ * Query string for a route, leaving out default values
+ */
+function buildSearch(route) {
+    const params = new URLSearchParams();
+    if (route.view && route.view !== DEFAULT_VIEW) {
+        params.set(PARAMS.view, route.view);
+    }
+    const vehicleParam = formatFilterParam(route.vehicleId);
+    if (vehicleParam) {
+        params.set(PARAMS.vehicleId, vehicleParam);
+    }
+    const fundParam = formatFilterParam(route.fundId);
+    if (fundParam) {
+        params.set(PARAMS.fundId, fundParam);
+    }
+    // Presets are kept by key so they follow today's date; only custom ranges carry dates
+    if (hasDateWindow(route.dateRange)) {
+        params.set(PARAMS.datePreset, route.dateRange.preset);
+        if (route.dateRange.preset === PRESET_CUSTOM) {
+            if (route.dateRange.startDate) {
+                params.set(PARAMS.startDate, route.dateRange.startDate);
+            }
+            if (route.dateRange.endDate) {
+                params.set(PARAMS.endDate, route.dateRange.endDate);
+            }
+        }
+    }
+    if (route.recordId) {
+        params.set(PARAMS.recordId, route.recordId);
+    }
+    // Keep Id lists readable in shared links
+    const search = params.toString().replace(/%2C/g, ',');
+    return search ? `?${search}` : '';
+}
+
+function notifyListeners() {
+    const route = getRoute();
+    listeners.forEach(listener => {
+        try {
+            listener(route);
+        } catch (error) {
+            console.error('Route listener error:', error);
+        }
+    });
+}
+
+/**
+ * Current route from the browser location
+ */
+export function getRoute() {
+    return parseSearch(window.location.search);
+}
+
+/**
+ * Whether the URL carries any route, as opposed to the bare page URL
+ */
+export function hasRoute() {
+    const params = new URLSearchParams(window.location.search);
+    return Object.values(PARAMS).some(param => params.has(param));
+}
+
+/**
+ * URL of a route relative to the current page, e.g. for email deep links
+ */
+export function buildRouteUrl(route) {
+    return `${window.location.pathname}${buildSearch({ ...parseSearch(''), ...route })}`;
+}
+
+/**
+ * Merge changes into the current route and update the browser history.
+ * Switching views keeps the filters but closes any open record.
+ *
+ * @param {Object} changes - Route fields to change
+ * @param {Object} options - { replace: true } to replace the current history entry
+ */
+export function navigate(changes, options = {}) {
+    const current = getRoute();
+    const next = { ...current, ...changes };
+    if (changes.view && changes.view !== current.view && !('recordId' in changes)) {
+        next.recordId = null;
+    }
+
+    const url = `${window.location.pathname}${buildSearch(next)}${window.location.hash}`;
+    if (url === `${window.location.pathname}${window.location.search}${window.location.hash}`) {
+        return;
+    }
+
+    if (options.replace) {
+        window.history.replaceState(null, '', url);
+    } else {
+        window.history.pushState(null, '', url);
+    }
+    notifyListeners();
+}
+
+/**
+ * Listen for route changes, including browser back/forward
+ *
+ * @param {Function} listener - Called with the new route
+ * @returns {Function} Unsubscribe function
+ */
+export function subscribe(listener) {
+    if (!isListening) {
+        window.addEventListener('popstate', notifyListeners);
+        isListening = true;
+    }
+    listeners.add(listener);
+    return () => {
+        listeners.delete(listener);
+    };
+}
@@ -0,0 +1,328 @@
+/**
+ * lpSavedViews
+ * Saved filter views menu for the dashboard header
+ *
+ * Lists the user's own views and the IR presets (see FilterViewController), shows
+ * which one matches the current filters, and lets the user:
+ * - Apply a view
+ * - Save the current filters as a named view
+ * - Set or clear the view applied when the portal opens (defaultViewId, see lpPreferenceStore)
+ * - Delete one of their own views
+ *
+ * Props:
+ * - providerType: 'apex' or 'static', see lpDataProvider
+ * - filterState: Current filters { vehicleId, fundId, dateRange }
+ *
+ * Events:
+ * - viewselect: Fired when the user applies a view
+ *   detail: { viewId, name, vehicleId, fundId, dateRange }
+ *   dateRange is resolved against today's date (see lpDateRange), so rolling
+ *   presets such as "Last 8 Quarters" move with time.
+ */
+
+import { LightningElement, api, track } from 'lwc';
+import { getDataProvider } from 'c/lpDataProvider';
+import { getPreferences, savePreferences, subscribe } from 'c/lpPreferenceStore';
+import { resolveDateRange, hasDateWindow, PRESET_CUSTOM } from 'c/lpDateRange';
+
+// Same limit as FilterViewController
+const MAX_NAME_LENGTH = 80;
+
+/**
+ * Selected Ids of a filter value ('all', an Id or an array of Ids), sorted
+ */
+function toIdList(filter) {
+    if (Array.isArray(filter)) {
+        return filter.filter(id => id && id !== 'all').sort();
+    }
+    return !filter || filter === 'all' ? [] : [filter];
+}
+
+/**
+ * Comparable key of a filter state; views match when their keys are equal
+ * Custom ranges compare by date, presets by key
+ */
+function toFilterKey(filterState) {
+    const state = filterState || {};
+    const dateRange = state.dateRange || {};
+    const resolved = resolveDateRange(dateRange.preset, dateRange.startDate, dateRange.endDate);
+    let period = 'itd';
+    if (hasDateWindow(resolved)) {
+        period = resolved.preset === PRESET_CUSTOM ? `${resolved.startDate || ''}..${resolved.endDate || ''}` : resolved.preset;
+    }
+    return [toIdList(state.vehicleId).join(','), toIdList(state.fundId).join(','), period].join('|');
+}
+
+export default class LpSavedViews extends LightningElement {
+    @api providerType = 'apex';
+    @api filterState = {};
+
+    @track views = [];
+    @track defaultViewId = '';
+    @track isMenuOpen = false;
+    @track isSaveFormOpen = false;
+    @track newViewName = '';
+    @track errorMessage = '';
+    @track isBusy = false;
+
+    connectedCallback() {
+        this.defaultViewId = getPreferences().defaultViewId;
+        this._unsubscribePreferences = subscribe(preferences => {
+            this.defaultViewId = preferences.defaultViewId;
+        });
+
+        this._handleOutsideClick = this.handleOutsideClick.bind(this);
+        document.addEventListener('click', this._handleOutsideClick);
+
+        this.loadViews();
+    }
+
+    disconnectedCallback() {
+        if (this._unsubscribePreferences) {
+            this._unsubscribePreferences();
+        }
+        if (this._handleOutsideClick) {
+            document.removeEventListener('click', this._handleOutsideClick);
+        }
+    }
+
+    /**
+     * Provider selected through the providerType property
+     */
+    get provider() {
+        return getDataProvider(this.providerType);
+    }
+
+    async loadViews() {
+        try {
+            this.views = await this.provider.getFilterViews();
+        } catch (error) {
+            this.handleError(error, 'Unable to load saved views.');
+        }
+    }
+
+    handleError(error, fallbackMessage) {
+        console.error(fallbackMessage, error);
+        if (error && error.body) {
+            this.errorMessage = error.body.message;
+        } else {
+            this.errorMessage = error && error.message ? error.message : fallbackMessage;
+        }
+    }
+
+    // ========================================
+    // Menu contents
+    // ========================================
+
+    /**
+     * View matching the current filters; own views win over presets
+     */
+    get activeView() {
+        const currentKey = toFilterKey(this.filterState);
+        const matches = this.views.filter(view => toFilterKey(view.filterState) === currentKey);
+        return matches.find(view => !view.isOrgPreset) || matches[0] || null;
+    }
+
+    get menuLabel() {
+        return this.activeView ? this.activeView.name : 'Saved Views';
+    }
+
+    get menuButtonLabel() {
+        return this.activeView ? `Saved views, current view: ${this.activeView.name}` : 'Saved views';
+    }
+
+    get menuExpanded() {
+        return this.isMenuOpen ? 'true' : 'false';
+    }
+
+    toMenuItem(view) {
+        const activeView = this.activeView;
+        const isDefault = view.viewId === this.defaultViewId;
+        const isActive = !!activeView && activeView.viewId === view.viewId;
+        return {
+            key: view.viewId,
+            viewId: view.viewId,
+            name: view.name,
+            isDefault,
+            isActive,
+            canDelete: !view.isOrgPreset,
+            itemClass: isActive ? 'view-item view-item-active' : 'view-item',
+            ariaCurrent: isActive ? 'true' : 'false',
+            defaultLabel: isDefault ? `Stop opening the portal with ${view.name}` : `Open the portal with ${view.name}`,
+            defaultPressed: isDefault ? 'true' : 'false',
+            defaultIcon: isDefault ? '★' : '☆',
+            deleteLabel: `Delete view ${view.name}`
+        };
+    }
+
+    get myViews() {
+        return this.views
+            .filter(view => !view.isOrgPreset)
+            .sort((a, b) => a.name.localeCompare(b.name))
+            .map(view => this.toMenuItem(view));
+    }
+
+    get presetViews() {
+        return this.views.filter(view => view.isOrgPreset).map(view => this.toMenuItem(view));
+    }
+
+    get hasMyViews() {
+        return this.myViews.length > 0;
+    }
+
+    get hasPresetViews() {
+        return this.presetViews.length > 0;
+    }
+
+    get hasError() {
+        return !!this.errorMessage;
+    }
+
+    get maxNameLength() {
+        return MAX_NAME_LENGTH;
+    }
+
+    get isSaveDisabled() {
+        return this.isBusy || !this.newViewName.trim();
+    }
+
+    // ========================================
+    // Event handlers
+    // ========================================
+
+    handleMenuToggle() {
+        this.isMenuOpen = !this.isMenuOpen;
+        this.isSaveFormOpen = false;
+        this.errorMessage = '';
+    }
+
+    handleMenuKeydown(event) {
+        if (event.key === 'Escape' && this.isMenuOpen) {
+            this.closeMenu();
+        }
+    }
+
+    /**
+     * Close the menu when the user clicks anywhere outside it
+     */
+    handleOutsideClick(event) {
+        if (!this.isMenuOpen) {
+            return;
+        }
+        const menu = this.template.querySelector('.saved-views');
+        const path = event.composedPath ? event.composedPath() : [];
+        if (menu && !path.includes(menu)) {
+            this.isMenuOpen = false;
+            this.isSaveFormOpen = false;
+        }
+    }
+
+    closeMenu() {
+        this.isMenuOpen = false;
+        this.isSaveFormOpen = false;
+        const button = this.template.querySelector('.saved-views-button');
+        if (button) {
+            button.focus();
+        }
+    }
+
+    handleViewSelect(event) {
+        const view = this.views.find(v => v.viewId === event.currentTarget.dataset.viewId);
+        if (!view) {
+            return;
+        }
+        const filterState = view.filterState || {};
+        const dateRange = filterState.dateRange || {};
+        this.dispatchEvent(new CustomEvent('viewselect', {
+            detail: {
+                viewId: view.viewId,
+                name: view.name,
+                vehicleId: filterState.vehicleId || 'all',
+                fundId: filterState.fundId || 'all',
+                dateRange: resolveDateRange(dateRange.preset, dateRange.startDate, dateRange.endDate)
+            }
+        }));
+        this.closeMenu();
+    }
+
+    handleToggleDefault(event) {
+        const viewId = event.currentTarget.dataset.viewId;
+        this.defaultViewId = viewId === this.defaultViewId ? '' : viewId;
+        savePreferences({ defaultViewId: this.defaultViewId });
+    }
+
+    async handleDeleteView(event) {
+        const viewId = event.currentTarget.dataset.viewId;
+        this.isBusy = true;
+        this.errorMessage = '';
+        try {
+            await this.provider.deleteFilterView(viewId);
+            this.views = this.views.filter(view => view.viewId !== viewId);
+            if (viewId === this.defaultViewId) {
+                this.defaultViewId = '';
+                savePreferences({ defaultViewId: '' });
+            }
+        } catch (error) {
+            this.handleError(error, 'Unable to delete the view.');
+        } finally {
+            this.isBusy = false;
+        }
+    }
+
+    handleShowSaveForm() {
+        this.isSaveFormOpen = true;
+        this.newViewName = '';
+        this.errorMessage = '';
+    }
+
+    handleCancelSave() {
+        this.isSaveFormOpen = false;
+        this.errorMessage = '';
+    }
+
+    handleNameChange(event) {
+        this.newViewName = event.target.value;
+    }
+
+    handleNameKeydown(event) {
+        if (event.key === 'Enter') {
+            event.preventDefault();
+            this.handleSaveView();
+        }
+    }
+
+    /**
+     * Save the current filters as a new view of the user
+     * Date presets are saved by key, so "Year to Date" stays current when the view is applied later
+     */
+    async handleSaveView() {
+        if (this.isSaveDisabled) {
+            return;
+        }
+        const state = this.filterState || {};
+        const dateRange = state.dateRange || {};
+        this.isBusy = true;
+        this.errorMessage = '';
+        try {
+            const saved = await this.provider.saveFilterView({
+                name: this.newViewName.trim(),
+                filterState: {
+                    vehicleId: state.vehicleId || 'all',
+                    fundId: state.fundId || 'all',
+                    dateRange: {
+                        preset: dateRange.preset || 'itd',
+                        startDate: dateRange.startDate || null,
+                        endDate: dateRange.endDate || null
+                    }
+                }
+            });
+            this.views = [...this.views, saved];
+            this.isSaveFormOpen = false;
+            this.newViewName = '';
+        } catch (error) {
+            this.handleError(error, 'Unable to save the view.');
+        } finally {
+            this.isBusy = false;
+        }
+    }
+}
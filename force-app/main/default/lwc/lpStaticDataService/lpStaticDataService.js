@@ -10,10 +10,399 @@
  * Data Interfaces:
  * - InvestmentMetrics: 5 key portfolio metrics (Commitments, Called, Distributions, Value, TVPI)
  * - FundAllocation: Fund-level allocation data for donut chart
+ * - FundBreakdown: Amounts per vehicle and fund for the reports table
  * - PerformanceDataPoint: Time-series data for performance chart
  * - InvestmentVehicle: Vehicle-level groupings
+ * - VehicleDetail: Legal entity details, masked tax IDs and authorized signers per vehicle
+ * - CashFlow: Dated calls, distributions and NAV for return calculations
+ * - FundHolding: One row per fund investment, as returned by FundDataController.getFundsForPartner()
+ * - Commitment: Original and current commitment per fund and vehicle, with secondary transfers
+ * - CapitalCall: Call notices per fund and vehicle
+ * - Distribution: Distribution events per fund and vehicle, split by type
+ * - CapitalAccountStatement: Quarter, year and inception-to-date roll-forwards per fund and vehicle
+ * - Document: Quarterly reports, K-1s and notices per fund
+ * - DataRoom: Data room folder tree, files and NDA state
+ * - FilterView: Named dashboard filter selections, the user's own and IR presets
+ * - PortfolioCompany: Companies held by each fund, with cost, fair value, MOIC and holding period
  */
 
+import { hasDateWindow } from 'c/lpDateRange';
+
+// Share of total called / distributed per quarter, oldest first
+const CALL_SHARES = [0.20, 0.15, 0.12, 0.10, 0.08, 0.08, 0.07, 0.06, 0.05, 0.04, 0.03, 0.02];
+const DISTRIBUTION_SHARES = [0.05, 0.10, 0.15, 0.20, 0.25, 0.25];
+
+// Split of each distribution by type; withholding applies to the income portion
+const DISTRIBUTION_TYPE_SHARES = { returnOfCapital: 0.55, capitalGain: 0.30, income: 0.10 };
+const INCOME_WITHHOLDING_RATE = 0.30;
+
+// Capital account assumptions: fees and expenses as a share of capital called,
+// realized gains as a share of distributions, NAV growth per quarter
+const MANAGEMENT_FEE_RATE = 0.05;
+const FUND_EXPENSE_RATE = 0.015;
+const REALIZED_GAIN_SHARE = 0.60;
+const NAV_QUARTERLY_GROWTH = 0.02;
+
+// Fund type (strategy), sector, geography, portal status (Active/Pending/Closed) and
+// first investment, in quarters ago; the vintage is the year of the first investment
+const FUND_PROFILES = {
+    pbventures: {
+        fundType: 'Venture Capital', sector: 'Technology', geography: 'North America',
+        fundStatus: 'Active', investedQuartersAgo: 12
+    },
+    norton: {
+        fundType: 'Venture Capital', sector: 'Healthcare', geography: 'North America',
+        fundStatus: 'Active', investedQuartersAgo: 11
+    },
+    wanye: {
+        fundType: 'Growth Equity', sector: 'Technology', geography: 'Europe',
+        fundStatus: 'Active', investedQuartersAgo: 10
+    },
+    violet: {
+        fundType: 'Private Equity', sector: 'Consumer', geography: 'Europe',
+        fundStatus: 'Active', investedQuartersAgo: 9
+    },
+    '123': {
+        fundType: 'Real Estate', sector: 'Real Estate', geography: 'Asia Pacific',
+        fundStatus: 'Pending', investedQuartersAgo: 6
+    },
+    mjk: {
+        fundType: 'Infrastructure', sector: 'Energy', geography: 'North America',
+        fundStatus: 'Closed', investedQuartersAgo: 12
+    }
+};
+
+// Demo legal entity details per vehicle; tax IDs are masked before they are returned
+const VEHICLE_PROFILES = {
+    iv1: {
+        legalName: 'Investment Vehicle 1, L.P.',
+        entityType: 'Limited Partnership',
+        jurisdiction: 'Delaware',
+        formationDate: '2018-03-15',
+        registeredAddress: '1209 Orange Street, Wilmington, DE 19801',
+        taxIdType: 'EIN',
+        taxId: '84-2917364',
+        foreignTaxId: null,
+        taxResidence: 'United States',
+        signers: [
+            { signerId: 'iv1-signer-1', name: 'Jordan Ellis', role: 'Managing Partner', email: 'jordan.ellis@example.com', signingAuthority: 'Sole' },
+            { signerId: 'iv1-signer-2', name: 'Priya Raman', role: 'Chief Financial Officer', email: 'priya.raman@example.com', signingAuthority: 'Joint' }
+        ]
+    },
+    iv2: {
+        legalName: 'Investment Vehicle 2 LLC',
+        entityType: 'Limited Liability Company',
+        jurisdiction: 'Cayman Islands',
+        formationDate: '2020-09-01',
+        registeredAddress: 'PO Box 309, Ugland House, Grand Cayman KY1-1104',
+        taxIdType: 'EIN',
+        taxId: '98-1043275',
+        foreignTaxId: 'KY-55021986',
+        taxResidence: 'Cayman Islands',
+        signers: [
+            { signerId: 'iv2-signer-1', name: 'Morgan Lee', role: 'Director', email: 'morgan.lee@example.com', signingAuthority: 'Joint' },
+            { signerId: 'iv2-signer-2', name: 'Sam Okafor', role: 'Director', email: 'sam.okafor@example.com', signingAuthority: 'Joint' }
+        ]
+    }
+};
+
+// Characters of a tax ID left unmasked, as in VehicleController
+const TAX_ID_VISIBLE_CHARS = 4;
+
+// Demo secondary transfers; amounts are already included in each fund's totalCommitments
+const COMMITMENT_TRANSFERS = {
+    pbventures: [
+        { transferType: 'Secondary Purchase', amount: 20000000, quartersAgo: 4, counterparty: 'Northgate Pension Fund', description: 'Purchase of LP interest on the secondary market' }
+    ],
+    violet: [
+        { transferType: 'Secondary Sale', amount: -8000000, quartersAgo: 2, counterparty: 'Lexham Secondaries II', description: 'Partial sale of LP interest' }
+    ]
+};
+
+// Demo documents: reports for the last 4 quarters, notices for the last 2 calls/distributions
+const DOCUMENT_REPORT_QUARTERS = 4;
+const DOCUMENT_NOTICE_COUNT = 2;
+
+// Documents downloaded in this session, so demo unread badges clear
+const downloadedDocumentIds = new Set();
+
+// Demo data room; must match DataRoomController.NDA_VERSION
+const DATA_ROOM_NDA_VERSION = '2026-1';
+const DATA_ROOM_FOLDERS = [
+    { folderId: 'dr-firm', name: 'Firm Overview', description: 'About Aduro Capital and the team', parentId: null, sortOrder: 1, watermarkEnabled: false },
+    { folderId: 'dr-offering', name: 'Fund Offering Materials', description: 'Current fundraise', parentId: null, sortOrder: 2, watermarkEnabled: true },
+    { folderId: 'dr-legal', name: 'Legal Documents', description: 'Fund formation and subscription documents', parentId: 'dr-offering', sortOrder: 1, watermarkEnabled: true },
+    { folderId: 'dr-diligence', name: 'Due Diligence', description: 'Track record and policies', parentId: null, sortOrder: 3, watermarkEnabled: true },
+    { folderId: 'dr-investors', name: 'Investor Updates', description: 'Existing investors only', parentId: null, sortOrder: 4, watermarkEnabled: true }
+];
+const DATA_ROOM_DOCUMENTS = {
+    'dr-firm': ['Aduro Capital Firm Overview', 'Team Biographies'],
+    'dr-offering': ['Investor Presentation', 'Private Placement Memorandum'],
+    'dr-legal': ['Limited Partnership Agreement', 'Subscription Agreement'],
+    'dr-diligence': ['Track Record', 'ESG Policy', 'Valuation Policy'],
+    'dr-investors': ['Annual Meeting Presentation']
+};
+
+// NDA acceptance in this session
+let dataRoomNdaAcceptedAt = null;
+
+// Portal preferences saved in this session
+let userPreferences = null;
+
+// Demo IR presets, as FilterViewController returns them before the user's own views
+const FILTER_VIEW_PRESETS = [
+    { viewId: 'preset-all', name: 'All Investments', filterState: { vehicleId: 'all', fundId: 'all', dateRange: { preset: 'itd' } } },
+    { viewId: 'preset-ytd', name: 'Year to Date', filterState: { vehicleId: 'all', fundId: 'all', dateRange: { preset: 'ytd' } } },
+    { viewId: 'preset-venture', name: 'Venture Funds, Last 8 Quarters', filterState: { vehicleId: 'all', fundId: ['pbventures', 'norton'], dateRange: { preset: 'last-8q' } } }
+];
+
+// Same limits as FilterViewController
+const FILTER_VIEW_NAME_MAX_LENGTH = 80;
+const FILTER_VIEWS_PER_USER = 50;
+
+// Views saved in this session
+let userFilterViews = [];
+let filterViewSequence = 0;
+
+// Demo benchmarks: month-end index levels from a starting level, repeating a year of monthly returns
+const BENCHMARKS = [
+    {
+        benchmarkId: 'bm-msci-world',
+        name: 'MSCI World',
+        startLevel: 2850,
+        monthlyReturns: [0.012, -0.008, 0.015, 0.006, -0.021, 0.018, 0.009, 0.004, -0.012, 0.022, 0.007, 0.003]
+    },
+    {
+        benchmarkId: 'bm-russell-2000',
+        name: 'Russell 2000',
+        startLevel: 1900,
+        monthlyReturns: [0.021, -0.017, 0.025, -0.006, -0.032, 0.028, 0.011, -0.004, -0.019, 0.035, 0.002, -0.008]
+    }
+];
+
+// Demo levels reach back further than the first call (getCashFlows)
+const BENCHMARK_MONTHS = 48;
+
+// Demo companies per fund: share of the fund's called capital, MOIC, and the quarters ago it was
+// bought and (for exited companies) sold
+const PORTFOLIO_COMPANIES = {
+    pbventures: [
+        { name: 'Lumen Analytics', costShare: 0.35, moic: 1.8, investedQuartersAgo: 12 },
+        { name: 'Orbit Payments', costShare: 0.30, moic: 2.6, investedQuartersAgo: 11, exitedQuartersAgo: 2 },
+        { name: 'Nimbus Security', costShare: 0.20, moic: 1.1, investedQuartersAgo: 8 },
+        { name: 'Quill Learning', costShare: 0.15, moic: 0.6, investedQuartersAgo: 6 }
+    ],
+    norton: [
+        { name: 'Helix Diagnostics', costShare: 0.45, moic: 1.5, investedQuartersAgo: 11 },
+        { name: 'CarePath Health', costShare: 0.35, moic: 1.2, investedQuartersAgo: 9 },
+        { name: 'Vita Genomics', costShare: 0.20, moic: 0.9, investedQuartersAgo: 5 }
+    ],
+    wanye: [
+        { name: 'Northwind Software', costShare: 0.50, moic: 1.7, investedQuartersAgo: 10 },
+        { name: 'Kestrel Cloud', costShare: 0.30, moic: 1.3, investedQuartersAgo: 8 },
+        { name: 'Atlas Robotics', costShare: 0.20, moic: 1.0, investedQuartersAgo: 4 }
+    ],
+    violet: [
+        { name: 'Harbor Foods', costShare: 0.40, moic: 1.4, investedQuartersAgo: 9 },
+        { name: 'Maison Retail', costShare: 0.35, moic: 2.1, investedQuartersAgo: 8, exitedQuartersAgo: 1 },
+        { name: 'Bright Home Brands', costShare: 0.25, moic: 1.1, investedQuartersAgo: 6 }
+    ],
+    '123': [
+        { name: 'Marina Bay Offices', costShare: 0.60, moic: 1.1, investedQuartersAgo: 6 },
+        { name: 'Osaka Logistics Park', costShare: 0.40, moic: 1.0, investedQuartersAgo: 4 }
+    ],
+    mjk: [
+        { name: 'Prairie Wind Farms', costShare: 0.55, moic: 1.3, investedQuartersAgo: 12 },
+        { name: 'Gulf Coast Storage', costShare: 0.45, moic: 1.2, investedQuartersAgo: 10 }
+    ]
+};
+
+/**
+ * Ids selected by a filter value ('all', an Id or an array of Ids); empty for 'all'
+ */
+function toIdList(filter) {
+    if (Array.isArray(filter)) {
+        return filter.filter(id => id && id !== 'all');
+    }
+    return !filter || filter === 'all' ? [] : [filter];
+}
+
+/**
+ * Whether an Id passes a filter value ('all', an Id or an array of Ids)
+ */
+function matchesFilter(filter, id) {
+    const ids = toIdList(filter);
+    return ids.length === 0 || ids.includes(id);
+}
+
+/**
+ * Quarter-end date a number of quarters before the current quarter
+ * @param {number} quartersAgo - 1 = end of the previous quarter
+ * @returns {string} Date in YYYY-MM-DD format
+ */
+function getQuarterEndDate(quartersAgo) {
+    const currentDate = new Date();
+    const quarterStartMonth = Math.floor(currentDate.getMonth() / 3) * 3;
+    const date = new Date(Date.UTC(currentDate.getFullYear(), quarterStartMonth - 3 * (quartersAgo - 1), 0));
+    return date.toISOString().slice(0, 10);
+}
+
+/**
+ * Mask every letter and digit except the last four, keeping separators (VehicleController.maskTaxId)
+ */
+function maskTaxId(taxId) {
+    if (!taxId) return null;
+    const characters = taxId.trim().split('');
+    let visible = 0;
+    for (let i = characters.length - 1; i >= 0; i--) {
+        if (/[a-z0-9]/i.test(characters[i])) {
+            visible++;
+            if (visible > TAX_ID_VISIBLE_CHARS) {
+                characters[i] = '•';
+            }
+        }
+    }
+    return visible < TAX_ID_VISIBLE_CHARS ? '•'.repeat(characters.length) : characters.join('');
+}
+
+/**
+ * Round to cents
+ */
+function toCents(value) {
+    return Math.round(value * 100) / 100;
+}
+
+/**
+ * Share of a quarterly schedule that has been paid on or before a date
+ */
+function getScheduledShare(shares, asOfDate) {
+    return shares.reduce((sum, share, index) =>
+        (getQuarterEndDate(shares.length - index) <= asOfDate ? sum + share : sum), 0);
+}
+
+/**
+ * Cumulative capital account amounts of one fund at a date
+ * The current balance matches getPortfolioMetrics(); earlier balances follow the call and
+ * distribution schedules, with NAV discounted by NAV_QUARTERLY_GROWTH per quarter back.
+ */
+function getCapitalAccountBalance(metrics, asOfDate, today) {
+    if (asOfDate >= today) {
+        return {
+            called: metrics.totalCalled,
+            distributed: metrics.totalDistributions,
+            nav: metrics.estimatedValue,
+            fees: toCents(metrics.totalCalled * MANAGEMENT_FEE_RATE),
+            expenses: toCents(metrics.totalCalled * FUND_EXPENSE_RATE),
+            realized: toCents(metrics.totalDistributions * REALIZED_GAIN_SHARE)
+        };
+    }
+
+    let quartersAgo = 1;
+    while (quartersAgo < 40 && getQuarterEndDate(quartersAgo) > asOfDate) {
+        quartersAgo++;
+    }
+
+    const calledShare = getScheduledShare(CALL_SHARES, asOfDate);
+    const called = toCents(metrics.totalCalled * calledShare);
+    const distributed = toCents(metrics.totalDistributions * getScheduledShare(DISTRIBUTION_SHARES, asOfDate));
+
+    return {
+        called,
+        distributed,
+        nav: toCents(metrics.estimatedValue * calledShare * Math.max(0, 1 - NAV_QUARTERLY_GROWTH * quartersAgo)),
+        fees: toCents(called * MANAGEMENT_FEE_RATE),
+        expenses: toCents(called * FUND_EXPENSE_RATE),
+        realized: toCents(distributed * REALIZED_GAIN_SHARE)
+    };
+}
+
+/**
+ * Amounts combined across the funds matching a filter, limited to a date window
+ * Commitments count funds invested by the window's end, called and distributions are the
+ * amounts paid within the window and value is the NAV at the end. calledToDate and
+ * distributedToDate run from inception to the end, for TVPI.
+ */
+function getCombinedTotals(vehicleId, fundId, dateRange) {
+    const today = new Date().toISOString().slice(0, 10);
+    const endDate = dateRange && dateRange.endDate && dateRange.endDate < today ? dateRange.endDate : today;
+    const startDate = dateRange && dateRange.startDate ? dateRange.startDate : null;
+    const totals = { commitments: 0, called: 0, distributed: 0, nav: 0, calledToDate: 0, distributedToDate: 0 };
+
+    getFunds()
+        .filter(fund => matchesFilter(vehicleId, fund.vehicleId) && matchesFilter(fundId, fund.id))
+        .forEach(fund => {
+            const metrics = getPortfolioMetrics('all', fund.id);
+            const ending = getCapitalAccountBalance(metrics, endDate, today);
+            let beginning = { called: 0, distributed: 0 };
+            if (startDate) {
+                const [year, month, day] = startDate.split('-').map(Number);
+                const dayBefore = new Date(Date.UTC(year, month - 1, day - 1)).toISOString().slice(0, 10);
+                beginning = getCapitalAccountBalance(metrics, dayBefore, today);
+            }
+
+            if (getQuarterEndDate(FUND_PROFILES[fund.id].investedQuartersAgo) <= endDate) {
+                totals.commitments += metrics.totalCommitments;
+            }
+            totals.called += ending.called - beginning.called;
+            totals.distributed += ending.distributed - beginning.distributed;
+            totals.nav += ending.nav;
+            totals.calledToDate += ending.called;
+            totals.distributedToDate += ending.distributed;
+        });
+
+    return {
+        totalCommitments: toCents(totals.commitments),
+        totalCalled: toCents(totals.called),
+        totalDistributions: toCents(totals.distributed),
+        estimatedValue: toCents(totals.nav),
+        calledToDate: toCents(totals.calledToDate),
+        distributedToDate: toCents(totals.distributedToDate)
+    };
+}
+
+/**
+ * TVPI rounded to two decimals, 0 before any capital is called
+ */
+function toTvpi(distributed, value, called) {
+    return called > 0 ? Math.round(((distributed + value) / called) * 100) / 100 : 0;
+}
+
+/**
+ * Metrics combined across the funds matching a filter, limited to a date window; TVPI is as of the end
+ */
+function getCombinedMetrics(vehicleId, fundId, dateRange) {
+    const totals = getCombinedTotals(vehicleId, fundId, dateRange);
+
+    return {
+        totalCommitments: totals.totalCommitments,
+        totalCalled: totals.totalCalled,
+        totalDistributions: totals.totalDistributions,
+        estimatedValue: totals.estimatedValue,
+        estimatedTVPI: toTvpi(totals.distributedToDate, totals.estimatedValue, totals.calledToDate)
+    };
+}
+
+/**
+ * Roll a capital account from one balance to another
+ * Unrealized gain/loss is the NAV movement not explained by the other lines
+ */
+function buildCapitalAccountPeriod(startDate, endDate, beginning, ending) {
+    const period = {
+        startDate,
+        endDate,
+        beginningBalance: beginning.nav,
+        contributions: toCents(ending.called - beginning.called),
+        distributions: toCents(ending.distributed - beginning.distributed),
+        managementFees: toCents(ending.fees - beginning.fees),
+        fundExpenses: toCents(ending.expenses - beginning.expenses),
+        realizedGainLoss: toCents(ending.realized - beginning.realized),
+        endingBalance: ending.nav
+    };
+    period.unrealizedGainLoss = toCents(period.endingBalance - period.beginningBalance - period.contributions
+        + period.distributions + period.managementFees + period.fundExpenses - period.realizedGainLoss);
+    return period;
+}
+
 /**
  * Investment Vehicles data
  * @returns {Array<{id: string, name: string}>}
@@ -26,6 +415,26 @@ export function getInvestmentVehicles() {
     ];
 }
 
+/**
+ * Legal entity details for each vehicle (excludes the 'all' option)
+ * @returns {Array<Object>} VehicleDetail objects with masked tax IDs and signers
+ */
+export function getVehicleDetails() {
+    return getInvestmentVehicles()
+        .filter(vehicle => VEHICLE_PROFILES[vehicle.id])
+        .map(vehicle => {
+            const { taxId, foreignTaxId, signers, ...profile } = VEHICLE_PROFILES[vehicle.id];
+            return {
+                vehicleId: vehicle.id,
+                vehicleName: vehicle.name,
+                ...profile,
+                maskedTaxId: maskTaxId(taxId),
+                maskedForeignTaxId: maskTaxId(foreignTaxId),
+                signers: signers.map(signer => ({ ...signer }))
+            };
+        });
+}
+
 /**
  * Funds data with allocation percentages (dynamically calculated)
  * @returns {Array<{id: string, name: string, vehicleId: string, allocation: number, color: string}>}
@@ -57,16 +466,24 @@ export function getFunds() {
 
 /**
  * Portfolio metrics for full portfolio or filtered view
- * @param {string} vehicleId - Investment Vehicle ID or 'all'
- * @param {string} fundId - Fund ID or 'all'
+ * Several vehicles or funds, or a date window, are combined fund by fund (getCombinedMetrics).
+ * @param {string|Array<string>} vehicleId - Investment Vehicle ID, array of IDs or 'all'
+ * @param {string|Array<string>} fundId - Fund ID, array of IDs or 'all'
+ * @param {Object} dateRange - DateRange (see lpDateRange); empty for inception to date
  * @returns {Object} InvestmentMetrics object
  */
-export function getPortfolioMetrics(vehicleId = 'all', fundId = 'all') {
-    // Full portfolio metrics (unfiltered)
+export function getPortfolioMetrics(vehicleId = 'all', fundId = 'all', dateRange = null) {
+    const vehicleIds = toIdList(vehicleId);
+    const fundIds = toIdList(fundId);
+    if (vehicleIds.length > 1 || fundIds.length > 1 || hasDateWindow(dateRange)) {
+        return getCombinedMetrics(vehicleId, fundId, dateRange);
+    }
+
+    // Full portfolio metrics (unfiltered); amounts are the sums of the funds' amounts below
     const fullMetrics = {
-        totalCommitments: 618886450.23,
-        totalCalled: 130575585.29,
-        totalDistributions: 12756900.14,
+        totalCommitments: 618886449.23,
+        totalCalled: 130575586.29,
+        totalDistributions: 12756901.14,
         estimatedValue: 160335942.14,
         estimatedTVPI: 1.33
     };
@@ -121,14 +538,14 @@ export function getPortfolioMetrics(vehicleId = 'all', fundId = 'all') {
     const vehicleMetrics = {
         iv1: {
             totalCommitments: 364839561.51,
-            totalCalled: 77022308.54,
+            totalCalled: 76974308.54,
             totalDistributions: 7520193.43,
             estimatedValue: 94518023.70,
             estimatedTVPI: 1.41
         },
         iv2: {
             totalCommitments: 254046887.72,
-            totalCalled: 53553277.75,
+            totalCalled: 53601277.75,
             totalDistributions: 5236707.71,
             estimatedValue: 65817918.44,
             estimatedTVPI: 1.26
@@ -136,12 +553,12 @@ export function getPortfolioMetrics(vehicleId = 'all', fundId = 'all') {
     };
 
     // Return filtered metrics based on selection
-    if (fundId !== 'all') {
-        return fundMetrics[fundId] || fullMetrics;
+    if (fundIds.length > 0) {
+        return fundMetrics[fundIds[0]] || fullMetrics;
     }
 
-    if (vehicleId !== 'all') {
-        return vehicleMetrics[vehicleId] || fullMetrics;
+    if (vehicleIds.length > 0) {
+        return vehicleMetrics[vehicleIds[0]] || fullMetrics;
     }
 
     return fullMetrics;
@@ -149,80 +566,67 @@ export function getPortfolioMetrics(vehicleId = 'all', fundId = 'all') {
 
 /**
  * Fund allocation data for donut chart
- * @param {string} vehicleId - Investment Vehicle ID or 'all'
- * @param {string} fundId - Fund ID or 'all'
+ * Allocation is each fund's share of the selected funds' commitments at the end of the date window.
+ * @param {string|Array<string>} vehicleId - Investment Vehicle ID, array of IDs or 'all'
+ * @param {string|Array<string>} fundId - Fund ID, array of IDs or 'all'
+ * @param {Object} dateRange - DateRange (see lpDateRange); empty for inception to date
  * @returns {Array<{fundId: string, fundName: string, allocation: number, value: number, color: string}>}
  */
-export function getFundAllocation(vehicleId = 'all', fundId = 'all') {
-    const funds = getFunds();
-    let filteredFunds = funds;
-
-    // Filter by vehicle if specified
-    if (vehicleId !== 'all') {
-        filteredFunds = funds.filter(f => f.vehicleId === vehicleId);
-    }
-
-    // If specific fund selected, return only that fund at 100%
-    if (fundId !== 'all') {
-        const selectedFund = funds.find(f => f.id === fundId);
-        if (selectedFund) {
-            const metrics = getPortfolioMetrics(vehicleId, fundId);
-            return [{
-                fundId: selectedFund.id,
-                fundName: selectedFund.name,
-                allocation: 100,
-                value: metrics.totalCommitments,
-                color: selectedFund.color
-            }];
-        }
-    }
+export function getFundAllocation(vehicleId = 'all', fundId = 'all', dateRange = null) {
+    const endDate = dateRange && dateRange.endDate ? dateRange.endDate : null;
 
-    // Calculate total for filtered funds to get percentages
-    const total = filteredFunds.reduce((sum, f) => sum + f.allocation, 0);
+    // Funds in the filter that had been invested in by the end of the window
+    const funds = getFunds().filter(fund =>
+        matchesFilter(vehicleId, fund.vehicleId) &&
+        matchesFilter(fundId, fund.id) &&
+        (!endDate || getQuarterEndDate(FUND_PROFILES[fund.id].investedQuartersAgo) <= endDate)
+    );
+    const values = funds.map(fund => getPortfolioMetrics('all', fund.id).totalCommitments);
+    const total = values.reduce((sum, value) => sum + value, 0);
 
     // Return allocation data for donut chart
-    return filteredFunds.map(fund => {
-        const fundMetrics = getPortfolioMetrics('all', fund.id);
-        return {
-            fundId: fund.id,
-            fundName: fund.name,
-            allocation: vehicleId === 'all' ? fund.allocation : (fund.allocation / total) * 100,
-            value: fundMetrics.totalCommitments,
-            color: fund.color
-        };
-    });
+    return funds.map((fund, index) => ({
+        fundId: fund.id,
+        fundName: fund.name,
+        allocation: total > 0 ? Math.round((values[index] / total) * 10000) / 100 : 0,
+        value: values[index],
+        color: fund.color
+    }));
 }
 
 /**
  * Performance time-series data for line chart
- * @param {string} vehicleId - Investment Vehicle ID or 'all'
- * @param {string} fundId - Fund ID or 'all'
- * @returns {Array<{date: string, totalValue: number, capitalCalled: number, tvpi: number}>}
+ * @param {string|Array<string>} vehicleId - Investment Vehicle ID, array of IDs or 'all'
+ * @param {string|Array<string>} fundId - Fund ID, array of IDs or 'all'
+ * @param {Object} dateRange - DateRange (see lpDateRange); only months inside it are returned
+ * @returns {Array<{date: string, totalValue: number, capitalCalled: number, distributions: number, tvpi: number,
+ *   commitments: number}>} Commitments count the funds invested by the end of the month
  */
-export function getPerformanceData(vehicleId = 'all', fundId = 'all') {
-    // Generate 12 months of historical data (current month back 11 months)
+export function getPerformanceData(vehicleId = 'all', fundId = 'all', dateRange = null) {
+    // Generate 13 months of historical data (current month back 12 months, for prior-year comparisons)
     const months = [];
     const currentDate = new Date();
 
-    for (let i = 11; i >= 0; i--) {
+    for (let i = 12; i >= 0; i--) {
         const date = new Date(currentDate.getFullYear(), currentDate.getMonth() - i, 1);
         months.push(date.toISOString().slice(0, 7)); // YYYY-MM format
     }
 
     // Full portfolio performance data
     const fullPerformance = [
-        { date: months[0], totalValue: 145000000, capitalCalled: 118000000, tvpi: 1.23 },
-        { date: months[1], totalValue: 147500000, capitalCalled: 120000000, tvpi: 1.24 },
-        { date: months[2], totalValue: 150200000, capitalCalled: 122500000, tvpi: 1.26 },
-        { date: months[3], totalValue: 152800000, capitalCalled: 124000000, tvpi: 1.27 },
-        { date: months[4], totalValue: 154500000, capitalCalled: 125800000, tvpi: 1.28 },
-        { date: months[5], totalValue: 156200000, capitalCalled: 127200000, tvpi: 1.29 },
-        { date: months[6], totalValue: 157800000, capitalCalled: 128500000, tvpi: 1.30 },
-        { date: months[7], totalValue: 158900000, capitalCalled: 129400000, tvpi: 1.31 },
-        { date: months[8], totalValue: 159800000, capitalCalled: 130100000, tvpi: 1.32 },
-        { date: months[9], totalValue: 160100000, capitalCalled: 130400000, tvpi: 1.32 },
-        { date: months[10], totalValue: 160200000, capitalCalled: 130500000, tvpi: 1.33 },
-        { date: months[11], totalValue: 160335942.14, capitalCalled: 130575585.29, tvpi: 1.33 }
+        { date: months[0], totalValue: 142600000, capitalCalled: 116000000, distributions: 2000000, tvpi: 1.23 },
+        { date: months[1], totalValue: 145000000, capitalCalled: 118000000, distributions: 2600000, tvpi: 1.23 },
+        { date: months[2], totalValue: 147500000, capitalCalled: 120000000, distributions: 3300000, tvpi: 1.24 },
+        { date: months[3], totalValue: 150200000, capitalCalled: 122500000, distributions: 4100000, tvpi: 1.26 },
+        { date: months[4], totalValue: 152800000, capitalCalled: 124000000, distributions: 5000000, tvpi: 1.27 },
+        { date: months[5], totalValue: 154500000, capitalCalled: 125800000, distributions: 6000000, tvpi: 1.28 },
+        { date: months[6], totalValue: 156200000, capitalCalled: 127200000, distributions: 7000000, tvpi: 1.29 },
+        { date: months[7], totalValue: 157800000, capitalCalled: 128500000, distributions: 8000000, tvpi: 1.30 },
+        { date: months[8], totalValue: 158900000, capitalCalled: 129400000, distributions: 9000000, tvpi: 1.31 },
+        { date: months[9], totalValue: 159800000, capitalCalled: 130100000, distributions: 10400000, tvpi: 1.32 },
+        { date: months[10], totalValue: 160100000, capitalCalled: 130400000, distributions: 11200000, tvpi: 1.32 },
+        { date: months[11], totalValue: 160200000, capitalCalled: 130500000, distributions: 12000000, tvpi: 1.33 },
+        { date: months[12], totalValue: 160335942.14, capitalCalled: 130575586.29, distributions: 12756901.14, tvpi: 1.33 }
     ];
 
     // Fund-specific performance multipliers (relative to full portfolio)
@@ -243,19 +647,640 @@ export function getPerformanceData(vehicleId = 'all', fundId = 'all') {
 
     // Return filtered performance data
     let multipliers = { valueMultiplier: 1, calledMultiplier: 1, tvpiOffset: 0 };
+    const vehicleIds = toIdList(vehicleId);
+    const fundIds = toIdList(fundId);
 
-    if (fundId !== 'all') {
-        multipliers = fundMultipliers[fundId] || multipliers;
-    } else if (vehicleId !== 'all') {
-        multipliers = vehicleMultipliers[vehicleId] || multipliers;
+    if (vehicleIds.length > 1 || fundIds.length > 1) {
+        // Several vehicles or funds scale the portfolio by their combined share of it
+        const full = getPortfolioMetrics();
+        const selected = getPortfolioMetrics(vehicleId, fundId);
+        multipliers = {
+            valueMultiplier: selected.estimatedValue / full.estimatedValue,
+            calledMultiplier: selected.totalCalled / full.totalCalled,
+            tvpiOffset: selected.estimatedTVPI - full.estimatedTVPI
+        };
+    } else if (fundIds.length > 0) {
+        multipliers = fundMultipliers[fundIds[0]] || multipliers;
+    } else if (vehicleIds.length > 0) {
+        multipliers = vehicleMultipliers[vehicleIds[0]] || multipliers;
     }
 
-    return fullPerformance.map(dataPoint => ({
-        date: dataPoint.date,
-        totalValue: Math.round(dataPoint.totalValue * multipliers.valueMultiplier * 100) / 100,
-        capitalCalled: Math.round(dataPoint.capitalCalled * multipliers.calledMultiplier * 100) / 100,
-        tvpi: Math.round((dataPoint.tvpi + multipliers.tvpiOffset) * 100) / 100
+    const startMonth = dateRange && dateRange.startDate ? dateRange.startDate.slice(0, 7) : null;
+    const endMonth = dateRange && dateRange.endDate ? dateRange.endDate.slice(0, 7) : null;
+
+    // Commitments of the funds in the filter, from the month they were invested in
+    const commitments = getFunds()
+        .filter(fund => matchesFilter(vehicleId, fund.vehicleId) && matchesFilter(fundId, fund.id))
+        .map(fund => ({
+            month: getQuarterEndDate(FUND_PROFILES[fund.id].investedQuartersAgo).slice(0, 7),
+            amount: getPortfolioMetrics('all', fund.id).totalCommitments
+        }));
+    const getCommitmentsAt = month => toCents(commitments
+        .filter(commitment => commitment.month <= month)
+        .reduce((sum, commitment) => sum + commitment.amount, 0));
+
+    return fullPerformance
+        .filter(dataPoint =>
+            (!startMonth || dataPoint.date >= startMonth) && (!endMonth || dataPoint.date <= endMonth)
+        )
+        .map(dataPoint => ({
+            date: dataPoint.date,
+            totalValue: Math.round(dataPoint.totalValue * multipliers.valueMultiplier * 100) / 100,
+            capitalCalled: Math.round(dataPoint.capitalCalled * multipliers.calledMultiplier * 100) / 100,
+            distributions: Math.round(dataPoint.distributions * multipliers.calledMultiplier * 100) / 100,
+            tvpi: Math.round((dataPoint.tvpi + multipliers.tvpiOffset) * 100) / 100,
+            commitments: getCommitmentsAt(dataPoint.date)
+        }));
+}
+
+/**
+ * Fund by fund amounts, one row per vehicle and fund; rows add up to getPortfolioMetrics()
+ * @param {string|Array<string>} vehicleId - Investment Vehicle ID, array of IDs or 'all'
+ * @param {string|Array<string>} fundId - Fund ID, array of IDs or 'all'
+ * @param {Object} dateRange - DateRange (see lpDateRange); empty for inception to date
+ * @returns {Array} FundBreakdown objects
+ */
+export function getFundBreakdown(vehicleId = 'all', fundId = 'all', dateRange = null) {
+    const vehicleNames = new Map(getInvestmentVehicles().map(vehicle => [vehicle.id, vehicle.name]));
+
+    return getFunds()
+        .filter(fund => matchesFilter(vehicleId, fund.vehicleId) && matchesFilter(fundId, fund.id))
+        .map(fund => {
+            const totals = getCombinedTotals('all', fund.id, dateRange);
+            const profile = FUND_PROFILES[fund.id];
+            return {
+                vehicleId: fund.vehicleId,
+                vehicleName: vehicleNames.get(fund.vehicleId) || '',
+                fundId: fund.id,
+                fundName: fund.name,
+                strategy: profile.fundType,
+                sector: profile.sector,
+                geography: profile.geography,
+                vintageYear: Number(getQuarterEndDate(profile.investedQuartersAgo).slice(0, 4)),
+                ...totals,
+                estimatedTVPI: toTvpi(totals.distributedToDate, totals.estimatedValue, totals.calledToDate)
+            };
+        });
+}
+
+/**
+ * Cash flows for return calculations (IRR, DPI, RVPI)
+ * Calls are spread over the last 12 quarters and distributions over the last 6,
+ * so the totals reconcile with getPortfolioMetrics() for the same filter.
+ * @param {string|Array<string>} vehicleId - Investment Vehicle ID, array of IDs or 'all'
+ * @param {string|Array<string>} fundId - Fund ID, array of IDs or 'all'
+ * @returns {Array<{date: string, amount: number, type: string}>}
+ */
+export function getCashFlows(vehicleId = 'all', fundId = 'all') {
+    const metrics = getPortfolioMetrics(vehicleId, fundId);
+
+    const calls = CALL_SHARES.map((share, index) => ({
+        date: getQuarterEndDate(CALL_SHARES.length - index),
+        amount: Math.round(metrics.totalCalled * share * 100) / 100,
+        type: 'call'
     }));
+
+    const distributions = DISTRIBUTION_SHARES.map((share, index) => ({
+        date: getQuarterEndDate(DISTRIBUTION_SHARES.length - index),
+        amount: Math.round(metrics.totalDistributions * share * 100) / 100,
+        type: 'distribution'
+    }));
+
+    const nav = {
+        date: new Date().toISOString().slice(0, 10),
+        amount: metrics.estimatedValue,
+        type: 'nav'
+    };
+
+    return [...calls, ...distributions, nav];
+}
+
+/**
+ * Fund investments with the FundDataController.FundData fields
+ * Amounts match getPortfolioMetrics() for each fund.
+ * @returns {Array<Object>} FundHolding objects
+ */
+export function getFundHoldings() {
+    const vehicles = getInvestmentVehicles();
+
+    return getFunds().map(fund => {
+        const metrics = getPortfolioMetrics('all', fund.id);
+        const profile = FUND_PROFILES[fund.id];
+        const vehicle = vehicles.find(v => v.id === fund.vehicleId);
+
+        return {
+            investmentId: `inv-${fund.id}`,
+            fundId: fund.id,
+            fundName: fund.name,
+            fundType: profile.fundType,
+            vehicleId: fund.vehicleId,
+            vehicleName: vehicle ? vehicle.name : '',
+            totalInvested: metrics.totalCalled,
+            currentValuation: metrics.estimatedValue,
+            pendingAmount: toCents(Math.max(0, metrics.totalCommitments - metrics.totalCalled)),
+            commitmentAmount: metrics.totalCommitments,
+            distributedAmount: metrics.totalDistributions,
+            returnPercentage: metrics.totalCalled > 0
+                ? toCents(((metrics.estimatedValue - metrics.totalCalled) / metrics.totalCalled) * 100)
+                : 0,
+            investmentDate: getQuarterEndDate(profile.investedQuartersAgo),
+            fundStatus: profile.fundStatus
+        };
+    });
+}
+
+/**
+ * Commitments per fund
+ * Current commitment, called and unfunded amounts match getFundHoldings(); the original
+ * commitment is the current commitment less net secondary transfers.
+ * @param {string|Array<string>} vehicleId - Investment Vehicle ID, array of IDs or 'all'
+ * @param {string|Array<string>} fundId - Fund ID, array of IDs or 'all'
+ * @returns {Array<Object>} Commitment objects with their transfers, newest first
+ */
+export function getCommitments(vehicleId = 'all', fundId = 'all') {
+    return getFundHoldings()
+        .filter(holding =>
+            matchesFilter(vehicleId, holding.vehicleId) &&
+            matchesFilter(fundId, holding.fundId)
+        )
+        .map(holding => {
+            const transfers = (COMMITMENT_TRANSFERS[holding.fundId] || []).map((transfer, index) => ({
+                transferId: `${holding.fundId}-transfer-${index + 1}`,
+                transferNumber: `CT-${holding.fundId.toUpperCase()}-${String(index + 1).padStart(2, '0')}`,
+                transferDate: getQuarterEndDate(transfer.quartersAgo),
+                transferType: transfer.transferType,
+                amount: transfer.amount,
+                counterparty: transfer.counterparty,
+                description: transfer.description
+            }));
+            const transferAmount = transfers.reduce((sum, transfer) => sum + transfer.amount, 0);
+
+            return {
+                investmentId: holding.investmentId,
+                fundId: holding.fundId,
+                fundName: holding.fundName,
+                vehicleId: holding.vehicleId,
+                vehicleName: holding.vehicleName,
+                fundStatus: holding.fundStatus,
+                investmentDate: holding.investmentDate,
+                originalCommitment: toCents(holding.commitmentAmount - transferAmount),
+                transferAmount,
+                commitmentAmount: holding.commitmentAmount,
+                calledAmount: holding.totalInvested,
+                unfundedAmount: holding.pendingAmount,
+                percentFunded: holding.commitmentAmount > 0
+                    ? toCents((holding.totalInvested / holding.commitmentAmount) * 100)
+                    : 0,
+                transfers: transfers.sort((a, b) => b.transferDate.localeCompare(a.transferDate))
+            };
+        });
+}
+
+/**
+ * Capital call notices per fund, newest first
+ * Each fund's calls follow the same quarterly schedule as getCashFlows();
+ * the most recent call is still outstanding.
+ * @param {string|Array<string>} vehicleId - Investment Vehicle ID, array of IDs or 'all'
+ * @param {string|Array<string>} fundId - Fund ID, array of IDs or 'all'
+ * @returns {Array<Object>} CapitalCall objects
+ */
+export function getCapitalCalls(vehicleId = 'all', fundId = 'all') {
+    const vehicles = getInvestmentVehicles();
+    const funds = getFunds().filter(fund =>
+        matchesFilter(vehicleId, fund.vehicleId) &&
+        matchesFilter(fundId, fund.id)
+    );
+
+    const calls = [];
+
+    funds.forEach(fund => {
+        const fundMetrics = getPortfolioMetrics('all', fund.id);
+        const vehicle = vehicles.find(v => v.id === fund.vehicleId);
+
+        CALL_SHARES.forEach((share, index) => {
+            const callDate = getQuarterEndDate(CALL_SHARES.length - index);
+            const dueDate = new Date(callDate);
+            dueDate.setUTCDate(dueDate.getUTCDate() + 10);
+
+            const amount = Math.round(fundMetrics.totalCalled * share * 100) / 100;
+            const isOutstanding = index === CALL_SHARES.length - 1;
+
+            calls.push({
+                id: `${fund.id}-call-${index + 1}`,
+                callNumber: `CC-${fund.id.toUpperCase()}-${String(index + 1).padStart(2, '0')}`,
+                fundId: fund.id,
+                fundName: fund.name,
+                vehicleId: fund.vehicleId,
+                vehicleName: vehicle ? vehicle.name : '',
+                callDate,
+                dueDate: dueDate.toISOString().slice(0, 10),
+                description: index === 0 ? 'Initial closing contribution' : 'Investments and fund expenses',
+                amount,
+                paidAmount: isOutstanding ? 0 : amount,
+                outstandingAmount: isOutstanding ? amount : 0,
+                commitmentPercentage: Math.round((amount / fundMetrics.totalCommitments) * 10000) / 100,
+                status: isOutstanding ? 'Outstanding' : 'Paid',
+                noticeUrl: null
+            });
+        });
+    });
+
+    return calls.sort((a, b) => b.callDate.localeCompare(a.callDate));
+}
+
+/**
+ * Distribution events per fund, newest first
+ * Each fund's distributions follow the same quarterly schedule as getCashFlows();
+ * gross amounts add up to the fund's totalDistributions in getPortfolioMetrics().
+ * @param {string|Array<string>} vehicleId - Investment Vehicle ID, array of IDs or 'all'
+ * @param {string|Array<string>} fundId - Fund ID, array of IDs or 'all'
+ * @returns {Array<Object>} Distribution objects
+ */
+export function getDistributions(vehicleId = 'all', fundId = 'all') {
+    const vehicles = getInvestmentVehicles();
+    const funds = getFunds().filter(fund =>
+        matchesFilter(vehicleId, fund.vehicleId) &&
+        matchesFilter(fundId, fund.id)
+    );
+
+    const distributions = [];
+
+    funds.forEach(fund => {
+        const fundTotal = getPortfolioMetrics('all', fund.id).totalDistributions;
+        const vehicle = vehicles.find(v => v.id === fund.vehicleId);
+        let remaining = fundTotal;
+
+        DISTRIBUTION_SHARES.forEach((share, index) => {
+            const isLast = index === DISTRIBUTION_SHARES.length - 1;
+            // Last distribution takes the rounding remainder so the fund total is exact
+            const grossAmount = isLast ? toCents(remaining) : toCents(fundTotal * share);
+            remaining -= grossAmount;
+
+            const returnOfCapital = toCents(grossAmount * DISTRIBUTION_TYPE_SHARES.returnOfCapital);
+            const capitalGain = toCents(grossAmount * DISTRIBUTION_TYPE_SHARES.capitalGain);
+            const income = toCents(grossAmount * DISTRIBUTION_TYPE_SHARES.income);
+            const recallable = toCents(grossAmount - returnOfCapital - capitalGain - income);
+            const withholdingTax = toCents(income * INCOME_WITHHOLDING_RATE);
+
+            distributions.push({
+                id: `${fund.id}-dist-${index + 1}`,
+                distributionNumber: `DIST-${fund.id.toUpperCase()}-${String(index + 1).padStart(2, '0')}`,
+                fundId: fund.id,
+                fundName: fund.name,
+                vehicleId: fund.vehicleId,
+                vehicleName: vehicle ? vehicle.name : '',
+                distributionDate: getQuarterEndDate(DISTRIBUTION_SHARES.length - index),
+                description: index === 0 ? 'Recapitalization proceeds' : 'Portfolio company realizations',
+                returnOfCapital,
+                capitalGain,
+                income,
+                recallable,
+                grossAmount,
+                withholdingTax,
+                netAmount: toCents(grossAmount - withholdingTax),
+                noticeUrl: null
+            });
+        });
+    });
+
+    return distributions.sort((a, b) => b.distributionDate.localeCompare(a.distributionDate));
+}
+
+/**
+ * Capital account statements per fund
+ * @param {string|Array<string>} vehicleId - Investment Vehicle ID, array of IDs or 'all'
+ * @param {string|Array<string>} fundId - Fund ID, array of IDs or 'all'
+ * @param {string} asOfDate - Statement date (YYYY-MM-DD); empty for current values
+ * @returns {Array<Object>} CapitalAccountStatement objects with quarterToDate, yearToDate
+ *   and inceptionToDate periods
+ */
+export function getCapitalAccountStatements(vehicleId = 'all', fundId = 'all', asOfDate = null) {
+    const vehicles = getInvestmentVehicles();
+    const funds = getFunds().filter(fund =>
+        matchesFilter(vehicleId, fund.vehicleId) &&
+        matchesFilter(fundId, fund.id)
+    );
+
+    const today = new Date().toISOString().slice(0, 10);
+    const endDate = !asOfDate || asOfDate >= today ? today : asOfDate;
+    const [year, month] = endDate.split('-').map(Number);
+    const quarterStartMonth = Math.floor((month - 1) / 3) * 3;
+    const quarterStart = new Date(Date.UTC(year, quarterStartMonth, 1)).toISOString().slice(0, 10);
+    const priorQuarterEnd = new Date(Date.UTC(year, quarterStartMonth, 0)).toISOString().slice(0, 10);
+    const inceptionDate = getQuarterEndDate(CALL_SHARES.length);
+    const zeroBalance = { called: 0, distributed: 0, nav: 0, fees: 0, expenses: 0, realized: 0 };
+
+    return funds.map(fund => {
+        const metrics = getPortfolioMetrics('all', fund.id);
+        const vehicle = vehicles.find(v => v.id === fund.vehicleId);
+        const ending = getCapitalAccountBalance(metrics, endDate, today);
+
+        return {
+            investmentId: `${fund.id}-investment`,
+            fundId: fund.id,
+            fundName: fund.name,
+            vehicleId: fund.vehicleId,
+            vehicleName: vehicle ? vehicle.name : '',
+            quarterToDate: buildCapitalAccountPeriod(
+                quarterStart, endDate, getCapitalAccountBalance(metrics, priorQuarterEnd, today), ending
+            ),
+            yearToDate: buildCapitalAccountPeriod(
+                `${year}-01-01`, endDate, getCapitalAccountBalance(metrics, `${year - 1}-12-31`, today), ending
+            ),
+            inceptionToDate: buildCapitalAccountPeriod(inceptionDate, endDate, zeroBalance, ending)
+        };
+    });
+}
+
+/**
+ * Documents per fund, newest first
+ * Documents dated in the most recent quarter start unread until downloaded.
+ * @returns {Array<Object>} Document objects
+ */
+export function getDocuments() {
+    const vehicles = getInvestmentVehicles();
+    const latestQuarterEnd = getQuarterEndDate(1);
+    const taxYear = Number(latestQuarterEnd.slice(0, 4)) - 1;
+    const documents = [];
+
+    getFunds().forEach(fund => {
+        const vehicle = vehicles.find(v => v.id === fund.vehicleId);
+        const addDocument = (key, title, category, documentDate) => {
+            const documentId = `${fund.id}-${key}`;
+            documents.push({
+                documentId,
+                title,
+                description: '',
+                category,
+                fundId: fund.id,
+                fundName: fund.name,
+                vehicleId: fund.vehicleId,
+                vehicleName: vehicle ? vehicle.name : '',
+                documentDate,
+                fileExtension: 'pdf',
+                contentSize: 250000 + documents.length * 7919,
+                isUnread: documentDate >= latestQuarterEnd && !downloadedDocumentIds.has(documentId)
+            });
+        };
+
+        for (let quartersAgo = 1; quartersAgo <= DOCUMENT_REPORT_QUARTERS; quartersAgo++) {
+            const quarterEnd = getQuarterEndDate(quartersAgo);
+            const quarter = Math.ceil(Number(quarterEnd.slice(5, 7)) / 3);
+            addDocument(
+                `report-${quarterEnd}`,
+                `${fund.name} Q${quarter} ${quarterEnd.slice(0, 4)} Quarterly Report`,
+                'Quarterly Report',
+                quarterEnd
+            );
+        }
+
+        addDocument(`k1-${taxYear}`, `${fund.name} ${taxYear} Schedule K-1`, 'K-1', `${taxYear}-12-31`);
+
+        for (let quartersAgo = 1; quartersAgo <= DOCUMENT_NOTICE_COUNT; quartersAgo++) {
+            const noticeDate = getQuarterEndDate(quartersAgo);
+            addDocument(`call-${noticeDate}`, `${fund.name} Capital Call Notice ${noticeDate}`, 'Capital Call Notice', noticeDate);
+            addDocument(
+                `distribution-${noticeDate}`,
+                `${fund.name} Distribution Notice ${noticeDate}`,
+                'Distribution Notice',
+                noticeDate
+            );
+        }
+    });
+
+    return documents.sort((a, b) => b.documentDate.localeCompare(a.documentDate));
+}
+
+/**
+ * Record a document download
+ * Demo documents have no file, so no download URL is returned.
+ * @param {string} documentId - Document ID
+ * @returns {null}
+ */
+export function recordDocumentDownload(documentId) {
+    downloadedDocumentIds.add(documentId);
+    return null;
+}
+
+/**
+ * Data room folder tree and files
+ * Folders and files are withheld until the demo NDA is accepted, as in DataRoomController.
+ * @returns {Object} DataRoom object
+ */
+export function getDataRoom() {
+    const ndaRequired = !dataRoomNdaAcceptedAt;
+    const lastModifiedDate = `${getQuarterEndDate(1)}T12:00:00.000Z`;
+
+    return {
+        hasAccess: true,
+        ndaRequired,
+        ndaVersion: DATA_ROOM_NDA_VERSION,
+        ndaAcceptedAt: dataRoomNdaAcceptedAt,
+        folders: ndaRequired ? [] : DATA_ROOM_FOLDERS.map(folder => ({
+            ...folder,
+            documents: DATA_ROOM_DOCUMENTS[folder.folderId].map((title, index) => ({
+                documentId: `${folder.folderId}-${index + 1}`,
+                title,
+                fileExtension: 'pdf',
+                contentSize: 480000 + index * 122333,
+                lastModifiedDate
+            }))
+        }))
+    };
+}
+
+/**
+ * Accept the demo data room NDA
+ * @param {string} ndaVersion - Version the user was shown
+ * @returns {null}
+ */
+export function acceptDataRoomNda(ndaVersion) {
+    if (ndaVersion !== DATA_ROOM_NDA_VERSION) {
+        throw new Error('The NDA has been updated. Please review the latest version.');
+    }
+    dataRoomNdaAcceptedAt = new Date().toISOString();
+    return null;
+}
+
+/**
+ * Record a folder open
+ * The demo keeps no audit log.
+ * @returns {null}
+ */
+export function recordDataRoomFolderAccess() {
+    return null;
+}
+
+/**
+ * Open a data room document
+ * Demo documents have no file, so no preview or download URL is returned.
+ * @param {string} folderId - Folder ID
+ * @param {string} documentId - Document ID
+ * @param {boolean} download - True to download, false to view
+ * @returns {Object} {documentId, title, previewUrl, downloadUrl, watermarkText}
+ */
+export function openDataRoomDocument(folderId, documentId, download = false) {
+    const folder = DATA_ROOM_FOLDERS.find(f => f.folderId === folderId);
+    const titles = folder ? DATA_ROOM_DOCUMENTS[folder.folderId] : [];
+    const title = titles.find((t, index) => `${folderId}-${index + 1}` === documentId);
+    if (!title) {
+        throw new Error('Document not found or not available to you.');
+    }
+    if (download && folder.watermarkEnabled) {
+        throw new Error('Documents in this folder are view-only.');
+    }
+
+    return {
+        documentId,
+        title,
+        previewUrl: null,
+        downloadUrl: null,
+        watermarkText: folder.watermarkEnabled
+            ? `Confidential · Demo Investor · investor@example.com · ${new Date().toISOString().slice(0, 16).replace('T', ' ')} UTC`
+            : null
+    };
+}
+
+/**
+ * Portal preferences saved in this session
+ * @returns {Object|null} Preferences, or null when none were saved
+ */
+export function getUserPreferences() {
+    return userPreferences ? { ...userPreferences } : null;
+}
+
+/**
+ * Save portal preferences for this session
+ * @param {Object|null} preferences - Preferences; null resets to defaults
+ * @returns {null}
+ */
+export function saveUserPreferences(preferences) {
+    userPreferences = preferences ? { ...preferences } : null;
+    return null;
+}
+
+/**
+ * IR presets followed by the views saved in this session
+ * @returns {Array} FilterView objects {viewId, name, filterState, isOrgPreset}
+ */
+export function getFilterViews() {
+    return [
+        ...FILTER_VIEW_PRESETS.map(view => ({ ...view, isOrgPreset: true })),
+        ...[...userFilterViews].sort((a, b) => a.name.localeCompare(b.name))
+    ].map(view => ({ ...view, filterState: JSON.parse(JSON.stringify(view.filterState)) }));
+}
+
+/**
+ * Save a view for this session; IR presets cannot be changed
+ * @param {Object} view - {viewId, name, filterState}; no viewId creates a new view
+ * @returns {Object} Saved FilterView
+ */
+export function saveFilterView(view) {
+    const name = (view.name || '').trim();
+    if (!name) {
+        throw new Error('Enter a name for the view.');
+    }
+    if (name.length > FILTER_VIEW_NAME_MAX_LENGTH) {
+        throw new Error(`View names can be up to ${FILTER_VIEW_NAME_MAX_LENGTH} characters.`);
+    }
+
+    let saved = view.viewId ? userFilterViews.find(v => v.viewId === view.viewId) : null;
+    if (view.viewId && !saved) {
+        throw new Error('This view cannot be changed.');
+    }
+    if (!saved) {
+        if (userFilterViews.length >= FILTER_VIEWS_PER_USER) {
+            throw new Error(`You can save up to ${FILTER_VIEWS_PER_USER} views. Delete a view to save a new one.`);
+        }
+        filterViewSequence += 1;
+        saved = { viewId: `view-${filterViewSequence}`, isOrgPreset: false };
+        userFilterViews.push(saved);
+    }
+    saved.name = name;
+    saved.filterState = JSON.parse(JSON.stringify(view.filterState));
+    return { ...saved, filterState: JSON.parse(JSON.stringify(saved.filterState)) };
+}
+
+/**
+ * Delete a view saved in this session
+ * @param {string} viewId - View ID
+ * @returns {null}
+ */
+export function deleteFilterView(viewId) {
+    if (!userFilterViews.some(view => view.viewId === viewId)) {
+        throw new Error('This view cannot be changed.');
+    }
+    userFilterViews = userFilterViews.filter(view => view.viewId !== viewId);
+    return null;
+}
+
+/**
+ * Benchmarks offered for the performance chart overlay and PME
+ * @returns {Array} Benchmark objects {benchmarkId, name}
+ */
+export function getBenchmarks() {
+    return BENCHMARKS.map(({ benchmarkId, name }) => ({ benchmarkId, name }));
+}
+
+/**
+ * Month-end index levels of a benchmark, up to the end of last month
+ * @param {string} benchmarkId - Benchmark ID
+ * @returns {Array} BenchmarkLevel objects {date, level} in date order
+ */
+export function getBenchmarkLevels(benchmarkId) {
+    const benchmark = BENCHMARKS.find(item => item.benchmarkId === benchmarkId);
+    if (!benchmark) {
+        throw new Error('This benchmark is not available.');
+    }
+
+    const today = new Date();
+    const levels = [];
+    let level = benchmark.startLevel;
+    for (let monthsAgo = BENCHMARK_MONTHS; monthsAgo >= 1; monthsAgo--) {
+        const monthEnd = new Date(Date.UTC(today.getFullYear(), today.getMonth() - monthsAgo + 1, 0));
+        if (levels.length > 0) {
+            level *= 1 + benchmark.monthlyReturns[monthEnd.getUTCMonth()];
+        }
+        levels.push({ date: monthEnd.toISOString().slice(0, 10), level: toCents(level) });
+    }
+    return levels;
+}
+
+/**
+ * Companies held by a fund, largest fair value first (PortfolioCompanyController)
+ * Costs add up to the fund's called capital; MOIC is fair value over cost.
+ * @param {string} fundId - Fund ID
+ * @returns {Array} PortfolioCompany objects {companyId, companyName, fundId, cost, fairValue, moic,
+ *   investmentDate, exitDate, holdingYears}
+ */
+export function getPortfolioCompanies(fundId) {
+    const companies = PORTFOLIO_COMPANIES[fundId];
+    if (!companies) {
+        throw new Error('This fund is not available.');
+    }
+
+    const called = getPortfolioMetrics('all', fundId).totalCalled;
+    const today = new Date().toISOString().slice(0, 10);
+
+    return companies
+        .map((company, index) => {
+            const cost = toCents(called * company.costShare);
+            const investmentDate = getQuarterEndDate(company.investedQuartersAgo);
+            const exitDate = company.exitedQuartersAgo ? getQuarterEndDate(company.exitedQuartersAgo) : '';
+            const heldDays = (Date.parse(exitDate || today) - Date.parse(investmentDate)) / 86400000;
+            return {
+                companyId: `pc-${fundId}-${index + 1}`,
+                companyName: company.name,
+                fundId,
+                cost,
+                fairValue: toCents(cost * company.moic),
+                moic: company.moic,
+                investmentDate,
+                exitDate,
+                holdingYears: Math.round((heldDays / 365.25) * 10) / 10
+            };
+        })
+        .sort((a, b) => b.fairValue - a.fairValue);
 }
 
 /**
@@ -295,4 +1320,19 @@ export function formatTVPI(value) {
         minimumFractionDigits: 2,
         maximumFractionDigits: 2
     });
-}
\ No newline at end of file
+}
+
+/**
+ * Format ISO date for display
+ * @param {string} value - Date in YYYY-MM-DD format
+ * @returns {string} Formatted date string (e.g., "Mar 31, 2026")
+ */
+export function formatDate(value) {
+    if (!value) return '--';
+    const [year, month, day] = value.split('-').map(Number);
+    return new Date(year, month - 1, day || 1).toLocaleDateString('en-US', {
+        month: 'short',
+        day: 'numeric',
+        year: 'numeric'
+    });
+}